@@ -1,13 +1,16 @@
 // europass_bulk_fetch_pool.js
 // Concurrency across 10 countries, resume-safe via europass_meta.json, per-page NDJSON output.
+// Delta mode (`--delta` or DELTA=1): completed levels are re-walked from the newest record
+// and stop at the first page with nothing new, appending only unseen items.
 
 const fs = require("fs").promises;
 const path = require("path");
+const { createClient, QdrParseError } = require("./lib/qdrClient");
+const { isDeltaMode } = require("./lib/deltaSync");
+const { primaryLanguage } = require("./lib/languages");
+const { SchemaMonitor } = require("./lib/apiSchemas");
 
-// If you're on Node < 18, uncomment the next line:
-// global.fetch ||= require("node-fetch");
-
-const BASE_URL = "https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search/search";
+// Node 18+ required (global fetch, used by lib/qdrClient.js)
 
 const PAGE_SIZE = 10;            // Increased page size (resumes safely)
 const MAX_RETRIES = 3;
@@ -18,14 +21,24 @@ const TYPE = "qualification";     // or "learning-opportunity"
 const OUT_DIR = "files";
 const META_PATH = "europass_meta.json";
 const MAX_PAGES_PER_LEVEL = 10000; // safety cap
+const DELTA = isDeltaMode();
 
-// Optional simple global rate limit (requests/sec across all workers)
+// Simple global rate limit (requests/sec across all workers)
 const MAX_RPS = 3;
-let tokens = MAX_RPS;
-setInterval(() => { tokens = Math.min(tokens + MAX_RPS, MAX_RPS); }, 1000);
-async function rateLimit() { while (tokens <= 0) await sleep(50); tokens--; }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+const client = createClient({
+  timeoutMs: FETCH_TIMEOUT_MS,
+  maxRetries: MAX_RETRIES,
+  maxRps: MAX_RPS,
+  maxConcurrentPerHost: CONCURRENCY,
+  onRetry: ({ attempt, delayMs, error }) =>
+    console.warn(`   ↻ retry ${attempt}/${MAX_RETRIES} in ${Math.round(delayMs)}ms: ${error.message}`),
+});
+
+// Search pages are checked against schemas/searchResponse.schema.json (reports/schema-00.json)
+const schemaMonitor = new SchemaMonitor("00");
+
 // Heartbeat & stall detection
 let lastProgressAt = Date.now();
 function noteProgress() { lastProgressAt = Date.now(); }
@@ -35,7 +48,7 @@ setInterval(() => {
   if (idleSec > 300) {
     console.warn("🚨 No progress in >5 minutes. Requests have timeouts; if still stuck, Ctrl+C and rerun (resume is safe).");
   }
-}, 60000);
+}, 60000).unref(); // don't keep the process alive once main() is done
 
 const country_code = [
   "ALA","ALB","AUT","BEL","BGR","CYP","CZE","DNK","EST","FIN","FRA","GUF","DEU","GRC","GLP",
@@ -50,15 +63,6 @@ const countries = COUNTRY_FILTER?.length
   ? country_code.filter(c => COUNTRY_FILTER.includes(c))
   : country_code;
 
-const headers = {
-  Accept: "application/json, text/plain, */*",
-  "User-Agent":
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36",
-  "Accept-Language": "en-US,en;q=0.9",
-  Referer: "https://europa.eu/",
-  Origin: "https://europa.eu",
-};
-
 // ---------------------- META HANDLING (CONCURRENT-SAFE) ----------------------
 
 let metaWriteLock = Promise.resolve(); // serialize writes; never leave rejected
@@ -134,15 +138,15 @@ function markComplete(entry) {
 // ---------------------- NETWORK & PARSING ----------------------
 
 function buildUrl(country, level, from) {
-  return `${BASE_URL}?keywords=&size=${PAGE_SIZE}&from=${from}` +
-    `&sortType=publication%20date&language=en&type=${TYPE}` +
-    `&location=http://publications.europa.eu/resource/authority/country/${country}` +
-    `&eqfLevel=http://data.europa.eu/snb/eqf/${level}&version=1.8`;
+  return client.searchUrl({ type: TYPE, country, eqfLevel: level, from, size: PAGE_SIZE, language: primaryLanguage() });
 }
 
+// `courses` is the documented result list; the other places are guesses from older API
+// versions. A page without `courses` is counted as a schema error, see schemaMonitor.
 function extractItems(json) {
   if (!json || typeof json !== "object") return [];
   const candidates = [
+    json.courses,
     json.items,
     json.results,
     json.hits?.hits,
@@ -158,41 +162,6 @@ function extractItems(json) {
   return [];
 }
 
-async function fetchWithRetry(url, init, retries = MAX_RETRIES, delayMs = 800, timeoutMs = FETCH_TIMEOUT_MS) {
-  let lastErr;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      await rateLimit();
-      const jitter = Math.random() * 150;
-      if (jitter) await sleep(jitter);
-
-      const ac = new AbortController();
-      const t = setTimeout(() => ac.abort(), timeoutMs);
-
-      const res = await fetch(url, { ...init, signal: ac.signal });
-      clearTimeout(t);
-
-      if (!res.ok) {
-        if (res.status >= 500 || res.status === 429) {
-          throw new Error(`HTTP ${res.status} ${res.statusText}`);
-        } else {
-          const text = await res.text().catch(() => "");
-          throw new Error(`HTTP ${res.status}: ${res.statusText}\n${text.slice(0, 500)}`);
-        }
-      }
-      return res;
-    } catch (err) {
-      lastErr = err;
-      if (attempt < retries) {
-        const backoff = delayMs * Math.pow(2, attempt);
-        await sleep(backoff);
-        continue;
-      }
-      throw lastErr;
-    }
-  }
-}
-
 // ---------------------- OUTPUT (NDJSON) ----------------------
 
 async function ensureDir(dir) {
@@ -228,9 +197,80 @@ async function inferFromFromFile(filePath) {
   }
 }
 
+async function loadSeenIds(filePath) {
+  const seen = new Set();
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch {
+    return seen;
+  }
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const id = getItemId(JSON.parse(line));
+      if (id) seen.add(id);
+    } catch {}
+  }
+  return seen;
+}
+
+// Delta: results are sorted by publication date, so new records sit on the first pages.
+// Walk from the top until a page contains only records we already have.
+async function deltaFetchFor(country, level, meta, entry) {
+  await ensureDir(OUT_DIR);
+  const seen = await loadSeenIds(entry.file);
+  let from = 0;
+  let pages = 0;
+  let added = 0;
+
+  while (pages < MAX_PAGES_PER_LEVEL) {
+    const url = buildUrl(country, level, from);
+    console.log(`   🔄 ${country} EQF ${level} — delta from=${from}`);
+    let json;
+    try {
+      json = await client.getJson(url);
+    } catch (err) {
+      if (err instanceof QdrParseError) {
+        console.warn(`   ⚠️  Non-JSON for ${country} EQF ${level} @ from=${from}. Stopping delta for this level.`);
+        break;
+      }
+      throw err;
+    }
+
+    schemaMonitor.check("searchResponse", json, { version: client.version, id: url });
+    const items = extractItems(json);
+    if (items.length === 0) break;
+    pages++;
+
+    const newItems = items.filter(it => {
+      const id = getItemId(it);
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    if (newItems.length === 0) break; // reached already-seen records
+
+    if (SAVE_TO_DISK) await appendNdjson(entry.file, newItems);
+    added += newItems.length;
+    entry.totalItems += newItems.length;
+    noteProgress();
+
+    from += PAGE_SIZE;
+    await sleep(150); // politeness
+  }
+
+  entry.lastDeltaAt = new Date().toISOString();
+  entry.lastDeltaItems = added;
+  await saveMeta(meta);
+  console.log(`   ✅ Delta ${country} EQF ${level}: ${added} new item(s) in ${pages} page(s)`);
+  return entry;
+}
+
 async function fetchAllFor(country, level, meta) {
   const entry = getMeta(meta, country, level);
   if (entry.completed) {
+    if (DELTA) return deltaFetchFor(country, level, meta, entry);
     console.log(`   ⏭️  Skip ${country} EQF ${level} (already completed)`);
     return entry;
   }
@@ -274,17 +314,18 @@ async function fetchAllFor(country, level, meta) {
 
     const url = buildUrl(country, level, from);
     console.log(`   🌐 ${country} EQF ${level} — from=${from}`);
-    const res = await fetchWithRetry(url, { method: "GET", headers });
-    const text = await res.text();
-
     let json;
     try {
-      json = JSON.parse(text);
-    } catch {
-      console.warn(`   ⚠️  Non-JSON for ${country} EQF ${level} @ from=${from}. Stopping this level.`);
-      break;
+      json = await client.getJson(url);
+    } catch (err) {
+      if (err instanceof QdrParseError) {
+        console.warn(`   ⚠️  Non-JSON for ${country} EQF ${level} @ from=${from}. Stopping this level.`);
+        break;
+      }
+      throw err;
     }
 
+    schemaMonitor.check("searchResponse", json, { version: client.version, id: url });
     const items = extractItems(json);
     const count = items.length;
 
@@ -353,7 +394,10 @@ async function runPool(items, workerFn, concurrency) {
 function setupGraceful(metaRefFn) {
   const handler = async () => {
     console.log("\n🛑 Caught shutdown signal — saving meta...");
-    try { await saveMeta(metaRefFn()); } finally { process.exit(0); }
+    try {
+      await saveMeta(metaRefFn());
+      schemaMonitor.finish();
+    } finally { process.exit(0); }
   };
   process.on("SIGINT", handler);
   process.on("SIGTERM", handler);
@@ -373,6 +417,7 @@ async function main() {
   setupGraceful(() => meta);
 
   const start = Date.now();
+  if (DELTA) console.log("🔄 Delta mode: completed levels are checked for new records only");
 
   await runPool(countries, async (c) => {
     // Reload meta just before processing each country to reduce stale reads
@@ -382,19 +427,22 @@ async function main() {
 
   // Final summary
   meta = await loadMeta();
-  let totalItems = 0, completedLevels = 0, totalLevels = countries.length * eqfLevel.length;
+  let totalItems = 0, completedLevels = 0, totalLevels = countries.length * eqfLevel.length, deltaItems = 0;
   for (const c of countries) {
     for (const lvl of eqfLevel) {
       const e = getMeta(meta, c, lvl);
       totalItems += e.totalItems || 0;
       if (e.completed) completedLevels += 1;
+      if (DELTA && e.lastDeltaAt && Date.parse(e.lastDeltaAt) >= start) deltaItems += e.lastDeltaItems || 0;
     }
   }
 
   console.log("\n================ SUMMARY ================");
   console.log(`Levels completed: ${completedLevels}/${totalLevels}`);
   console.log(`Total items collected: ${totalItems}`);
+  if (DELTA) console.log(`New items this delta run: ${deltaItems}`);
   console.log(`Elapsed: ${Math.round((Date.now() - start)/1000)}s`);
+  schemaMonitor.finish();
 }
 
 main().catch(err => {
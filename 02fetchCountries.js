@@ -1,26 +1,49 @@
 // fetch_qualification_details.js
-// countryFiles/*.ndjson -> fetch each "uri" -> qualificationData/<COUNTRY>/<ID>.json
+// countryFiles/*.ndjson -> fetch each "uri" -> record store records/qualificationData/
+// (keyed by uri, meta.country = <COUNTRY>; see lib/recordStore.js)
 // Resume-safe per-country metadata. 100 concurrent requests. Node 18+ required.
 // Milestones: log after every +100 successes or +100 failures; show last 100 of each.
+// Delta mode (`--delta` or DELTA=1): re-reads country files from the top, fetches only records
+// not stored yet, re-fetches records older than REVALIDATE_DAYS (default 30; stored again only if changed),
+// and tombstones records that now answer 404/410 (qualificationData_tombstones.ndjson).
+// Records are checked against schemas/qualification.schema.json (reports/schema-02.json). The
+// record URIs carry no API version, so they are counted (and stored) as apiVersion "resource".
 
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
 const readline = require("readline");
+const { createClient, QdrParseError, QdrHttpError } = require("./lib/qdrClient");
+const { isDeltaMode, isRevalidationDue, isGoneStatus, TombstoneLog } = require("./lib/deltaSync");
+const { openStore } = require("./lib/recordStore");
+const { stageTag } = require("./lib/provenance");
+const { SchemaMonitor } = require("./lib/apiSchemas");
 
 const IN_DIR = path.resolve(__dirname, "countryFiles");
-const OUT_BASE = path.resolve(__dirname, "qualificationData");
+const STORE_DIR = path.resolve(__dirname, "records", "qualificationData");
 const META_DIR = path.resolve(__dirname, "meta");
+const TOMBSTONES_PATH = path.resolve(__dirname, "qualificationData_tombstones.ndjson");
 
 const CONCURRENCY = 100;
 const MAX_RETRIES = 3;
 const TIMEOUT_MS = 30_000;
 const MAX_RPS = 20;
+const DELTA = isDeltaMode();
+
+const tombstones = new TombstoneLog(TOMBSTONES_PATH, "02fetchCountries");
+let store = null; // opened in main()
+const RESOURCE_VERSION = "resource"; // meta.apiVersion of records fetched from their URI
+const schemaMonitor = new SchemaMonitor("02");
 
-let tokens = MAX_RPS;
-setInterval(() => { tokens = Math.min(tokens + MAX_RPS, MAX_RPS); }, 1000);
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-async function rateLimit() { while (tokens <= 0) await sleep(25); tokens--; }
+
+const client = createClient({
+  timeoutMs: TIMEOUT_MS,
+  maxRetries: MAX_RETRIES,
+  backoffMs: 400,
+  maxRps: MAX_RPS,
+  maxConcurrentPerHost: CONCURRENCY,
+});
 
 function pushRing(arr, item, cap = 100) {
   arr.push(item);
@@ -42,44 +65,14 @@ async function ensureDir(dir) {
   await fsp.mkdir(dir, { recursive: true });
 }
 
-async function fetchWithRetry(url, retries = MAX_RETRIES, timeoutMs = TIMEOUT_MS) {
-  let lastErr;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      await rateLimit();
-      const ac = new AbortController();
-      const t = setTimeout(() => ac.abort(), timeoutMs);
-
-      const res = await fetch(url, {
-        method: "GET",
-        headers: {
-          "Accept": "application/json, text/plain, */*",
-          "Host": "europa.eu",
-          "User-Agent": "Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36",
-        },
-        signal: ac.signal,
-      });
-      clearTimeout(t);
-
-      if (!res.ok) {
-        if (res.status >= 500 || res.status === 429) throw new Error(`HTTP ${res.status}`);
-        const txt = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status}: ${res.statusText} ${txt.slice(0,200)}`);
-      }
-
-      const ct = res.headers.get("content-type") || "";
-      if (ct.includes("json")) return await res.json();
-
-      const txt = await res.text();
-      try { return JSON.parse(txt); } catch { return { _raw: txt }; }
-    } catch (err) {
-      lastErr = err;
-      if (attempt < retries) {
-        await sleep(400 * Math.pow(2, attempt));
-        continue;
-      }
-      throw lastErr;
-    }
+// Records are fetched from their data.europa.eu URI directly.
+// Non-JSON bodies are kept as { _raw } so they can be inspected later.
+async function fetchRecord(uri) {
+  try {
+    return await client.getJson(client.resourceUrl(uri));
+  } catch (err) {
+    if (err instanceof QdrParseError) return { _raw: err.body };
+    throw err;
   }
 }
 
@@ -169,10 +162,12 @@ function logMilestone(country, meta, last100Success, last100Fail, label) {
 async function processCountryFile(filePath) {
   const country = getCountryFromFile(filePath);
   const { metaPath, meta } = await loadCountryMeta(country);
-  const outDir = path.join(OUT_BASE, country);
-  await ensureDir(outDir);
+  for (const k of ["changed", "unchanged", "tombstoned"]) meta[k] = meta[k] || 0;
 
-  console.log(`\n▶️  Processing ${country} (resume from line ${meta.lastLine})`);
+  const startLine = DELTA ? 0 : meta.lastLine;
+  console.log(DELTA
+    ? `\n🔄 Delta check ${country} (new records + revalidation)`
+    : `\n▶️  Processing ${country} (resume from line ${meta.lastLine})`);
 
   let active = 0;
   let dirty = false;
@@ -198,7 +193,7 @@ async function processCountryFile(filePath) {
   };
   const drain = async () => { while (active >= CONCURRENCY) await sleep(10); };
 
-  for await (const { lineNo, obj } of readNdjsonWithLineNumbers(filePath, meta.lastLine)) {
+  for await (const { lineNo, obj } of readNdjsonWithLineNumbers(filePath, startLine)) {
     meta.lastLine = lineNo;
     dirty = true;
 
@@ -230,17 +225,28 @@ async function processCountryFile(filePath) {
       continue;
     }
 
-    const outPath = path.join(outDir, `${id}.json`);
-    if (fs.existsSync(outPath)) {
+    if (tombstones.has(uri)) {
       meta.skippedExisting++;
       continue;
     }
 
+    const stored = store.meta(uri);
+    let revalidate = false;
+    if (stored) {
+      if (!DELTA || !isRevalidationDue(Date.parse(stored.fetchedAt))) {
+        meta.skippedExisting++;
+        continue;
+      }
+      revalidate = true;
+    }
+
     const task = async () => {
       try {
         meta.attempted++;
-        const data = await fetchWithRetry(uri);
-        await fsp.writeFile(outPath, JSON.stringify(data, null, 2), "utf-8");
+        const data = await fetchRecord(uri);
+        schemaMonitor.check("qualification", data, { version: RESOURCE_VERSION, id: uri });
+        const { changed } = await store.put(uri, data, { meta: { country, stage: stageTag(__filename), apiVersion: RESOURCE_VERSION } });
+        if (revalidate) changed ? meta.changed++ : meta.unchanged++;
         meta.succeeded++;
         pushRing(last100Success, { lineNo, id });
 
@@ -253,6 +259,14 @@ async function processCountryFile(filePath) {
           dirty = false;
         }
       } catch (e) {
+        if (e instanceof QdrHttpError && isGoneStatus(e.status)) {
+          // record disappeared upstream: keep a tombstone instead of a stale copy
+          const lastHash = store.meta(uri)?.hash || null;
+          await tombstones.record(uri, { reason: `http-${e.status}`, lastHash });
+          await store.remove(uri, { reason: `http-${e.status}` });
+          meta.tombstoned++;
+          return;
+        }
         meta.failed++;
         pushRing(last100Fail, { lineNo, id, err: e?.message || String(e) });
 
@@ -281,12 +295,14 @@ async function processCountryFile(filePath) {
   meta.lastUpdated = new Date().toISOString();
   await saveCountryMeta(metaPath, meta);
 
-  console.log(`✅ Done ${country}: attempted=${meta.attempted}, succeeded=${meta.succeeded}, failed=${meta.failed}, skipped=${meta.skippedExisting}, lastLine=${meta.lastLine}`);
+  console.log(`✅ Done ${country}: attempted=${meta.attempted}, succeeded=${meta.succeeded}, failed=${meta.failed}, skipped=${meta.skippedExisting}, lastLine=${meta.lastLine}` +
+    (DELTA ? `, changed=${meta.changed}, unchanged=${meta.unchanged}, tombstoned=${meta.tombstoned}` : ""));
 }
 
 (async function main() {
-  await ensureDir(OUT_BASE);
   await ensureDir(META_DIR);
+  await tombstones.load();
+  store = await openStore(STORE_DIR);
   const files = listCountryFiles();
   if (!files.length) {
     console.log("No .ndjson files found in countryFiles/");
@@ -302,5 +318,7 @@ async function processCountryFile(filePath) {
     }
   }
 
-  console.log("\n🎉 All country files processed.");
+  await store.close();
+  console.log(`\n🎉 All country files processed. Store: ${store.stats().records} record(s) in ${STORE_DIR}`);
+  schemaMonitor.finish();
 })();
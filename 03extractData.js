@@ -1,92 +1,39 @@
 // Usage:
-//   node to-csv-all-folders.js [rootDir] [outCsvPath] [--no-require-learning-outcome]
+//   node to-csv-all-folders.js [recordStoreDir] [outCsvPath] [--no-require-learning-outcome]
+// Reads the record store written by 02 (default records/qualificationData; country = meta.country).
+// Columns come from the "qualificationData" extractor in fieldMappings.json (lib/extractor.js).
+// ESCO links found in the written records go to <out>_esco_links.csv (lib/escoLinks.js).
+// Every record is checked against schemas/qualification.schema.json, per meta.apiVersion
+// (reports/schema-03.json, lib/apiSchemas.js).
 // Examples:
-//   node to-csv-all-folders.js qualificationsData all_quals.csv
-//   node to-csv-all-folders.js qualificationsData all_quals.csv --no-require-learning-outcome
+//   node to-csv-all-folders.js records/qualificationData all_quals.csv
+//   node to-csv-all-folders.js records/qualificationData all_quals.csv --no-require-learning-outcome
 
 const fs = require('fs');
-const fsp = require('fs').promises;
 const path = require('path');
-
-const ROOT = process.argv[2] || 'qualificationData';
+const { getLanguages } = require('./lib/languages');
+const { openStore } = require('./lib/recordStore');
+const { createExtractor, hasContent } = require('./lib/extractor');
+const { fromRecord, stageTag, withProvenanceColumns } = require('./lib/provenance');
+const { createLinkExtractor } = require('./lib/escoLinks');
+const { SchemaMonitor } = require('./lib/apiSchemas');
+
+const ROOT = process.argv[2] || path.join('records', 'qualificationData');
 const OUT_CSV = process.argv[3] || 'qualificationsValid.csv';
 const REQUIRE_LO = !process.argv.includes('--no-require-learning-outcome');
+// LANGUAGES=en,de,...: main CSV uses the first language; with more than one, a long-format
+// <out>_languages.csv gets one row per (uri, language) that has text in that language
+const LANGUAGES = getLanguages();
+const LANG_CSV = OUT_CSV.replace(/\.csv$/i, '') + '_languages.csv';
+const extractor = createExtractor('qualificationData');
+// extractor columns + recordId/fetchedAt/stages (lib/provenance.js)
+const COLUMNS = withProvenanceColumns(extractor.columns);
+const STAGE = stageTag(__filename);
+const LINKS_CSV = OUT_CSV.replace(/\.csv$/i, '') + '_esco_links.csv';
+const links = createLinkExtractor();
+const schemaMonitor = new SchemaMonitor('03');
 
 // ---------- helpers ----------
-function get(o, pathArr, def = null) {
-  return pathArr.reduce((acc, k) => (acc && acc[k] !== undefined ? acc[k] : undefined), o) ?? def;
-}
-
-function normalizePrefLabel(v) {
-  if (v == null) return null;
-  if (typeof v === 'string') return v;
-  if (Array.isArray(v)) {
-    const en = v.find(x => x?.en || x?.['en-GB'] || x?.['en-US']);
-    if (en) return en.en || en['en-GB'] || en['en-US'];
-    const firstStr = v.find(x => typeof x === 'string');
-    if (firstStr) return firstStr;
-    const firstObj = v.find(x => x && typeof x === 'object' && (x['@value'] || x.value));
-    if (firstObj) return firstObj['@value'] || firstObj.value;
-    return String(v[0]);
-  }
-  if (typeof v === 'object') {
-    if (v.en || v['en-GB'] || v['en-US']) return v.en || v['en-GB'] || v['en-US'];
-    if (v['@value']) return v['@value'];
-    if (v.value) return v.value;
-    for (const k of Object.keys(v)) if (typeof v[k] === 'string') return v[k];
-  }
-  return String(v);
-}
-
-function findCountryPrefLabel(obj) {
-  if (!obj || typeof obj !== 'object') return null;
-  if (obj.countryCode && typeof obj.countryCode === 'object') {
-    const lbl = normalizePrefLabel(obj.countryCode.prefLabel);
-    if (lbl) return lbl;
-  }
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      const found = findCountryPrefLabel(item);
-      if (found) return found;
-    }
-  } else {
-    for (const key of Object.keys(obj)) {
-      const found = findCountryPrefLabel(obj[key]);
-      if (found) return found;
-    }
-  }
-  return null;
-}
-
-// learningOutcome[*].additionalNote[*].noteLiteral -> array of strings
-function extractLearningOutcomeNotes(data) {
-  const los = Array.isArray(data.learningOutcome) ? data.learningOutcome : [];
-  const notes = [];
-  for (const lo of los) {
-    const aNotes = Array.isArray(lo?.additionalNote) ? lo.additionalNote : [];
-    for (const n of aNotes) {
-      const lit = n?.noteLiteral;
-      if (lit == null) continue;
-      if (Array.isArray(lit)) {
-        for (const x of lit) {
-          const s = normalizePrefLabel(x);
-          if (s) notes.push(String(s));
-        }
-      } else {
-        const s = normalizePrefLabel(lit);
-        if (s) notes.push(String(s));
-      }
-    }
-  }
-  return notes;
-}
-
-function parseQualificationLevelNum(levelText) {
-  if (!levelText) return '';
-  const m = String(levelText).match(/(\d+(?:\.\d+)?)/);
-  return m ? m[1] : '';
-}
-
 // CSV escaping per RFC 4180
 function csvEscape(value) {
   if (value == null) return '';
@@ -95,86 +42,79 @@ function csvEscape(value) {
   return s;
 }
 
-async function listDirs(dir) {
-  const entries = await fsp.readdir(dir, { withFileTypes: true });
-  return entries.filter(d => d.isDirectory()).map(d => d.name).sort();
-}
-
-async function* iterJsonFiles(dir) {
-  const entries = await fsp.readdir(dir, { withFileTypes: true });
-  for (const e of entries) {
-    if (e.isFile() && e.name.toLowerCase().endsWith('.json')) {
-      yield path.join(dir, e.name);
-    }
-  }
-}
-
 // ---------- main ----------
 (async () => {
   const ws = fs.createWriteStream(OUT_CSV, { encoding: 'utf8' });
-  ws.write([
-    'title',
-    'country',
-    'qualificationLevel',
-    'qualificationLevelNum',
-    'description',
-    'learningOutcome',
-    'uri' // NEW: last column
-  ].join(',') + '\n');
-
-  const folders = await listDirs(ROOT);
-
-  for (const folder of folders) {
-    const folderPath = path.join(ROOT, folder);
-    process.stderr.write(`\n▶ Processing folder: ${folder}\n`);
-
-    let folderRows = 0;
-
-    for await (const filePath of iterJsonFiles(folderPath)) {
-      try {
-        const raw = await fsp.readFile(filePath, 'utf8');
-        const data = JSON.parse(raw);
-
-        const title = get(data, ['title'], '');
-        const eqfPref = normalizePrefLabel(get(data, ['EQFLevel', 'prefLabel'], null));
-        const qualificationLevel = eqfPref || '';
-        const qualificationLevelNum = parseQualificationLevelNum(qualificationLevel);
-        const description = get(data, ['description'], '');
-        const countryPref = findCountryPrefLabel(data) || folder;
-        const loNotes = extractLearningOutcomeNotes(data);
-        if (REQUIRE_LO && loNotes.length === 0) continue;
-
-        // Prefer top-level "uri", but also try common alternates.
-        const uri =
-          get(data, ['uri'], '') ||
-          get(data, ['@id'], '') ||
-          get(data, ['id'], '');
+  ws.write(COLUMNS.join(',') + '\n');
+
+  const langColumns = extractor.languageColumns;
+  const langWs = LANGUAGES.length > 1 ? fs.createWriteStream(LANG_CSV, { encoding: 'utf8' }) : null;
+  if (langWs) langWs.write([langColumns[0], 'language', ...langColumns.slice(1)].join(',') + '\n');
+
+  const linksWs = fs.createWriteStream(LINKS_CSV, { encoding: 'utf8' });
+  linksWs.write(links.columns.join(',') + '\n');
+  let linkRows = 0;
+
+  const store = await openStore(ROOT);
+  const perFolder = new Map();
+  process.stderr.write(`\n▶ Reading records from ${ROOT}\n`);
+
+  for await (const { uri, fetchedAt, meta, data } of store.iterate()) {
+    const folder = meta?.country || '';
+    schemaMonitor.check('qualification', data, { version: meta?.apiVersion, id: uri });
+    try {
+      const ctx = { uri, meta: meta || {} };
+      const { row, missing } = extractor.extract(data, ctx);
+      if (REQUIRE_LO && missing.length) continue;
+
+      Object.assign(row, fromRecord({ uri, fetchedAt, meta }, STAGE));
+      const line = COLUMNS.map(c => csvEscape(row[c])).join(',');
+      if (!ws.write(line + '\n')) {
+        await new Promise(resolve => ws.once('drain', resolve));
+      }
+      perFolder.set(folder, (perFolder.get(folder) || 0) + 1);
 
-        const row = [
-          csvEscape(title),
-          csvEscape(countryPref),
-          csvEscape(qualificationLevel),
-          csvEscape(qualificationLevelNum),
-          csvEscape(description),
-          csvEscape(loNotes.join(' | ')),
-          csvEscape(uri) // NEW: last column
-        ].join(',');
+      for (const link of links.extract(data, ctx)) {
+        const cells = links.columns.map(c => csvEscape(c === 'recordId' || c === 'uri' ? row[c] : link[c]));
+        if (!linksWs.write(cells.join(',') + '\n')) {
+          await new Promise(resolve => linksWs.once('drain', resolve));
+        }
+        linkRows++;
+      }
 
-        if (!ws.write(row + '\n')) {
-          await new Promise(resolve => ws.once('drain', resolve));
+      if (langWs) {
+        // strict: only text that really exists in that language, no English fallback
+        for (const lang of LANGUAGES) {
+          const { row: lRow } = extractor.extract(data, ctx, { lang, strict: true });
+          if (!hasContent(lRow, langColumns)) continue;
+          const cells = [row[langColumns[0]], lang, ...langColumns.slice(1).map(c => lRow[c])];
+          if (!langWs.write(cells.map(csvEscape).join(',') + '\n')) {
+            await new Promise(resolve => langWs.once('drain', resolve));
+          }
         }
-        folderRows++;
-      } catch (err) {
-        process.stderr.write(`  ⚠️  ${path.basename(filePath)}: ${err.message}\n`);
       }
+    } catch (err) {
+      process.stderr.write(`  ⚠️  ${uri}: ${err.message}\n`);
     }
+  }
+  await store.close();
 
-    process.stderr.write(`  ✓ ${folderRows} rows written from ${folder}\n`);
+  for (const [folder, rows] of [...perFolder].sort()) {
+    process.stderr.write(`  ✓ ${rows} rows written from ${folder || '(no country)'}\n`);
   }
 
   ws.end();
   await new Promise(resolve => ws.on('finish', resolve));
+  linksWs.end();
+  await new Promise(resolve => linksWs.on('finish', resolve));
+  process.stderr.write(`\n🔗 ${linkRows} ESCO links written to ${LINKS_CSV}\n`);
+  if (langWs) {
+    langWs.end();
+    await new Promise(resolve => langWs.on('finish', resolve));
+    process.stderr.write(`\n🌐 Per-language rows (${LANGUAGES.join(', ')}) written to ${LANG_CSV}\n`);
+  }
   process.stderr.write(`\n✅ Done. CSV written to ${OUT_CSV}\n`);
+  schemaMonitor.finish();
 })().catch(err => {
   console.error(err);
   process.exit(1);
@@ -3,40 +3,32 @@
  * CommonJS script — run: node fetch_levels.js
  *
  * Requirements:
- * - Node 18+ has global fetch. For Node <18 install node-fetch:
- *     npm install node-fetch
- *   The script will automatically use node-fetch if global fetch is not present.
+ * - Node 18+ (global fetch, used by lib/qdrClient.js)
  *
  * Behavior:
  * - iterates EQF levels 1..5
  * - paginates using `from = 0, SIZE, 2*SIZE, ...` until page returns no courses
- * - retries non-200 / network errors with exponential backoff
+ * - retries via the shared QDR client (timeouts, 429 honouring Retry-After, 5xx; other 4xx fail fast)
  * - appends deduplicated courses (by uri) to output/level{n}.ndjson
  * - maintains output/level{n}.index.json (uri list) and .progress.json (lastFrom,totalSaved)
  * - regenerates output/level{n}.json after each completed page (safe: waits for writes to finish)
+ * - delta mode (`--delta` or DELTA=1): completed levels are re-walked from the newest record and
+ *   stop at the first page with no unseen uri, so only new records are appended
+ * - checks every page against schemas/searchResponse.schema.json (reports/schema-10.json)
  */
 
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
-const { setTimeout: wait } = require("timers/promises");
+const { createClient } = require("./lib/qdrClient");
+const { isDeltaMode } = require("./lib/deltaSync");
+const { primaryLanguage } = require("./lib/languages");
+const { SchemaMonitor } = require("./lib/apiSchemas");
 
-// fetch: use global if available, otherwise fallback to node-fetch
-let fetchFn = global.fetch;
-if (!fetchFn) {
-  try {
-    // eslint-disable-next-line node/no-extraneous-require
-    fetchFn = require("node-fetch");
-  } catch (e) {
-    console.error("No global fetch and node-fetch is not installed. Install with: npm install node-fetch");
-    process.exit(1);
-  }
-}
-
-const BASE_URL = "https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search/search";
 const SIZE = 150;
 const MAX_RETRIES = 6;
 const INITIAL_BACKOFF_MS = 800;
+const DELTA = isDeltaMode();
 const OUTPUT_DIR = path.resolve(process.cwd(), "output_learningOpportunities");
 
 if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
@@ -47,43 +39,29 @@ const jsonPathFor = (level) => path.join(OUTPUT_DIR, `level${level}.json`);
 const progressPathFor = (level) => path.join(OUTPUT_DIR, `level${level}.progress.json`);
 const indexPathFor = (level) => path.join(OUTPUT_DIR, `level${level}.index.json`);
 
+const client = createClient({
+  maxRetries: MAX_RETRIES - 1, // MAX_RETRIES counts attempts here
+  backoffMs: INITIAL_BACKOFF_MS,
+  onRetry: ({ url, attempt, delayMs, error }) =>
+    console.warn(`${error.message} for ${url}. retry ${attempt}/${MAX_RETRIES - 1} after ${Math.round(delayMs)}ms`),
+});
+const schemaMonitor = new SchemaMonitor("10");
+
 function buildUrl(level, from) {
-  const params = new URLSearchParams({
-    keywords: "",
-    size: String(SIZE),
-    from: String(from),
-    sortType: "publication date",
-    language: "en",
-    type: "learning-opportunity",
-    eqfLevel: `http://data.europa.eu/snb/eqf/${level}`,
-    version: "1.8",
-  });
-  return `${BASE_URL}?${params.toString()}`;
+  return client.searchUrl({ type: "learning-opportunity", eqfLevel: level, from, size: SIZE, language: primaryLanguage() });
 }
 
 /* ---------- fetch with retry/backoff ---------- */
 async function fetchPageWithRetry(url) {
-  let attempt = 0;
-  while (attempt < MAX_RETRIES) {
-    try {
-      const res = await fetchFn(url, { method: "GET", headers: { Accept: "application/json" } });
-      if (res.status === 200) {
-        const json = await res.json();
-        return { ok: true, data: json, status: res.status };
-      } else {
-        attempt++;
-        const backoff = INITIAL_BACKOFF_MS * 2 ** (attempt - 1);
-        console.warn(`Non-200 (${res.status}) for ${url}. retry ${attempt}/${MAX_RETRIES} after ${backoff}ms`);
-        await wait(backoff);
-      }
-    } catch (err) {
-      attempt++;
-      const backoff = INITIAL_BACKOFF_MS * 2 ** (attempt - 1);
-      console.warn(`Error fetching ${url}: ${err}. retry ${attempt}/${MAX_RETRIES} after ${backoff}ms`);
-      await wait(backoff);
-    }
+  let json;
+  try {
+    json = await client.getJson(url);
+  } catch (err) {
+    return { ok: false, error: `${err.name}: ${err.message} (after ${err.attempts || 1} attempt(s))` };
   }
-  return { ok: false, error: `Failed after ${MAX_RETRIES} retries` };
+  // outside the try: schema problems are reported, never counted as a failed fetch
+  schemaMonitor.check("searchResponse", json, { version: client.version, id: url });
+  return { ok: true, data: json, status: 200 };
 }
 
 /* ---------- index & progress helpers ---------- */
@@ -200,12 +178,50 @@ async function regenerateFinalJson(level, lastFrom) {
   fs.writeFileSync(finalp, JSON.stringify(parsed, null, 2));
 }
 
+/* ---------- delta: re-walk a completed level from the top until nothing is new ---------- */
+async function deltaLevel(level, uriSet, prog) {
+  console.log(`Delta check for level ${level} (known=${uriSet.size})`);
+  let from = 0;
+  let added = 0;
+
+  while (true) {
+    const result = await fetchPageWithRetry(buildUrl(level, from));
+    if (!result.ok) {
+      console.error(`Delta fetch failed for level ${level} from=${from}: ${result.error}`);
+      break;
+    }
+    const courses = Array.isArray(result.data.courses) ? result.data.courses : [];
+    if (courses.length === 0) break;
+
+    const appended = await appendUniqueCoursesToNdjson(level, courses, uriSet);
+    if (appended === 0) break; // reached records we already have
+    added += appended;
+    saveIndex(level, uriSet);
+    console.log(`Level ${level} delta page from=${from} appended ${appended} new items.`);
+    from += SIZE;
+  }
+
+  if (added > 0) await regenerateFinalJson(level, prog.lastFrom);
+  saveProgress(level, {
+    ...prog,
+    totalSaved: (prog.totalSaved || 0) + added,
+    lastDeltaAt: new Date().toISOString(),
+    lastDeltaItems: added,
+  });
+  console.log(`=== DONE level ${level} delta (new=${added}) ===`);
+}
+
 /* ---------- process a single level ---------- */
 async function processLevel(level) {
   console.log(`\n=== START level ${level} ===`);
   const uriSet = loadIndex(level);
   const prog = loadProgress(level);
 
+  if (DELTA && prog && prog.complete) {
+    await deltaLevel(level, uriSet, prog);
+    return;
+  }
+
   let from = 0;
   let totalSaved = uriSet.size || 0;
 
@@ -246,7 +262,7 @@ async function processLevel(level) {
       console.log(`No more courses for level ${level} at from=${from} (empty page). Finalizing...`);
       const lastFrom = Math.max(0, from - SIZE);
       await regenerateFinalJson(level, lastFrom);
-      saveProgress(level, { lastFrom: lastFrom, totalSaved });
+      saveProgress(level, { lastFrom: lastFrom, totalSaved, complete: true });
       saveIndex(level, uriSet);
       break;
     }
@@ -270,7 +286,7 @@ async function processLevel(level) {
         console.log(`Reached last page according to paginationInfos for level ${level}. Finalizing...`);
         const lastFrom = from;
         await regenerateFinalJson(level, lastFrom);
-        saveProgress(level, { lastFrom, totalSaved });
+        saveProgress(level, { lastFrom, totalSaved, complete: true });
         saveIndex(level, uriSet);
         break;
       }
@@ -293,6 +309,7 @@ async function main() {
     }
   }
   console.log("\nAll levels processed (or paused on error).");
+  schemaMonitor.finish();
 }
 
 main().catch((err) => {
@@ -6,10 +6,17 @@
  *     "http://data.europa.eu/snb/data/learningOpportunity/<UUID>",
  * - For each URL, call the QDR API:
  *     https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search/learning-opportunity?uri=<encoded>&language=en&version=1.8
- * - Save the returned JSON to outputDir/json_learningOpportunities/<UUID>.json
+ * - Put the returned JSON into the record store records/json_learningOpportunities/ (lib/recordStore.js),
+ *   keyed by the record URL and language
+ * - With LANGUAGES=en,de,fr each extra language is fetched and stored too
+ * - Every answer is checked against schemas/learningOpportunity.schema.json (reports/schema-20.json) and stored
+ *   with meta.apiVersion, so the extractors can tell which API version a record came from
  *
- * Usage:
- *   npm install axios
+ * - Delta mode (`--delta` or DELTA=1): stored records older than REVALIDATE_DAYS (default 30) are re-fetched and
+ *   stored again only if their content changed; records answering 404/410 are tombstoned in
+ *   json_learningOpportunities_tombstones.ndjson, dropped from the store and skipped on later runs
+ *
+ * Usage (Node 18+, requests go through lib/qdrClient.js):
  *   node scrape-learning-opportunities-batch.js
  *
  * Configuration at top of file.
@@ -18,20 +25,31 @@
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
-const axios = require('axios');
+const { createClient, QdrHttpError } = require('./lib/qdrClient');
+const { getLanguages } = require('./lib/languages');
+const { isDeltaMode, revalidateAfterMs, isRevalidationDue, isGoneStatus, TombstoneLog } = require('./lib/deltaSync');
+const { openStore } = require('./lib/recordStore');
+const { stageTag } = require('./lib/provenance');
+const { SchemaMonitor } = require('./lib/apiSchemas');
 
 //
 // CONFIG
 //
 const inputDir = path.join(process.cwd(), 'output_learningOpportunities'); // folder with levelXindex.json
-const outputDir = path.join(process.cwd(), 'json_learningOpportunities'); // where outputs will be saved
+const storeDir = path.join(process.cwd(), 'records', 'json_learningOpportunities'); // record store for the outputs
 const errorsDir = path.join(process.cwd(), 'json_learningOpportunities_errors'); // per-URL error dumps
+const tombstonesPath = path.join(process.cwd(), 'json_learningOpportunities_tombstones.ndjson'); // records gone upstream
 const indexFiles = Array.from({ length: 8 }, (_, i) => `level${i + 1}.index.json`); // level1index.json .. level8index.json
 const concurrency = 10;      // number of concurrent requests
 const maxRetries = 3;        // attempts per URL
 const requestTimeout = 30000; // ms
-const language = 'en';
-const version = '1.8';
+const languages = getLanguages(); // LANGUAGES=en,de,... ; first is primary
+const version = process.env.QDR_API_VERSION || '1.8'; // pinned; see the schema drift report before changing
+const delta = isDeltaMode();
+
+let store = null; // opened in main
+const schemaMonitor = new SchemaMonitor('20');
+const tombstones = new TombstoneLog(tombstonesPath, '20scraper_opportunities');
 
 //
 // utils
@@ -40,10 +58,18 @@ function sleep(ms) {
   return new Promise((res) => setTimeout(res, ms));
 }
 
-function buildApiUrlFromLoUri(loUri) {
-  const base = 'https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search/learning-opportunity';
-  const encoded = encodeURIComponent(loUri);
-  return `${base}?uri=${encoded}&language=${encodeURIComponent(language)}&version=${encodeURIComponent(version)}`;
+const client = createClient({
+  version,
+  timeoutMs: requestTimeout,
+  maxRetries: maxRetries - 1, // maxRetries counts attempts here
+  backoffMs: 1000,
+  maxConcurrentPerHost: concurrency,
+  onRetry: ({ url, attempt, delayMs, error }) =>
+    console.warn(`Request failed (attempt ${attempt}: ${error.message}) -> retrying after ${Math.round(delayMs)}ms: ${url}`),
+});
+
+function buildApiUrlFromLoUri(loUri, language) {
+  return client.detailUrl('learning-opportunity', loUri, { language });
 }
 
 function extractUuidFromLoUrl(url) {
@@ -59,7 +85,6 @@ function safeFilename(name) {
 }
 
 async function ensureDirs() {
-  await fsp.mkdir(outputDir, { recursive: true });
   await fsp.mkdir(errorsDir, { recursive: true });
 }
 
@@ -78,28 +103,45 @@ async function writeJsonFile(filePath, obj) {
   await fsp.rename(tmp, filePath);
 }
 
-async function fetchApiJson(apiUrl, attempt = 1) {
+// Fetch one record in one language and put it into the store under (record URL, lang).
+async function fetchRecord(loUrl, uuid, lang) {
+  const primary = lang === languages[0];
+  const baseName = safeFilename(uuid) + (primary ? '' : `.${lang}`);
+
+  // skip if already stored (unless delta mode says it is due for revalidation)
+  let revalidate = false;
+  const stored = store.meta(loUrl, { lang });
+  if (stored) {
+    if (!delta || !isRevalidationDue(Date.parse(stored.fetchedAt))) {
+      return { url: loUrl, uuid, skipped: true, reason: 'exists' };
+    }
+    revalidate = true;
+  }
+
+  const apiUrl = buildApiUrlFromLoUri(loUrl, lang);
+
   try {
-    const resp = await axios.get(apiUrl, {
-      responseType: 'json',
-      timeout: requestTimeout,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; fetch-lo-batch/1.0)',
-        'Accept': 'application/json, */*;q=0.1',
-        'Referer': 'http://data.europa.eu/'
-      },
-      validateStatus: (s) => s >= 200 && s < 500
-    });
-    return { status: resp.status, data: resp.data };
+    const data = await client.getJson(apiUrl);
+    schemaMonitor.check('learningOpportunity', data, { version, id: loUrl });
+    const { changed } = await store.put(loUrl, data, { lang, meta: { stage: stageTag(__filename), apiVersion: version } });
+    if (revalidate && !changed) return { url: loUrl, uuid, unchanged: true };
+    return { url: loUrl, uuid, saved: true, changed: revalidate };
   } catch (err) {
-    if (attempt < maxRetries) {
-      const backoff = 1000 * Math.pow(2, attempt - 1);
-      console.warn(`Request failed (attempt ${attempt}) -> retrying after ${backoff}ms: ${apiUrl}`);
-      await sleep(backoff);
-      return fetchApiJson(apiUrl, attempt + 1);
+    if (primary && err instanceof QdrHttpError && isGoneStatus(err.status)) {
+      // record disappeared upstream: keep a tombstone instead of a stale copy
+      await tombstones.record(loUrl, { reason: `http-${err.status}`, lastHash: stored?.hash || null });
+      await store.remove(loUrl, { reason: `http-${err.status}` }); // all languages
+      return { url: loUrl, uuid, saved: false, tombstoned: true };
     }
-    // final failure
-    throw err;
+    const errFile = path.join(errorsDir, `${baseName}.error.json`);
+    // non-2xx (e.g. 404, 403): save whatever the API returned for inspection
+    const eObj = err instanceof QdrHttpError
+      ? { status: err.status, url: apiUrl, body: err.body ?? null, attempts: err.attempts }
+      : { url: apiUrl, error: err.name, message: err.message, attempts: err.attempts || 1, body: err.body ?? null };
+    try { await writeJsonFile(errFile, eObj); } catch (writeErr) { console.error('Failed to write error file', writeErr); }
+    if (!(err instanceof QdrHttpError)) console.error(`Failed url: ${loUrl} -> saved error to ${errFile}`);
+    const reason = err instanceof QdrHttpError ? `status-${err.status}` : 'exception';
+    return { url: loUrl, uuid, saved: false, reason, errorFile: errFile };
   }
 }
 
@@ -136,12 +178,19 @@ async function asyncPool(items, worker, concurrency) {
 (async () => {
   console.log('Starting batch scrape of learning opportunities');
   console.log('Input directory:', inputDir);
-  console.log('Output directory:', outputDir);
+  console.log('Record store:', storeDir);
   console.log('Errors directory:', errorsDir);
   console.log('Index files to process:', indexFiles.join(', '));
   console.log('Concurrency:', concurrency, 'Max retries:', maxRetries);
+  console.log('Languages:', languages.join(', '));
 
   await ensureDirs();
+  await tombstones.load();
+  store = await openStore(storeDir);
+  if (delta) {
+    const days = revalidateAfterMs() / (24 * 60 * 60 * 1000);
+    console.log(`Delta mode: fetching new records, ${days ? `revalidating records older than ${days} days` : 'revalidation off (REVALIDATE_DAYS=0)'}`);
+  }
 
   // Load all URLs from all index files (streaming file-by-file to avoid too-large memory spike)
   let totalUrls = 0;
@@ -177,48 +226,18 @@ async function asyncPool(items, worker, concurrency) {
         return { url: loUrl, skipped: true, reason: 'bad-url' };
       }
 
-      const outFileName = safeFilename(uuid) + '.json';
-      const outPath = path.join(outputDir, outFileName);
-
-      // skip if already exists
-      if (await fsp.stat(outPath).catch(() => false)) {
-        return { url: loUrl, uuid, skipped: true, reason: 'exists' };
+      if (tombstones.has(loUrl)) {
+        return { url: loUrl, uuid, skipped: true, reason: 'tombstoned' };
       }
 
-      const apiUrl = buildApiUrlFromLoUri(loUrl);
-
-      try {
-        const res = await fetchApiJson(apiUrl, 1);
-        // if status is not 200, still save body for inspection
-        if (res && (res.status === 200 || res.status === 201)) {
-          await writeJsonFile(outPath, res.data);
-          return { url: loUrl, uuid, saved: true, file: outPath };
-        } else {
-          // non-200 (e.g., 404, 403) - save whatever returned
-          const errObj = {
-            status: res ? res.status : 'noresponse',
-            url: apiUrl,
-            body: res ? res.data : null
-          };
-          const errFile = path.join(errorsDir, `${safeFilename(uuid)}.error.json`);
-          await writeJsonFile(errFile, errObj);
-          return { url: loUrl, uuid, saved: false, reason: `status-${res ? res.status : 'noresp'}`, errorFile: errFile };
+      const result = await fetchRecord(loUrl, uuid, languages[0]);
+      if (!result.tombstoned) {
+        for (const lang of languages.slice(1)) {
+          const variant = await fetchRecord(loUrl, uuid, lang);
+          if (variant.saved) result.variantsSaved = (result.variantsSaved || 0) + 1;
         }
-      } catch (err) {
-        // final failure after retries - dump error and response if available
-        const eObj = {
-          url: apiUrl,
-          message: err.message,
-          stack: err.stack || null,
-          code: err.code || null,
-          responseStatus: err.response && err.response.status ? err.response.status : null,
-          responseBody: err.response && err.response.data ? err.response.data : null
-        };
-        const errFile = path.join(errorsDir, `${safeFilename(uuid)}.error.json`);
-        try { await writeJsonFile(errFile, eObj); } catch (writeErr) { console.error('Failed to write error file', writeErr); }
-        console.error(`Failed url: ${loUrl} -> saved error to ${errFile}`);
-        return { url: loUrl, uuid, saved: false, reason: 'exception', errorFile: errFile };
       }
+      return result;
     };
 
     // run worker in limited-concurrency pool for this index file
@@ -228,8 +247,10 @@ async function asyncPool(items, worker, concurrency) {
       .then((results) => {
         const saved = results.filter((r) => r && r.saved).length;
         const skipped = results.filter((r) => r && r.skipped).length;
-        const failed = results.filter((r) => r && r.saved === false && !r.skipped).length;
-        console.log(`Finished ${idxFile}: saved=${saved}, skipped=${skipped}, failed=${failed}`);
+        const failed = results.filter((r) => r && r.saved === false && !r.skipped && !r.tombstoned).length;
+        const gone = results.filter((r) => r && r.tombstoned).length;
+        console.log(`Finished ${idxFile}: saved=${saved}, skipped=${skipped}, failed=${failed}, tombstoned=${gone}` +
+          (delta ? `, changed=${results.filter((r) => r && r.changed).length}, unchanged=${results.filter((r) => r && r.unchanged).length}` : ''));
       })
       .catch((e) => {
         console.error('Unexpected error while processing pool for', idxFile, e && e.message ? e.message : e);
@@ -238,6 +259,9 @@ async function asyncPool(items, worker, concurrency) {
     console.log(`Processed ${idxFile} in ${elapsed.toFixed(1)}s`);
   }
 
+  await store.close();
   console.log(`All index files processed. Total URLs discovered (approx): ${totalUrls}`);
+  console.log(`Record store now holds ${store.stats().records} record(s).`);
+  schemaMonitor.finish();
   console.log('Done.');
 })();
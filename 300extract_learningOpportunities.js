@@ -1,25 +1,41 @@
 /**
  * extract_lo_csv_concurrent.js
  *
- * Designed for large volumes (100k+) of JSON files.
- * - Controlled concurrency using a lightweight semaphore
+ * Designed for large volumes (100k+) of records.
+ * - Streams records from the record store written by 20 (lib/recordStore.js)
+ * - Columns come from the "learningOpportunities" extractor in fieldMappings.json,
+ *   followed by the provenance columns (recordId, uri, fetchedAt, stages; lib/provenance.js)
+ * - ESCO skill/occupation links in the records go to LINKS_CSV (lib/escoLinks.js)
+ * - Records are checked against schemas/learningOpportunity.schema.json per meta.apiVersion
+ *   (reports/schema-300.json, lib/apiSchemas.js)
  * - Streaming CSV output with backpressure handling
  * - Minimal memory footprint
  *
- * Edit INPUT_FOLDER, OUTPUT_CSV, and CONCURRENCY as desired, then run:
+ * Edit STORE_DIR and OUTPUT_CSV as desired, then run:
  *   node extract_lo_csv_concurrent.js
  */
 
 const fs = require('fs');
-const fsp = require('fs').promises;
 const path = require('path');
-const os = require('os');
+const { getLanguages } = require('./lib/languages');
+const { openStore } = require('./lib/recordStore');
+const { createExtractor } = require('./lib/extractor');
+const { fromRecord, stageTag, withProvenanceColumns } = require('./lib/provenance');
+const { createLinkExtractor } = require('./lib/escoLinks');
+const { SchemaMonitor } = require('./lib/apiSchemas');
 
 // ---------- CONFIG ----------
-const INPUT_FOLDER = path.resolve(__dirname, 'json_learningOpportunities'); // edit
+const STORE_DIR = path.resolve(__dirname, 'records', 'json_learningOpportunities'); // edit
 const OUTPUT_CSV = path.resolve(__dirname, 'learning_opportunities_output.csv'); // edit
-const CONCURRENCY = Math.max(4, os.cpus().length * 2); // tune this (lower if IO-bound on slow disks)
 const LOG_EVERY = 5000; // progress log frequency
+const LANGUAGES = getLanguages(); // LANGUAGES=en,de,... -> extra long-format CSV below
+const LANGUAGES_CSV = path.resolve(__dirname, 'learning_opportunities_languages.csv');
+const LINKS_CSV = path.resolve(__dirname, 'learning_opportunities_esco_links.csv');
+const extractor = createExtractor('learningOpportunities');
+const COLUMNS = withProvenanceColumns(extractor.columns);
+const STAGE = stageTag(__filename);
+const links = createLinkExtractor();
+const schemaMonitor = new SchemaMonitor('300');
 // ----------------------------
 
 function escapeForCsv(value) {
@@ -31,108 +47,27 @@ function escapeForCsv(value) {
   return s;
 }
 
-// simple semaphore for concurrency control
-class Semaphore {
-  constructor(max) {
-    this.max = max;
-    this.current = 0;
-    this.waiters = [];
-  }
-  async acquire() {
-    if (this.current < this.max) {
-      this.current += 1;
-      return;
-    }
-    await new Promise(resolve => this.waiters.push(resolve));
-    this.current += 1;
-  }
-  release() {
-    this.current -= 1;
-    const next = this.waiters.shift();
-    if (next) next();
-  }
+// "file" column keeps the <UUID>.json name the loose-file layout used
+function recordFileName(uri) {
+  return `${String(uri).replace(/\/+$/, '').split('/').pop()}.json`;
 }
 
-function firstCountryPrefLabelFromProvidedBy(obj) {
-  if (!obj) return '';
-  const pbArr = obj.providedBy;
-  if (Array.isArray(pbArr)) {
-    for (const pb of pbArr) {
-      if (!pb) continue;
-      const locs = pb.location;
-      if (Array.isArray(locs)) {
-        for (const loc of locs) {
-          if (!loc) continue;
-          const addrs = loc.address;
-          if (Array.isArray(addrs)) {
-            for (const a of addrs) {
-              if (a?.countryCode?.prefLabel) return a.countryCode.prefLabel;
-            }
-          }
-        }
-      }
-    }
-  }
-  const pub = obj.publisher;
-  if (pub && Array.isArray(pub.location)) {
-    for (const loc of pub.location) {
-      const addrs = loc.address;
-      if (Array.isArray(addrs)) {
-        for (const a of addrs) {
-          if (a?.countryCode?.prefLabel) return a.countryCode.prefLabel;
-        }
-      }
-    }
-  }
-  return '';
-}
-
-function extractLearningOutcomeSummary(obj) {
-  const las = obj.learningAchievementSpecification?.learningOutcomeSummary;
-  return (las && typeof las.noteLiteral === 'string') ? las.noteLiteral.trim() : '';
+function recordRow(uri, obj, lang) {
+  const { row } = extractor.extract(obj, { uri, file: recordFileName(uri) }, { lang });
+  return row;
 }
 
-function extractLearningOutcomeArray(obj) {
-  const out = [];
-  const los = obj.learningAchievementSpecification?.learningOutcome;
-  if (!Array.isArray(los)) return out;
-  for (const lo of los) {
-    const title = lo?.title ?? '';
-    const additionalNote = Array.isArray(lo?.additionalNote)
-      ? lo.additionalNote.map(an => (an && typeof an.noteLiteral === 'string') ? an.noteLiteral : '').filter(Boolean)
-      : [];
-    out.push({ title, additionalNote });
+// One row per language the record was fetched in
+async function languageRows(store, uri) {
+  const cols = extractor.languageColumns;
+  const rows = [];
+  for (const lang of LANGUAGES) {
+    const doc = await store.get(uri, { lang });
+    if (!doc) continue;
+    const row = recordRow(uri, doc, lang);
+    rows.push([row[cols[0]], lang, ...cols.slice(1).map(c => row[c])].map(escapeForCsv).join(','));
   }
-  return out;
-}
-
-async function getJsonFiles(folder) {
-  const names = await fsp.readdir(folder);
-  return names.filter(n => n.toLowerCase().endsWith('.json')).map(n => path.join(folder, n));
-}
-
-async function processOneFile(filePath) {
-  const raw = await fsp.readFile(filePath, 'utf8');
-  const obj = JSON.parse(raw);
-
-  const title = obj.title ?? '';
-  const country = firstCountryPrefLabelFromProvidedBy(obj) || '';
-  const eqf = obj.learningAchievementSpecification?.EQFLevel?.prefLabel || obj.EQFLevel?.prefLabel || '';
-  const learningOutcomeSummary = extractLearningOutcomeSummary(obj) || '';
-  const learningOutcomeArr = extractLearningOutcomeArray(obj);
-
-  const loJson = JSON.stringify(learningOutcomeArr || []);
-
-  const row = [
-    escapeForCsv(path.basename(filePath)),
-    escapeForCsv(title),
-    escapeForCsv(country),
-    escapeForCsv(eqf),
-    escapeForCsv(learningOutcomeSummary),
-    escapeForCsv(loJson)
-  ].join(',');
-
-  return row;
+  return rows;
 }
 
 async function writeLineWithBackpressure(stream, line) {
@@ -142,58 +77,60 @@ async function writeLineWithBackpressure(stream, line) {
 }
 
 (async function main() {
-  try {
-    const stat = await fsp.stat(INPUT_FOLDER);
-    if (!stat.isDirectory()) {
-      console.error('INPUT_FOLDER is not a directory:', INPUT_FOLDER);
-      process.exit(1);
-    }
-  } catch (err) {
-    console.error('Cannot access INPUT_FOLDER:', err.message);
+  if (!fs.existsSync(STORE_DIR)) {
+    console.error('Record store not found:', STORE_DIR, '(run 20scraper_opportunities.js first)');
     process.exit(1);
   }
 
-  console.log('Scanning folder for .json files...');
-  const files = await getJsonFiles(INPUT_FOLDER);
-  console.log(`Found ${files.length} JSON files. Using concurrency = ${CONCURRENCY}`);
+  const store = await openStore(STORE_DIR);
+  let total = 0;
+  for (const _ of store.entriesFor({ lang: LANGUAGES[0] })) total++;
+  console.log(`Reading ${total} records from ${STORE_DIR}`);
 
   // open write stream
   const outStream = fs.createWriteStream(OUTPUT_CSV, { encoding: 'utf8' });
   // write header
-  const header = [
-    'file',
-    'title',
-    'countryCode.prefLabel',
-    'EQFLevel.prefLabel',
-    'learningOutcomeSummary.noteLiteral',
-    'learningOutcome'
-  ].join(',');
+  const header = COLUMNS.join(',');
   outStream.write(header + '\n');
 
-  const sem = new Semaphore(CONCURRENCY);
+  const langStream = LANGUAGES.length > 1 ? fs.createWriteStream(LANGUAGES_CSV, { encoding: 'utf8' }) : null;
+  if (langStream) {
+    const cols = extractor.languageColumns;
+    langStream.write([cols[0], 'language', ...cols.slice(1)].join(',') + '\n');
+  }
+
+  const linksStream = fs.createWriteStream(LINKS_CSV, { encoding: 'utf8' });
+  linksStream.write(links.columns.join(',') + '\n');
+
   let processed = 0;
   let failed = 0;
+  let linkRows = 0;
 
-  // Kick off tasks but limit concurrency manually
-  const tasks = files.map(filePath => (async () => {
-    await sem.acquire();
+  for await (const { uri, fetchedAt, meta, data } of store.iterate({ lang: LANGUAGES[0] })) {
+    schemaMonitor.check('learningOpportunity', data, { version: meta?.apiVersion, id: uri });
     try {
-      const line = await processOneFile(filePath);
-      await writeLineWithBackpressure(outStream, line);
+      const row = { ...recordRow(uri, data, LANGUAGES[0]), ...fromRecord({ uri, fetchedAt, meta }, STAGE) };
+      await writeLineWithBackpressure(outStream, COLUMNS.map(c => escapeForCsv(row[c])).join(','));
+      for (const link of links.extract(data, { uri }, { lang: LANGUAGES[0] })) {
+        Object.assign(link, { recordId: row.recordId, uri: row.uri });
+        await writeLineWithBackpressure(linksStream, links.columns.map(c => escapeForCsv(link[c])).join(','));
+        linkRows++;
+      }
+      if (langStream) {
+        for (const langLine of await languageRows(store, uri)) {
+          await writeLineWithBackpressure(langStream, langLine);
+        }
+      }
       processed += 1;
       if (processed % LOG_EVERY === 0) {
-        console.log(`Processed ${processed}/${files.length} files...`);
+        console.log(`Processed ${processed}/${total} records...`);
       }
     } catch (err) {
       failed += 1;
-      console.error(`Error processing ${filePath}: ${err.message}`);
-    } finally {
-      sem.release();
+      console.error(`Error processing ${uri}: ${err.message}`);
     }
-  })());
-
-  // Wait for all tasks to finish
-  await Promise.all(tasks);
+  }
+  await store.close();
 
   // close stream
   await new Promise((resolve, reject) => {
@@ -201,7 +138,22 @@ async function writeLineWithBackpressure(stream, line) {
     outStream.on('error', reject);
   });
 
+  await new Promise((resolve, reject) => {
+    linksStream.end(() => resolve());
+    linksStream.on('error', reject);
+  });
+  console.log(`ESCO links: ${linkRows} written to ${LINKS_CSV}`);
+
+  if (langStream) {
+    await new Promise((resolve, reject) => {
+      langStream.end(() => resolve());
+      langStream.on('error', reject);
+    });
+    console.log(`Per-language rows (${LANGUAGES.join(', ')}) written to ${LANGUAGES_CSV}`);
+  }
+
   console.log(`Done. Processed: ${processed}, Failed: ${failed}. Output: ${OUTPUT_CSV}`);
+  schemaMonitor.finish();
 })().catch(err => {
   console.error('Fatal error:', err);
   process.exit(1);
@@ -9,9 +9,11 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { stageTag, touch } = require('./lib/provenance');
 
 const INPUT_CSV = path.resolve(__dirname, 'learning_opportunities_output.csv');
 const OUTPUT_CSV = path.resolve(__dirname, 'learning_opportunities_output_filtered.csv');
+const STAGE = stageTag(__filename);
 
 const REQUIRED_COLS = [
   'title',
@@ -50,6 +52,7 @@ async function main() {
       const ok = REQUIRED_COLS.every(col => isNonEmpty(row[col]));
       if (ok) {
         // Write row back as CSV line
+        touch(row, STAGE);
         const line = Object.values(row).map(escapeForCsv).join(',');
         output.write(line + '\n');
         kept++;
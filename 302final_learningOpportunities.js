@@ -11,6 +11,7 @@
  *   EQFLevel_numeric,            <- new (only X)
  *   learningOutcomeSummary.noteLiteral,
  *   learningOutcome_additionalNote  <- concatenated plain text of all additionalNote entries
+ *   recordId, uri, fetchedAt, stages  <- provenance, passed through (lib/provenance.js)
  *
  * Omits: file
  */
@@ -18,9 +19,11 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { PROVENANCE_COLUMNS, stageTag, touch } = require('./lib/provenance');
 
 const INPUT_CSV = path.resolve(__dirname, 'learning_opportunities_output_filtered.csv');
 const OUTPUT_CSV = path.resolve(__dirname, 'learning_opportunities_transformed.csv');
+const STAGE = stageTag(__filename);
 
 // Adjust separator/joiner if you prefer something else
 const ADDITIONAL_NOTE_JOINER = ' ; ';
@@ -107,7 +110,8 @@ const OUTPUT_HEADERS = [
   'EQFLevel_prefLabel',
   'EQFLevel_numeric',
   'learningOutcomeSummary.noteLiteral',
-  'learningOutcome_additionalNote'
+  'learningOutcome_additionalNote',
+  ...PROVENANCE_COLUMNS
 ];
 
 (async function main() {
@@ -139,6 +143,7 @@ const OUTPUT_HEADERS = [
 
       const eqfNumeric = extractEqfNumeric(eqfLabel);
       const additionalNotesText = extractAdditionalNotesFromLearningOutcome(learningOutcomeRaw);
+      touch(row, STAGE);
 
       const outRow = [
         escapeForCsv(title),
@@ -146,7 +151,8 @@ const OUTPUT_HEADERS = [
         escapeForCsv(eqfLabel),
         escapeForCsv(eqfNumeric),
         escapeForCsv(loSummary),
-        escapeForCsv(additionalNotesText)
+        escapeForCsv(additionalNotesText),
+        ...PROVENANCE_COLUMNS.map(c => escapeForCsv(row[c]))
       ].join(',');
 
       writeStream.write(outRow + '\n');
@@ -12,11 +12,13 @@
 
 const fs = require('fs');
 const Papa = require('papaparse');
+const { stageTag, touch } = require('./lib/provenance');
 
 // Configuration
 const INPUT_FILE = 'learning_opportunities_transformed.csv';
 const OUTPUT_FILE = 'learning_opportunities_nomore.csv';
 const COLUMN_TO_CLEAN = 'learningOutcome_additionalNote';
+const STAGE = stageTag(__filename);
 
 // Function to clean the text by removing numbered list markers
 function cleanText(text) {
@@ -67,6 +69,7 @@ fs.readFile(INPUT_FILE, 'utf8', (err, data) => {
           }
           row[COLUMN_TO_CLEAN] = cleaned;
         }
+        touch(row, STAGE);
       });
       
       console.log(`Cleaned ${cleanedCount} entries`);
@@ -1,14 +1,31 @@
 // extract_all_to_csv.js
-// Usage: node extract_all_to_csv.js /path/to/json/folder
+// Usage: node extract_all_to_csv.js [recordStoreDir]   (default: records/json_qualifications, written by 21)
 // Writes output_all.csv in the current working directory
-// Dependency-free; uses streams + a simple concurrency limiter.
+// Dependency-free; streams records out of the record store (lib/recordStore.js).
+// Columns come from the "qualifications" extractor in fieldMappings.json (lib/extractor.js),
+// followed by the provenance columns (recordId, uri, fetchedAt, stages; lib/provenance.js).
+// ESCO skill/occupation links in the records go to output_all_esco_links.csv (lib/escoLinks.js).
+// Records are checked against schemas/qualification.schema.json per meta.apiVersion
+// (reports/schema-310.json, lib/apiSchemas.js).
 
 const fs = require('fs');
-const fsp = require('fs').promises;
 const path = require('path');
+const { getLanguages } = require('./lib/languages');
+const { openStore } = require('./lib/recordStore');
+const { createExtractor } = require('./lib/extractor');
+const { fromRecord, stageTag, withProvenanceColumns } = require('./lib/provenance');
+const { createLinkExtractor } = require('./lib/escoLinks');
+const { SchemaMonitor } = require('./lib/apiSchemas');
 
 const OUTPUT_CSV = 'output_all.csv';
-const CONCURRENCY = 50; // adjust to your machine (e.g. 10-200)
+const LANGUAGES = getLanguages(); // LANGUAGES=en,de,... -> also writes OUTPUT_LANGUAGES_CSV
+const OUTPUT_LANGUAGES_CSV = 'output_all_languages.csv';
+const OUTPUT_LINKS_CSV = 'output_all_esco_links.csv';
+const extractor = createExtractor('qualifications');
+const COLUMNS = withProvenanceColumns(extractor.columns);
+const STAGE = stageTag(__filename);
+const links = createLinkExtractor();
+const schemaMonitor = new SchemaMonitor('310');
 
 // CSV escaping helper
 function escapeCsv(value) {
@@ -18,184 +35,98 @@ function escapeCsv(value) {
   return `"${s}"`;
 }
 
-// safe getter for nested paths
-function safeGet(obj, pathArray) {
-  let cur = obj;
-  for (const p of pathArray) {
-    if (!cur) return undefined;
-    cur = cur[p];
-  }
-  return cur;
-}
-
-function extractLearningOutcomes(json) {
-  const los = json.learningOutcome;
-  if (!Array.isArray(los)) return [];
-  return los.map(lo => {
-    const title = lo.title || '';
-    const addNotes = Array.isArray(lo.additionalNote)
-      ? lo.additionalNote.map(n => n.noteLiteral || '').filter(Boolean)
-      : [];
-    return { title, additionalNotes: addNotes.join('\n\n') };
-  });
-}
-
-// Extract single file -> object for CSV
-async function processFile(filePath) {
+// Extract single record -> { column: value } for CSV
+function processRecord(uri, json, lang = LANGUAGES[0]) {
   try {
-    const txt = await fsp.readFile(filePath, 'utf8');
-    const json = JSON.parse(txt);
-
-    const qualificationName = json.title || '';
-
-    // publisher -> location[0] -> address[0] -> countryCode.prefLabel
-    const country = safeGet(json, ['publisher', 'location', 0, 'address', 0, 'countryCode', 'prefLabel']) || '';
-
-    const qualificationLevel = safeGet(json, ['EQFLevel', 'prefLabel']) || '';
-
-    const description = safeGet(json, ['learningOutcomeSummary', 'noteLiteral']) || '';
-
-    const entryRequirement = safeGet(json, ['entryRequirement', 'noteLiteral']) || '';
-
-    const learningOutcomes = extractLearningOutcomes(json);
-
-    return {
-      qualificationName,
-      country,
-      qualificationLevel,
-      description,
-      learningOutcomes,
-      entryRequirement
-    };
+    return extractor.extract(json, { uri }, { lang }).row;
   } catch (err) {
     // Return error marker so caller can log
-    return { __error: true, filePath, message: err.message };
+    return { __error: true, uri, message: err.message };
   }
 }
 
-// Recursively collect all .json files (async)
-async function collectJsonFiles(dir) {
-  const results = [];
-  async function walk(current) {
-    const entries = await fsp.readdir(current, { withFileTypes: true });
-    for (const ent of entries) {
-      const full = path.join(current, ent.name);
-      if (ent.isDirectory()) {
-        await walk(full);
-      } else if (ent.isFile() && ent.name.toLowerCase().endsWith('.json')) {
-        results.push(full);
-      }
+// Long format: one row per language the record was fetched in
+async function writeLanguageRows(store, uris) {
+  const ws = fs.createWriteStream(OUTPUT_LANGUAGES_CSV, { encoding: 'utf8' });
+  const cols = extractor.languageColumns;
+  ws.write([cols[0], 'language', ...cols.slice(1)].join(',') + '\n');
+  let rows = 0;
+  for (const uri of uris) {
+    for (const lang of LANGUAGES) {
+      const doc = await store.get(uri, { lang });
+      if (!doc) continue;
+      const row = processRecord(uri, doc, lang);
+      if (row.__error) continue;
+      const cells = [row[cols[0]], lang, ...cols.slice(1).map(c => row[c])].map(escapeCsv);
+      if (!ws.write(cells.join(',') + '\n')) await new Promise(r => ws.once('drain', r));
+      rows++;
     }
   }
-  await walk(dir);
-  return results;
-}
-
-// Simple concurrency pool for async tasks
-function runWithConcurrency(tasks, limit) {
-  return new Promise((resolve) => {
-    const results = new Array(tasks.length);
-    let i = 0;
-    let running = 0;
-    let finished = 0;
-
-    function runNext() {
-      if (finished === tasks.length) return resolve(results);
-      while (running < limit && i < tasks.length) {
-        const idx = i++;
-        running++;
-        tasks[idx]()
-          .then(res => { results[idx] = res; })
-          .catch(err => { results[idx] = { __error:true, message: err.message }; })
-          .finally(() => {
-            running--;
-            finished++;
-            runNext();
-          });
-      }
-    }
-    runNext();
-  });
+  await new Promise(resolve => ws.end(resolve));
+  console.log(`Per-language rows: ${rows} (${LANGUAGES.join(', ')}) written to ${path.resolve(OUTPUT_LANGUAGES_CSV)}`);
 }
 
 async function main() {
-  const folder = process.argv[2] || '.';
-  const absFolder = path.resolve(folder);
+  const storeDir = path.resolve(process.argv[2] || path.join('records', 'json_qualifications'));
+  if (!fs.existsSync(storeDir)) {
+    console.error('Record store not found:', storeDir);
+    process.exitCode = 1;
+    return;
+  }
 
   // Create write stream for CSV and write header
   const ws = fs.createWriteStream(OUTPUT_CSV, { encoding: 'utf8' });
-  const headers = [
-    'qualificationName',
-    'country',
-    'qualificationLevel',
-    'description',
-    'learningOutcomes',
-    'entryRequirement',
-    'sourceFile'
-  ];
+  const headers = COLUMNS;
   ws.write(headers.join(',') + '\n');
 
-  try {
-    console.log('Scanning for JSON files in', absFolder);
-    const filePaths = await collectJsonFiles(absFolder);
-    console.log(`Found ${filePaths.length} JSON files.`);
-
-    if (filePaths.length === 0) {
-      ws.end();
-      console.log('No files to process. Exiting.');
-      return;
-    }
-
-    // Build tasks array
-    const tasks = filePaths.map(fp => async () => {
-      const res = await processFile(fp);
-      return { res, fp };
-    });
-
-    console.log(`Processing files with concurrency=${CONCURRENCY}...`);
+  const linksWs = fs.createWriteStream(OUTPUT_LINKS_CSV, { encoding: 'utf8' });
+  linksWs.write(links.columns.join(',') + '\n');
 
+  const store = await openStore(storeDir);
+  try {
+    console.log('Reading records from', storeDir);
     const startTime = Date.now();
-    // We will use runWithConcurrency to control concurrency, but stream rows as results come back
-    // To avoid holding all results in memory, process in batches of size CONCURRENCY:
-    // We'll create chunks of tasks and run each chunk with concurrency limit equal to chunk size.
-    // Simpler: runWithConcurrency returns array in original order; we will write as results are ready.
-    const results = await runWithConcurrency(tasks, CONCURRENCY);
-
+    const uris = [];
     let successCount = 0;
     let errorCount = 0;
+    let linkRows = 0;
 
-    for (const item of results) {
-      if (!item) continue;
-      const { res, fp } = item;
-      if (!res) continue;
+    for await (const { uri, fetchedAt, meta, data } of store.iterate({ lang: LANGUAGES[0] })) {
+      schemaMonitor.check('qualification', data, { version: meta?.apiVersion, id: uri });
+      const res = processRecord(uri, data);
       if (res.__error) {
         errorCount++;
-        console.error(`Error: ${res.filePath || fp} -> ${res.message || res}`);
+        console.error(`Error: ${uri} -> ${res.message}`);
         continue;
       }
 
-      // Prepare CSV row
-      const loForCsv = res.learningOutcomes.map(lo => ({ title: lo.title, additionalNotes: lo.additionalNotes }));
-      const cells = [
-        escapeCsv(res.qualificationName),
-        escapeCsv(res.country),
-        escapeCsv(res.qualificationLevel),
-        escapeCsv(res.description),
-        escapeCsv(loForCsv),
-        //escapeCsv(res.entryRequirement),
-        escapeCsv(fp)
-      ];
-      ws.write(cells.join(',') + '\n');
+      Object.assign(res, fromRecord({ uri, fetchedAt, meta }, STAGE));
+      const cells = COLUMNS.map(c => escapeCsv(res[c]));
+      if (!ws.write(cells.join(',') + '\n')) await new Promise(r => ws.once('drain', r));
+      for (const link of links.extract(data, { uri })) {
+        Object.assign(link, { recordId: res.recordId, uri: res.uri });
+        if (!linksWs.write(links.columns.map(c => escapeCsv(link[c])).join(',') + '\n')) await new Promise(r => linksWs.once('drain', r));
+        linkRows++;
+      }
+      if (LANGUAGES.length > 1) uris.push(uri);
       successCount++;
     }
 
     const elapsed = (Date.now() - startTime) / 1000;
-    ws.end();
-    console.log(`Done. Processed ${successCount} files successfully, ${errorCount} errors. Elapsed ${elapsed.toFixed(1)}s`);
+    await new Promise(resolve => ws.end(resolve));
+    await new Promise(resolve => linksWs.end(resolve));
+    console.log(`Done. Processed ${successCount} records successfully, ${errorCount} errors. Elapsed ${elapsed.toFixed(1)}s`);
     console.log(`CSV written to ${path.resolve(OUTPUT_CSV)}`);
+    console.log(`ESCO links: ${linkRows} written to ${path.resolve(OUTPUT_LINKS_CSV)}`);
+
+    if (LANGUAGES.length > 1) await writeLanguageRows(store, uris);
+    schemaMonitor.finish();
   } catch (err) {
     ws.end();
+    linksWs.end();
     console.error('Fatal error:', err);
+  } finally {
+    await store.close();
   }
 }
 
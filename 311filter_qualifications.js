@@ -8,10 +8,12 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { stageTag, touch } = require('./lib/provenance');
 
 const inputPath = process.argv[2] || 'output_all.csv';
 const outputPrefix = process.argv[3] || 'filtered';
 const rowsPerFileArg = process.argv[4];
+const STAGE = stageTag(__filename);
 
 // Interpret rowsPerFile:
 // - if omitted, or <= 0 => no sharding (single output file)
@@ -108,6 +110,8 @@ readStream
     if (!pass) return;
 
     // Build output row without sourceFile and without entryRequirement
+    // (uri, recordId, fetchedAt and stages are kept for traceability)
+    touch(row, STAGE);
     const outRow = outHeaders.map(h => {
       return escapeCsvCell(row.hasOwnProperty(h) ? row[h] : '');
     }).join(',');
@@ -5,9 +5,11 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { stageTag, touch } = require('./lib/provenance');
 
 const inputPath = process.argv[2] || 'cleaned_qualifications.csv';
 const outputPath = process.argv[3] || 'final_qualifications.csv';
+const STAGE = stageTag(__filename);
 
 if (!fs.existsSync(inputPath)) {
   console.error('Input file not found:', inputPath);
@@ -65,6 +67,7 @@ rs.pipe(csv())
 
     const idx = outHeaders.indexOf('qualificationLevelNum');
     const levelNum = extractLevelNum(row.qualificationLevel);
+    touch(row, STAGE);
 
     // build row array in header order
     const rowOut = [];
@@ -5,9 +5,11 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { stageTag, touch } = require('./lib/provenance');
 
 const inputPath = process.argv[2] || 'filtered_qualifications.csv';
 const outputPath = process.argv[3] || 'cleaned_qualifications.csv';
+const STAGE = stageTag(__filename);
 
 if (!fs.existsSync(inputPath)) {
   console.error('Input file not found:', inputPath);
@@ -216,6 +218,7 @@ rs
 
     row.description = cleanedDescription;
     row.learningOutcomes = cleanedLO;
+    touch(row, STAGE);
 
     const outLine = outHeaders.map(h => escapeCsvCell(row.hasOwnProperty(h) ? row[h] : '')).join(',');
     writer.write(outLine + '\n');
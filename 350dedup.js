@@ -0,0 +1,232 @@
+// dedup_near_duplicates.js
+// Usage:
+//   node dedup_near_duplicates.js [--threshold 0.8] [--any-level] [<input.csv> <output.csv> ...]
+// Defaults: learning_opportunities_nomore.csv -> learning_opportunities_dedup.csv (303 output)
+//           final_qualifications.csv -> final_qualifications_dedup.csv (312 output)
+//
+// Exact-URI dedup (00, 10, 11) lets the same course through when several providers or countries
+// publish it as separate records. This stage clusters near-duplicates within each file by their
+// title + description (MinHash over character shingles, lib/nearDuplicates.js):
+//   - only records of the same EQF level are compared (--any-level compares across levels)
+//   - records with a bare title (no description) only merge with identical titles in the same country
+//   - --threshold: estimated Jaccard similarity of the shingle sets needed to merge (default 0.8)
+// Per cluster the most complete record (description, learning outcomes, country, level; then the
+// longest text) is kept and gets the cluster columns:
+//   clusterSize        records in the cluster (1 for records without duplicates)
+//   clusterCountries   countries of all members, " | "-separated
+//   duplicateUris      URIs of the dropped members, " | "-separated
+// The other members are dropped. Running the stage on its own output again adds up the cluster
+// columns of merged rows. Every member is listed in dedup_clusters.csv
+// (clusterId = recordId of the kept record, similarity to it), and reports/dedup.json has the
+// cluster statistics: sizes, cross-country clusters, rows per country and EQF level before/after.
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { columnRoles } = require('./lib/schema');
+const { REPORT_DIR, csvLine, write, close, filePairs } = require('./lib/stageIo');
+const { stageTag, touch } = require('./lib/provenance');
+const { DEFAULT_THRESHOLD, DEDUP_COLUMNS, LIST_SEPARATOR, NearDuplicateClusterer } = require('./lib/nearDuplicates');
+
+const DEFAULT_JOBS = [
+  { input: 'learning_opportunities_nomore.csv', output: 'learning_opportunities_dedup.csv' },
+  { input: 'final_qualifications.csv', output: 'final_qualifications_dedup.csv' },
+];
+const CLUSTERS_CSV = 'dedup_clusters.csv';
+const CLUSTER_COLUMNS = ['recordType', 'clusterId', 'kept', 'similarity', 'recordId', 'uri', 'country', 'eqfLevelNum', 'title'];
+const REPORT_PATH = path.join(REPORT_DIR, 'dedup.json');
+const LARGEST_CLUSTERS = 20;
+const TITLE_CHARS = 200;
+const STAGE = stageTag(__filename);
+
+function parseArgs(argv) {
+  const opts = { threshold: DEFAULT_THRESHOLD, anyLevel: false, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--threshold') { opts.threshold = Number(argv[++i]); continue; }
+    if (argv[i] === '--any-level') { opts.anyLevel = true; continue; }
+    if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    opts.files.push(argv[i]);
+  }
+  if (!(opts.threshold > 0 && opts.threshold <= 1)) throw new Error('--threshold must be in (0, 1]');
+  opts.jobs = filePairs(opts.files, DEFAULT_JOBS);
+  return opts;
+}
+
+function readRows(file, onHeaders) {
+  const parser = fs.createReadStream(file).pipe(csv());
+  parser.once('headers', headers => {
+    try {
+      onHeaders(headers);
+    } catch (err) {
+      parser.destroy(err);
+    }
+  });
+  return parser;
+}
+
+const cell = (row, col) => (col ? String(row[col] ?? '').trim() : '');
+
+// Higher is better: filled fields first, then the amount of text
+function completeness(row, roles) {
+  const filled = ['description', 'learningOutcomes', 'country', 'eqfLevelNum'].filter(c => cell(row, roles[c])).length;
+  return filled * 1e7 + Math.min(cell(row, roles.description).length + cell(row, roles.learningOutcomes).length, 1e7 - 1);
+}
+
+function countBy(map, key) {
+  map[key || '(empty)'] = (map[key || '(empty)'] || 0) + 1;
+}
+
+async function dedupFile({ input, output }, opts, clustersOut) {
+  // ---------- pass 1: signatures ----------
+  const clusterer = new NearDuplicateClusterer({ threshold: opts.threshold });
+  const records = [];
+  let source = null;
+  for await (const row of readRows(input, headers => { source = { headers, ...columnRoles(headers, { file: input }) }; })) {
+    const { roles } = source;
+    const recordType = source.recordType || cell(row, roles.recordType);
+    const eqf = cell(row, roles.eqfLevelNum);
+    const country = cell(row, roles.country);
+    clusterer.add({
+      text: `${cell(row, roles.title)}\n${cell(row, roles.description)}`,
+      block: opts.anyLevel ? recordType : `${recordType}\u0000${eqf}`,
+      exactKey: country,
+    });
+    records.push({
+      recordType,
+      recordId: cell(row, roles.recordId),
+      uri: cell(row, roles.uri),
+      country,
+      eqf,
+      title: cell(row, roles.title).slice(0, TITLE_CHARS),
+      score: completeness(row, roles),
+      // cluster columns of an earlier run (input already deduplicated)
+      size: Number(row.clusterSize) || 1,
+      countries: row.clusterCountries ? row.clusterCountries.split(LIST_SEPARATOR) : null,
+      duplicateUris: row.duplicateUris || '',
+    });
+  }
+  if (!source) throw new Error(`${input} is empty`);
+
+  // ---------- clusters & kept records ----------
+  const clusters = clusterer.clusters();
+  const clusterOf = new Int32Array(records.length).fill(-1);
+  const kept = [];
+  clusters.forEach((members, c) => {
+    let best = members[0];
+    for (const i of members) if (records[i].score > records[best].score) best = i;
+    kept.push(best);
+    for (const i of members) clusterOf[i] = c;
+  });
+
+  const stats = {
+    recordType: source.recordType || 'mixed',
+    input,
+    output,
+    records: records.length,
+    kept: records.length,
+    removed: 0,
+    clusters: clusters.length,
+    crossCountryClusters: 0,
+    sizeHistogram: {},
+    byCountry: {},
+    byEqfLevel: {},
+    largest: [],
+    comparisons: clusterer.comparisons,
+  };
+  const before = { country: {}, eqf: {} };
+  const after = { country: {}, eqf: {} };
+  for (const r of records) {
+    countBy(before.country, r.country);
+    countBy(before.eqf, r.eqf);
+  }
+
+  const clusterCountries = members => [...new Set(members.flatMap(i => records[i].countries || [records[i].country]).filter(Boolean))].sort();
+  const clusterSize = members => members.reduce((n, i) => n + records[i].size, 0);
+  clusters.forEach((members, c) => {
+    const countries = clusterCountries(members);
+    if (countries.length > 1) stats.crossCountryClusters++;
+    const n = clusterSize(members);
+    const size = n >= 10 ? '10+' : n >= 5 ? '5-9' : String(n);
+    stats.sizeHistogram[size] = (stats.sizeHistogram[size] || 0) + 1;
+    stats.removed += members.length - 1;
+    const canonical = records[kept[c]];
+    for (const i of members) {
+      const r = records[i];
+      const sim = clusterer.similarity(i, kept[c]);
+      clustersOut.push([r.recordType, canonical.recordId || canonical.uri, i === kept[c], sim === null ? '' : sim.toFixed(3), r.recordId, r.uri, r.country, r.eqf, r.title]);
+    }
+  });
+  stats.kept = records.length - stats.removed;
+  stats.largest = clusters
+    .map((members, c) => ({ c, members }))
+    .sort((a, b) => b.members.length - a.members.length || a.c - b.c)
+    .slice(0, LARGEST_CLUSTERS)
+    .map(({ c, members }) => ({
+      size: clusterSize(members),
+      title: records[kept[c]].title,
+      uri: records[kept[c]].uri,
+      eqfLevel: records[kept[c]].eqf,
+      countries: clusterCountries(members),
+    }));
+
+  // ---------- pass 2: write the kept rows ----------
+  const headers = [...source.headers, ...DEDUP_COLUMNS.filter(c => !source.headers.includes(c))];
+  const tmpPath = `${output}.tmp`;
+  const out = fs.createWriteStream(tmpPath, { encoding: 'utf8' });
+  await write(out, csvLine(headers));
+  let i = 0;
+  for await (const row of readRows(input, () => {})) {
+    const c = clusterOf[i];
+    const r = records[i++];
+    if (c !== -1 && kept[c] !== i - 1) continue;
+    const members = c === -1 ? [i - 1] : clusters[c];
+    row.clusterSize = clusterSize(members);
+    row.clusterCountries = clusterCountries(members).join(LIST_SEPARATOR);
+    row.duplicateUris = members
+      .flatMap(m => [m !== i - 1 ? records[m].uri : '', ...records[m].duplicateUris.split(LIST_SEPARATOR)])
+      .filter(Boolean)
+      .join(LIST_SEPARATOR);
+    touch(row, STAGE);
+    countBy(after.country, r.country);
+    countBy(after.eqf, r.eqf);
+    await write(out, csvLine(headers.map(h => row[h])));
+  }
+  await close(out);
+  fs.renameSync(tmpPath, output);
+
+  for (const [dim, key] of [['country', 'byCountry'], ['eqf', 'byEqfLevel']]) {
+    stats[key] = Object.fromEntries(Object.keys(before[dim]).sort().map(k => [k, { before: before[dim][k], after: after[dim][k] || 0 }]));
+  }
+  return stats;
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const clustersOut = [];
+  const files = [];
+  for (const job of opts.jobs) {
+    if (!fs.existsSync(job.input)) {
+      console.warn(`⚠️  Input not found, skipping: ${job.input}`);
+      continue;
+    }
+    console.log(`🔍 ${job.input}: looking for near-duplicates (threshold ${opts.threshold}${opts.anyLevel ? ', across EQF levels' : ''})`);
+    const stats = await dedupFile(job, opts, clustersOut);
+    files.push(stats);
+    const cross = stats.crossCountryClusters ? `, ${stats.crossCountryClusters} across countries` : '';
+    console.log(`   ${stats.records} records → ${stats.kept} kept, ${stats.removed} duplicates in ${stats.clusters} clusters${cross}`);
+    for (const c of stats.largest.slice(0, 3)) console.log(`   ${String(c.size).padStart(5)}× ${c.title} (${c.countries.join(', ') || 'no country'})`);
+    console.log(`✅ ${path.resolve(job.output)}`);
+  }
+  if (!files.length) throw new Error('No input files found');
+
+  fs.writeFileSync(CLUSTERS_CSV, [CLUSTER_COLUMNS, ...clustersOut].map(csvLine).join(''), 'utf8');
+  console.log(`🔗 ${clustersOut.length} cluster memberships written to ${CLUSTERS_CSV}`);
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  const report = { createdAt: new Date().toISOString(), threshold: opts.threshold, anyLevel: opts.anyLevel, stage: STAGE, files };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`📄 Cluster statistics: ${REPORT_PATH}`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,164 @@
+// detect_language.js
+// Usage:
+//   node detect_language.js [--only en[,de...]] [--other <file.csv>] [<input.csv> <output.csv> ...]
+// Defaults: learning_opportunities_dedup.csv -> learning_opportunities_lang.csv (350 output)
+//           final_qualifications_dedup.csv -> final_qualifications_lang.csv (350 output)
+//
+// The API is asked for language=en, but many descriptions and learning outcomes come back in the
+// national language only. This stage detects the language of both text fields offline
+// (lib/languageDetect.js, character n-grams) and adds two columns:
+//   description_lang        ISO 639-1 code of the description ("und": empty, too short or unclear)
+//   learningOutcomes_lang   same for the learning outcomes
+// A row's language is its description's, or its learning outcomes' when the description is "und".
+// Routing:
+//   --only en           rows in another (detected) language are left out of the output and written
+//                       to the --other file instead; rows without a detected language stay.
+//                       Default: LANGUAGE_ONLY, otherwise no filter (all rows tagged and kept)
+//   --other <file>      where those rows go (default: <output>_other_languages.csv); that file has
+//                       the same columns and can be translated or dropped. With several input pairs
+//                       every output gets its own default file.
+// reports/language.json has the languages per column and the row languages per country.
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { columnRoles } = require('./lib/schema');
+const { REPORT_DIR, csvLine, write, close, filePairs } = require('./lib/stageIo');
+const { stageTag, touch } = require('./lib/provenance');
+const { LANGUAGE_COLUMNS, UNDETERMINED, LanguageDetector, rowLanguage } = require('./lib/languageDetect');
+
+const DEFAULT_JOBS = [
+  { input: 'learning_opportunities_dedup.csv', output: 'learning_opportunities_lang.csv' },
+  { input: 'final_qualifications_dedup.csv', output: 'final_qualifications_lang.csv' },
+];
+const REPORT_PATH = path.join(REPORT_DIR, 'language.json');
+const TEXT_ROLES = { description_lang: 'description', learningOutcomes_lang: 'learningOutcomes' };
+const LOG_EVERY = 10000;
+const STAGE = stageTag(__filename);
+
+const splitList = s => String(s || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+
+function parseArgs(argv) {
+  const opts = { only: splitList(process.env.LANGUAGE_ONLY), other: null, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--only') { opts.only = splitList(argv[++i]); continue; }
+    if (argv[i] === '--other') { opts.other = argv[++i]; continue; }
+    if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    opts.files.push(argv[i]);
+  }
+  opts.jobs = filePairs(opts.files, DEFAULT_JOBS);
+  if (opts.other && opts.jobs.length > 1) throw new Error('--other needs a single <input.csv> <output.csv> pair');
+  for (const job of opts.jobs) job.other = opts.other || `${job.output.replace(/\.csv$/i, '')}_other_languages.csv`;
+  return opts;
+}
+
+function countBy(map, key) {
+  map[key || '(empty)'] = (map[key || '(empty)'] || 0) + 1;
+}
+
+async function tagFile({ input, output, other }, opts, detector) {
+  const stats = {
+    input,
+    output,
+    records: 0,
+    kept: 0,
+    routed: 0,
+    otherFile: opts.only.length ? other : null,
+    byColumn: Object.fromEntries(LANGUAGE_COLUMNS.map(c => [c, {}])),
+    byRowLanguage: {},
+    byCountry: {},
+  };
+  const tmpPath = `${output}.tmp`;
+  const otherTmpPath = `${other}.tmp`;
+  let out = null;
+  let otherOut = null;
+  let roles = null;
+  let headers = null;
+
+  const parser = fs.createReadStream(input).pipe(csv());
+  parser.once('headers', h => {
+    try {
+      ({ roles } = columnRoles(h, { file: input }));
+    } catch (err) {
+      parser.destroy(err);
+      return;
+    }
+    headers = [...h, ...LANGUAGE_COLUMNS.filter(c => !h.includes(c))];
+    out = fs.createWriteStream(tmpPath, { encoding: 'utf8' });
+    out.write(csvLine(headers));
+    if (opts.only.length) {
+      otherOut = fs.createWriteStream(otherTmpPath, { encoding: 'utf8' });
+      otherOut.write(csvLine(headers));
+    }
+  });
+
+  for await (const row of parser) {
+    for (const col of LANGUAGE_COLUMNS) {
+      const src = roles[TEXT_ROLES[col]];
+      row[col] = src ? detector.detect(row[src]).lang : UNDETERMINED;
+      countBy(stats.byColumn[col], row[col]);
+    }
+    const lang = rowLanguage(row);
+    const country = roles.country ? String(row[roles.country] || '').trim() : '';
+    countBy(stats.byRowLanguage, lang || UNDETERMINED);
+    if (!stats.byCountry[country || '(empty)']) stats.byCountry[country || '(empty)'] = {};
+    countBy(stats.byCountry[country || '(empty)'], lang || UNDETERMINED);
+    touch(row, STAGE);
+
+    const line = csvLine(headers.map(h => row[h]));
+    stats.records++;
+    if (lang && opts.only.length && !opts.only.includes(lang)) {
+      stats.routed++;
+      await write(otherOut, line);
+    } else {
+      stats.kept++;
+      await write(out, line);
+    }
+    if (stats.records % LOG_EVERY === 0) console.log(`   ${stats.records} rows...`);
+  }
+  if (!out) throw new Error(`${input} is empty`);
+
+  await close(out);
+  fs.renameSync(tmpPath, output);
+  if (otherOut) {
+    await close(otherOut);
+    fs.renameSync(otherTmpPath, other);
+  }
+  return stats;
+}
+
+function topLanguages(counts, n = 5) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([lang, k]) => `${lang} ${k}`)
+    .join(', ');
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const detector = new LanguageDetector();
+  console.log(`🌐 Language model: ${detector.languages.length} languages (${detector.languages.join(', ')})`);
+  const files = [];
+  for (const job of opts.jobs) {
+    if (!fs.existsSync(job.input)) {
+      console.warn(`⚠️  Input not found, skipping: ${job.input}`);
+      continue;
+    }
+    console.log(`🔍 ${job.input}: detecting languages${opts.only.length ? ` (keeping ${opts.only.join(', ')})` : ''}`);
+    const stats = await tagFile(job, opts, detector);
+    files.push(stats);
+    for (const col of LANGUAGE_COLUMNS) console.log(`   ${col}: ${topLanguages(stats.byColumn[col])}`);
+    if (stats.otherFile) console.log(`   ${stats.routed} of ${stats.records} rows in other languages → ${stats.otherFile}`);
+    console.log(`✅ ${path.resolve(job.output)} (${stats.kept} rows)`);
+  }
+  if (!files.length) throw new Error('No input files found');
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  const report = { createdAt: new Date().toISOString(), only: opts.only, languages: detector.languages, stage: STAGE, files };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`📄 Language statistics: ${REPORT_PATH}`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,314 @@
+// translate_descriptions.js
+// Usage:
+//   node translate_descriptions.js <file.csv> [file2.csv ...] [--target en] [--budget USD] [--dry-run]
+// Pipeline: learning_opportunities_lang.csv final_qualifications_lang.csv (360 outputs)
+//
+// Translates `description` and `learningOutcomes` of rows in another language into English, so the
+// national-language part of the catalogue can be analysed with the rest (ESCO matching in 600 is
+// English-only). Like 390/400 it rewrites each file in place, keeping a .bak copy:
+//   - a field is translated when its language column (description_lang / learningOutcomes_lang,
+//     written by 360; detected here when missing) is neither the target nor "und"
+//   - the translation replaces the text, the language column becomes the target, and the text as
+//     it was goes to <field>_original with its language in <field>_original_lang; translatedBy
+//     names the translator of the row. Rows left as they were keep those columns empty.
+//     Translated fields have a target language column, so running the stage again skips them.
+//   - the backend is chosen with TRANSLATOR (lib/translators.js): "llm" (default) uses 400's
+//     providers (LLM_PROVIDER openai/ollama/fake, LLM_MODEL, ...), "libretranslate" a local
+//     LibreTranslate server (TRANSLATE_URL)
+//   - every translation is cached by backend, model, prompt version, languages and text hash in
+//     records/translation_cache (TRANSLATION_CACHE_DIR, lib/llmCache.js); identical texts are sent
+//     once, and a run that stopped half-way redoes the finished part from the cache
+//   - translated rows are listed in translated_<file>_audit.ndjson (row, recordId, uri, fields,
+//     source languages, cache hits); failed fields in translated_<file>_errors.ndjson keep their text
+//   - --budget USD stops sending texts once the estimated cost reaches USD (lib/llmCost.js):
+//     the file is left unchanged and the exit code is 2; run again to continue (from the cache)
+//   - --dry-run counts the texts to translate that are not cached and estimates tokens and cost
+// Env: TRANSLATE_CONCURRENCY (default 8) parallel requests.
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { columnRoles } = require('./lib/schema');
+const { csvLine } = require('./lib/stageIo');
+const { stageTag, touch } = require('./lib/provenance');
+const { LANGUAGE_COLUMNS, UNDETERMINED, LanguageDetector } = require('./lib/languageDetect');
+const { TRANSLATION_COLUMNS, createTranslator } = require('./lib/translators');
+const { LlmCache } = require('./lib/llmCache');
+const { CostMeter, estimateTokens } = require('./lib/llmCost');
+
+const FIELDS = ['description', 'learningOutcomes'];
+const CONCURRENCY = Number(process.env.TRANSLATE_CONCURRENCY) || 8;
+const MAX_RETRIES = 3;
+const CHUNK_ROWS = 200; // rows read ahead; their distinct texts are translated together
+const CACHE_DIR = process.env.TRANSLATION_CACHE_DIR || 'records/translation_cache';
+const EXIT_BUDGET = 2;
+const STAGE = stageTag(__filename);
+
+function parseArgs(argv) {
+  const opts = { target: 'en', budget: Infinity, dryRun: false, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target') { opts.target = String(argv[++i] || '').toLowerCase(); continue; }
+    if (argv[i] === '--budget') { opts.budget = Number(argv[++i]); continue; }
+    if (argv[i] === '--dry-run') { opts.dryRun = true; continue; }
+    if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    opts.files.push(argv[i]);
+  }
+  if (!opts.files.length) throw new Error('Usage: node 370translate.js <file.csv> [file2.csv ...] [--target en] [--budget USD] [--dry-run]');
+  if (!/^[a-z]{2}$/.test(opts.target)) throw new Error('--target needs a two-letter language code');
+  if (!(opts.budget > 0)) throw new Error('--budget needs a positive amount in USD');
+  return opts;
+}
+
+/** Runs fn over items with at most `limit` calls in flight. */
+async function mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+class TranslationRun {
+  constructor({ translator, cache, meter, detector, target }) {
+    this.translator = translator;
+    this.cache = cache;
+    this.meter = meter;
+    this.detector = detector;
+    this.target = target;
+    this.budgetStop = false;
+  }
+
+  cacheRequest({ text, source }) {
+    const { name, model, version } = this.translator;
+    return { provider: name, model, promptVersion: version, user: `${source}>${this.target}\n${text}` };
+  }
+
+  /** Fields of a row to translate: [{ field, column, text, source }]. Fills in missing language columns. */
+  jobsFor(row, roles) {
+    const jobs = [];
+    for (const field of FIELDS) {
+      const column = roles[field];
+      const text = column ? String(row[column] || '').trim() : '';
+      const langColumn = `${field}_lang`;
+      if (!row[langColumn]) row[langColumn] = text ? this.detector.detect(text).lang : UNDETERMINED;
+      const source = row[langColumn];
+      if (!text || source === UNDETERMINED || source === this.target) continue;
+      jobs.push({ field, column, text, source });
+    }
+    return jobs;
+  }
+
+  /** { text, cached } | { error } | { skipped } (budget spent) for one distinct text. */
+  async translate(job) {
+    const request = this.cacheRequest(job);
+    const hit = await this.cache.get(request);
+    if (hit) {
+      this.meter.addCached();
+      return { text: hit.content, cached: true };
+    }
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      if (this.meter.overBudget) {
+        this.budgetStop = true;
+        return { skipped: true };
+      }
+      try {
+        const answer = await this.translator.translate({ text: job.text, source: job.source, target: this.target });
+        this.meter.add(answer.usage);
+        if (!answer.text) throw new Error('empty translation');
+        await this.cache.put(request, { content: answer.text, usage: answer.usage });
+        return { text: answer.text, cached: false };
+      } catch (err) {
+        console.warn(`Translation ${job.source}>${this.target} attempt ${attempt}/${MAX_RETRIES} failed: ${err.message}`);
+        if (attempt === MAX_RETRIES) return { error: err.message };
+        await new Promise(r => setTimeout(r, 500 * attempt));
+      }
+    }
+  }
+}
+
+async function translateFile(file, run) {
+  const basename = path.basename(file);
+  const tmpPath = path.join(path.dirname(file), `.${basename}.translating.csv`);
+  const auditPath = `translated_${basename}_audit.ndjson`;
+  const errorPath = `translated_${basename}_errors.ndjson`;
+  const out = fs.openSync(tmpPath, 'w');
+  const auditFd = fs.openSync(auditPath, 'w');
+  const errorFd = fs.openSync(errorPath, 'w');
+  const stats = { rows: 0, translatedRows: 0, fields: 0, cached: 0, failed: 0, bySource: {} };
+  let headers = null;
+  let roles = null;
+  let rowIndex = 0;
+  let chunk = [];
+
+  const flush = async () => {
+    // distinct texts of the chunk, each translated once
+    const distinct = new Map();
+    const rowJobs = chunk.map(row => run.jobsFor(row, roles));
+    for (const jobs of rowJobs) {
+      for (const job of jobs) {
+        const key = `${job.source}\u0000${job.text}`;
+        if (!distinct.has(key)) distinct.set(key, { job, result: null });
+        job.key = key;
+      }
+    }
+    await mapLimit([...distinct.values()], CONCURRENCY, async entry => {
+      entry.result = await run.translate(entry.job);
+    });
+    if (run.budgetStop) return;
+
+    chunk.forEach((row, i) => {
+      const idx = rowIndex++;
+      const done = {};
+      for (const job of rowJobs[i]) {
+        const result = distinct.get(job.key).result;
+        if (result.error) {
+          stats.failed++;
+          fs.writeSync(errorFd, JSON.stringify({ rowIndex: idx, recordId: row.recordId || '', uri: row.uri || '', field: job.field, source: job.source, error: result.error }) + '\n');
+          continue;
+        }
+        row[`${job.field}_original`] = row[job.column];
+        row[`${job.field}_original_lang`] = job.source;
+        row[job.column] = result.text;
+        row[`${job.field}_lang`] = run.target;
+        done[job.field] = { from: job.source, ...(result.cached ? { cached: true } : {}) };
+        stats.fields++;
+        if (result.cached) stats.cached++;
+        stats.bySource[job.source] = (stats.bySource[job.source] || 0) + 1;
+      }
+      if (Object.keys(done).length) {
+        row.translatedBy = run.translator.label;
+        stats.translatedRows++;
+        fs.writeSync(auditFd, JSON.stringify({ rowIndex: idx, recordId: row.recordId || '', uri: row.uri || '', translatedBy: row.translatedBy, fields: done }) + '\n');
+      }
+      touch(row, STAGE);
+      fs.writeSync(out, csvLine(headers.map(h => row[h])));
+      stats.rows++;
+    });
+    chunk = [];
+    console.log(`Progress: ${stats.rows} rows, ${stats.fields} fields translated (${stats.cached} from the cache) - $${run.meter.cost.toFixed(4)}`);
+  };
+
+  try {
+    const parser = fs.createReadStream(file).pipe(csv());
+    parser.once('headers', h => {
+      try {
+        ({ roles } = columnRoles(h, { file }));
+      } catch (err) {
+        parser.destroy(err);
+        return;
+      }
+      headers = [...h, ...[...LANGUAGE_COLUMNS, ...TRANSLATION_COLUMNS].filter(c => !h.includes(c))];
+      fs.writeSync(out, csvLine(headers));
+    });
+    for await (const row of parser) {
+      chunk.push(row);
+      if (chunk.length >= CHUNK_ROWS) await flush();
+      if (run.budgetStop) break;
+    }
+    if (!run.budgetStop && chunk.length) await flush();
+  } finally {
+    [out, auditFd, errorFd].forEach(fd => fs.closeSync(fd));
+  }
+  if (!headers) throw new Error(`No CSV header in ${file}`);
+  if (run.budgetStop) {
+    fs.unlinkSync(tmpPath);
+    return { ...stats, stopped: true };
+  }
+
+  const backupPath = `${file}.bak.${Date.now()}`;
+  fs.copyFileSync(file, backupPath);
+  fs.renameSync(tmpPath, file);
+  return { ...stats, backupPath, auditPath, errorPath };
+}
+
+// Distinct texts that would be sent (not cached), with their estimated tokens
+async function estimateFile(file, run) {
+  const distinct = new Set();
+  let rows = 0;
+  let fields = 0;
+  let cached = 0;
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let roles = null;
+  const parser = fs.createReadStream(file).pipe(csv());
+  parser.once('headers', h => {
+    try {
+      ({ roles } = columnRoles(h, { file }));
+    } catch (err) {
+      parser.destroy(err);
+    }
+  });
+  for await (const row of parser) {
+    rows++;
+    for (const job of run.jobsFor(row, roles)) {
+      fields++;
+      const key = `${job.source}\u0000${job.text}`;
+      if (distinct.has(key)) continue;
+      distinct.add(key);
+      if (run.cache.has(run.cacheRequest(job))) {
+        cached++;
+        continue;
+      }
+      // the prompt wraps the text; the answer is about as long as the text
+      promptTokens += estimateTokens(job.text) + 150;
+      completionTokens += estimateTokens(job.text) + 10;
+    }
+  }
+  const { price } = run.meter;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  console.log(`  ${rows} rows, ${fields} fields to translate: ${distinct.size} distinct texts, ${cached} cached, ${distinct.size - cached} would be sent`);
+  console.log(`  ~${promptTokens} prompt + ~${completionTokens} completion tokens, ~$${cost.toFixed(4)}`);
+  return cost;
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const translator = createTranslator();
+  const meter = new CostMeter({ provider: translator.costProvider, model: translator.model, budget: opts.budget });
+  console.log(`🌐 Translator: ${translator.label}, target language ${opts.target}`);
+  if (!meter.price.known) {
+    console.warn(`⚠️  No price known for model ${translator.model}: set LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD per 1M tokens) for cost estimates`);
+    if (opts.budget !== Infinity) throw new Error('--budget needs a price for the model');
+  }
+  const cache = await LlmCache.open(CACHE_DIR);
+  const run = new TranslationRun({ translator, cache, meter, detector: new LanguageDetector(), target: opts.target });
+
+  try {
+    let total = 0;
+    for (const file of opts.files) {
+      if (!fs.existsSync(file)) {
+        console.warn(`⚠️  File not found, skipping: ${file}`);
+        continue;
+      }
+      if (opts.dryRun) {
+        console.log(`🔍 ${file}`);
+        total += await estimateFile(file, run);
+        continue;
+      }
+      console.log(`🔤 Translating ${file}`);
+      const stats = await translateFile(file, run);
+      if (stats.stopped) {
+        console.warn(`⏸ Budget of $${opts.budget} reached ($${meter.cost.toFixed(4)} spent): ${file} is unchanged`);
+        console.warn('  Run again (with a higher --budget): translations made so far are cached');
+        process.exitCode = EXIT_BUDGET;
+        break;
+      }
+      const sources = Object.entries(stats.bySource).sort((a, b) => b[1] - a[1]).map(([l, n]) => `${l} ${n}`).join(', ');
+      console.log(`✅ ${stats.translatedRows} of ${stats.rows} rows translated, ${stats.fields} fields (${sources || 'none'}), ${stats.cached} from the cache`);
+      console.log(`   Backup: ${stats.backupPath}`);
+      console.log(`   Audit: ${stats.auditPath}`);
+      if (stats.failed) console.warn(`   ${stats.failed} fields failed and kept their text - see ${stats.errorPath}`);
+    }
+    const u = meter.summary();
+    if (opts.dryRun) console.log(`\n✓ Dry run: ~$${total.toFixed(4)} in total, no API calls made`);
+    else console.log(`\nThis run: ${u.calls} API calls, ${u.cached} cache hits, ${u.promptTokens} prompt + ${u.completionTokens} completion tokens, ~$${u.costUsd.toFixed(4)}`);
+  } finally {
+    await cache.close();
+  }
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
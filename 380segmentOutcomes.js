@@ -0,0 +1,101 @@
+// segment_outcomes.js
+// Usage:
+//   node segment_outcomes.js [--out learning_outcomes.csv] [<input.csv> ...]
+// Defaults: learning_opportunities_lang.csv, final_qualifications_lang.csv (360/370 outputs)
+//
+// The learningOutcomes column is one blob per row: 313 joins a qualification's outcomes with blank
+// lines ("<title> — <notes>" each), 302 joins additionalNotes with " ; ", and the notes mix bullets,
+// numbered items, semicolon lists and "The learner is able to ..." prose. This stage splits the
+// blobs into single outcome statements (lib/outcomeSegmenter.js) and writes them in long format,
+// one row per statement:
+//   recordType, recordId, uri   the record (uri + position is the key)
+//   position                    1, 2, ... within the record
+//   heading                     the outcome title / list lead-in the statement came under ('' if none)
+//   outcome                     the statement, without list marker and "The learner is able to"
+//   splitBy                     bullet, numbered, semicolon, sentence, or block (not split)
+//   lang                        learningOutcomes_lang of the record (360), '' when not tagged
+// The input files are not changed; the learningOutcomes blob stays there for everything that reads it.
+// reports/outcomes.json has the statement counts per file and split kind.
+
+const fs = require('fs');
+const path = require('path');
+const { readCanonicalRecords } = require('./lib/schema');
+const { UNDETERMINED } = require('./lib/languageDetect');
+const { segmentOutcomes } = require('./lib/outcomeSegmenter');
+const { REPORT_DIR, csvLine, write, close } = require('./lib/stageIo');
+
+const DEFAULT_INPUTS = ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'];
+const DEFAULT_OUTPUT = 'learning_outcomes.csv';
+const REPORT_PATH = path.join(REPORT_DIR, 'outcomes.json');
+const COLUMNS = ['recordType', 'recordId', 'uri', 'position', 'heading', 'outcome', 'splitBy', 'lang'];
+const LOG_EVERY = 10000;
+
+function parseArgs(argv) {
+  const opts = { out: DEFAULT_OUTPUT, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') { opts.out = argv[++i]; continue; }
+    if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    opts.inputs.push(argv[i]);
+  }
+  if (!opts.inputs.length) opts.inputs = DEFAULT_INPUTS;
+  return opts;
+}
+
+async function segmentFile(input, out) {
+  const stats = { input, records: 0, withOutcomes: 0, statements: 0, noUri: 0, bySplit: {}, maxPerRecord: 0 };
+  for await (const record of readCanonicalRecords(input)) {
+    stats.records++;
+    const statements = segmentOutcomes(record.learningOutcomes);
+    if (statements.length) stats.withOutcomes++;
+    if (statements.length && !record.uri) stats.noUri++;
+    stats.maxPerRecord = Math.max(stats.maxPerRecord, statements.length);
+    const lang = record.learningOutcomes_lang === UNDETERMINED ? '' : record.learningOutcomes_lang;
+    for (const [i, s] of statements.entries()) {
+      stats.statements++;
+      stats.bySplit[s.splitBy] = (stats.bySplit[s.splitBy] || 0) + 1;
+      const row = [record.recordType, record.recordId, record.uri, i + 1, s.heading, s.text, s.splitBy, lang];
+      await write(out, csvLine(row));
+    }
+    if (stats.records % LOG_EVERY === 0) console.log(`   ${stats.records} rows...`);
+  }
+  return stats;
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const tmpPath = `${opts.out}.tmp`;
+  const out = fs.createWriteStream(tmpPath, { encoding: 'utf8' });
+  out.write(csvLine(COLUMNS));
+
+  const files = [];
+  try {
+    for (const input of opts.inputs) {
+      if (!fs.existsSync(input)) {
+        console.warn(`⚠️  Input not found, skipping: ${input}`);
+        continue;
+      }
+      console.log(`✂️  ${input}: splitting learning outcomes`);
+      const stats = await segmentFile(input, out);
+      files.push(stats);
+      const kinds = Object.entries(stats.bySplit).map(([k, n]) => `${k} ${n}`).join(', ');
+      console.log(`   ${stats.statements} statements from ${stats.withOutcomes} of ${stats.records} rows${kinds ? ` (${kinds})` : ''}`);
+      if (stats.noUri) console.warn(`⚠️  ${stats.noUri} rows with outcomes have no uri; their statements are keyed by recordId only`);
+    }
+    if (!files.length) throw new Error('No input files found');
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  await close(out);
+  fs.renameSync(tmpPath, opts.out);
+  console.log(`✅ ${path.resolve(opts.out)} (${files.reduce((n, f) => n + f.statements, 0)} statements)`);
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  const report = { createdAt: new Date().toISOString(), output: opts.out, files };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`📄 Segmentation statistics: ${REPORT_PATH}`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+// rule_clean.js
+// Usage:
+//   node rule_clean.js [inputCsv] [outputCsv]
+// Defaults: final_qualifications.csv, cleaned in place (the input is kept as <input>.bak.<timestamp>)
+//
+// Deterministic boilerplate removal with the catalogue in boilerplateRules.json (lib/boilerplateRules.js):
+// filler phrases and regex patterns are cut from `description` and `learningOutcomes`, no LLM
+// involved. Rows whose text still matches a "suspect" pattern afterwards are counted as ambiguous:
+// those are the rows the AI cleaning (400) would still send to the model.
+// Every row with a removal, or still ambiguous, gets a line in <outputCsv>_rules_audit.ndjson:
+//   { rowIndex, recordId, uri, removed: { field: [{ rule, text }] }, ambiguous }
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { loadRules, cleanRow } = require('./lib/boilerplateRules');
+const { stageTag, touch } = require('./lib/provenance');
+const { csvLine, write, close } = require('./lib/stageIo');
+
+const inputPath = process.argv[2] || 'final_qualifications.csv';
+const outputPath = process.argv[3] || inputPath;
+const inPlace = path.resolve(outputPath) === path.resolve(inputPath);
+const auditPath = `${outputPath}_rules_audit.ndjson`;
+const COLS_TO_CLEAN = ['description', 'learningOutcomes'];
+const STAGE = stageTag(__filename);
+
+(async () => {
+  if (!fs.existsSync(inputPath)) {
+    console.error('Input file not found:', inputPath);
+    process.exit(1);
+  }
+  const catalogue = loadRules();
+  console.log(`📏 ${catalogue.rules.length} rules from ${catalogue.file}`);
+
+  const tmpPath = `${outputPath}.tmp`;
+  const out = fs.createWriteStream(tmpPath, { encoding: 'utf8' });
+  const audit = fs.createWriteStream(auditPath, { encoding: 'utf8' });
+  const byRule = new Map();
+  let headers = null;
+  let total = 0;
+  let changed = 0;
+  let ambiguous = 0;
+  let removals = 0;
+
+  const parser = fs.createReadStream(inputPath).pipe(csv());
+  parser.on('headers', h => { headers = h; });
+
+  for await (const row of parser) {
+    if (total === 0) await write(out, csvLine(headers));
+    const r = cleanRow(row, COLS_TO_CLEAN.filter(c => headers.includes(c)), catalogue);
+    if (r.changed) {
+      changed++;
+      Object.assign(row, r.texts);
+      for (const list of Object.values(r.removed)) {
+        for (const { rule } of list) byRule.set(rule, (byRule.get(rule) || 0) + 1);
+        removals += list.length;
+      }
+    }
+    if (r.ambiguous) ambiguous++;
+    if (r.changed || r.ambiguous) {
+      await write(audit, JSON.stringify({ rowIndex: total, recordId: row.recordId || '', uri: row.uri || '', removed: r.removed, ambiguous: r.ambiguous }) + '\n');
+    }
+    touch(row, STAGE);
+    await write(out, csvLine(headers.map(h => row[h])));
+    total++;
+    if (total % 10000 === 0) process.stdout.write(`\rProcessed ${total} rows, ${changed} changed`);
+  }
+  if (total === 0 && headers) await write(out, csvLine(headers));
+  await Promise.all([out, audit].map(close));
+
+  if (inPlace) {
+    const backupPath = `${inputPath}.bak.${Date.now()}`;
+    fs.copyFileSync(inputPath, backupPath);
+    console.log(`\n💾 Backup: ${backupPath}`);
+  }
+  fs.renameSync(tmpPath, outputPath);
+
+  console.log(`\n📊 ${changed}/${total} rows changed, ${removals} removals`);
+  [...byRule].sort((a, b) => b[1] - a[1]).slice(0, 10).forEach(([rule, n]) => console.log(`   ${String(n).padStart(7)}  ${rule}`));
+  const pct = total ? (ambiguous / total * 100).toFixed(1) : '0.0';
+  console.log(`🤔 ${ambiguous} rows (${pct}%) still look like they hold boilerplate (suspect patterns): only these need the LLM (400)`);
+  console.log(`✅ Done! ${path.resolve(outputPath)} (audit: ${auditPath})`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -3,38 +3,113 @@
  * clean_with_openai_concurrent.js
  *
  * Usage:
- *   node clean_with_openai_concurrent.js file1.csv
+ *   node clean_with_openai_concurrent.js file1.csv [--budget USD] [--dry-run] [--batch]
  *
- * Improvements over sequential version:
- *   - Makes CONCURRENT_LIMIT parallel API requests (default 30)
- *   - Writes results as they arrive (streaming writes)
- *   - Each row processed independently with retries
- *   - Better throughput and faster processing
- *   - NO external concurrency library needed
+ * Streams the CSV and cleans `description` / `learningOutcomes` of every row:
+ *   - Makes CONCURRENT_LIMIT parallel API requests (default 30), each row with retries
+ *   - Reads at most WINDOW rows ahead of the last row written, so memory stays flat
+ *   - Writes the output in input order; it replaces the input (backup kept) once complete
+ *   - Appends audit and error records as NDJSON (one JSON object per line):
+ *       cleaned_<file>_audit.ndjson, cleaned_<file>_errors.ndjson
+ *     Rows that fail after all retries keep the rule-cleaned text.
+ *   - Applies the boilerplate catalogue (boilerplateRules.json, lib/boilerplateRules.js) to every
+ *     row first. Only rows that still match a "suspect" pattern afterwards go to the model
+ *     (LLM_ALL_ROWS=1 sends every row); the others are done by the rules alone (`source: "rules"`).
+ *   - Verifies every answer (lib/cleaningVerifier.js): the cleaned text must be the original with
+ *     exactly the reported `*_removed` substrings cut out (whitespace ignored). Paraphrases,
+ *     added text or unreported deletions are rejected: the row keeps its rule-cleaned text and its
+ *     audit entry gets `rejected` (field, reason, the proposed text). The rejection rate is
+ *     printed at the end and kept in checkpoint.json.
+ *   - checkpoint.json holds a high-water mark (`written`: rows already in the output), the few
+ *     finished rows waiting for an earlier one (`pending`) and the byte length of each output
+ *     file. A restart truncates the files to those lengths and carries on from there.
+ *   - Caches every answer in records/llm_cache (lib/llmCache.js), keyed on provider, model,
+ *     prompt version and input, so identical requests are never paid for twice.
+ *   - Counts the tokens the API reports and prints the estimated cost (lib/llmCost.js).
+ *     --budget USD stops starting requests once the estimate reaches USD: requests in flight
+ *     finish, the checkpoint is saved, the input is not replaced, and the exit code is 2.
+ *     Running again (with a higher budget) resumes.
+ *   - --dry-run makes no API calls: it applies the rules, counts the rows that would go to the
+ *     model and are not cached, and estimates their tokens and cost.
+ *   - --batch uses the OpenAI-compatible Batch API (lib/llmBatch.js) instead of one request per
+ *     row: the rows for the model are packed into JSONL files of up to LLM_BATCH_SIZE requests
+ *     (default 10000), uploaded and submitted, polled every LLM_BATCH_POLL_MS (default 30000) until
+ *     done, and merged back in input order with the same audit/error logs. The checkpoint keeps the
+ *     batch ids, so a restart polls the submitted batches instead of sending them again. Rows
+ *     without a usable answer are not retried: they go to the error log and keep the rule-cleaned
+ *     text. --budget is checked against each batch's estimated cost before it is submitted.
+ *     batchServer.js is a local stand-in for testing.
+ *
+ * The model behind it is chosen per run with LLM_PROVIDER (lib/llmProviders.js):
+ *   openai (default)  OpenAI or any OpenAI-compatible server (LLM_BASE_URL, LLM_API_KEY / OPENAI_API_KEY)
+ *   ollama            a local Ollama server, so no text leaves the machine
+ *   fake              deterministic phrase removal without any model, for tests
+ * LLM_MODEL overrides the provider's default model.
  *
  * Requirements:
- *   - Set OPENAI_API_KEY environment variable
- *   - npm install csv-parser csv-writer node-fetch@2 fs-extra
+ *   - Node 18+
+ *   - npm install csv-parser fs-extra
  */
 
 const fs = require("fs");
 const path = require("path");
+const readline = require("readline");
 const csv = require("csv-parser");
-const createCsvWriter = require("csv-writer").createObjectCsvWriter;
-const fetch = require("node-fetch");
 const fse = require("fs-extra");
+const { stageTag, touch } = require("./lib/provenance");
+const { createProvider, chatRequestBody, parseChatCompletion } = require("./lib/llmProviders");
+const { verifyCleaning } = require("./lib/cleaningVerifier");
+const { loadRules, cleanRow } = require("./lib/boilerplateRules");
+const { LlmCache, promptVersion } = require("./lib/llmCache");
+const { CostMeter, estimateTokens } = require("./lib/llmCost");
+const { batchRequestLine, createBatchClient, isTerminal } = require("./lib/llmBatch");
 
-const OPENAI_KEY = '';
-if (!OPENAI_KEY) {
-  console.error("Please set OPENAI_API_KEY in environment");
-  process.exit(1);
-}
-
-const MODEL = "gpt-4o-mini";
 const CONCURRENT_LIMIT = Number(30);
 const MAX_RETRIES = Number(3);
 const CHECKPOINT_PATH = path.join(process.cwd(), "checkpoint.json");
+const WINDOW = CONCURRENT_LIMIT * 10;
+const CHECKPOINT_EVERY = 10;
+const STAGE = stageTag(__filename);
+
 const COLS_TO_CLEAN = ["description", "learningOutcomes"];
+const LLM_ALL_ROWS = process.env.LLM_ALL_ROWS === "1";
+const EXIT_BUDGET = 2;
+
+const args = process.argv.slice(2);
+const budgetIdx = args.indexOf("--budget");
+const BUDGET = budgetIdx >= 0 ? Number(args.splice(budgetIdx, 2)[1]) : Infinity;
+const dryRunIdx = args.indexOf("--dry-run");
+const DRY_RUN = dryRunIdx >= 0 && args.splice(dryRunIdx, 1).length > 0;
+const batchIdx = args.indexOf("--batch");
+const BATCH = batchIdx >= 0 && args.splice(batchIdx, 1).length > 0;
+const BATCH_SIZE = Number(process.env.LLM_BATCH_SIZE) || 10000;
+const BATCH_MAX_BYTES = 190 * 1024 * 1024; // OpenAI accepts up to 200 MB per input file
+const BATCH_POLL_MS = Number(process.env.LLM_BATCH_POLL_MS) || 30000;
+if (!(BUDGET > 0)) {
+  console.error("--budget needs a positive amount in USD");
+  process.exit(1);
+}
+
+// Boilerplate catalogue: applied to every row first; its phrases are also the prompt's filler list
+let catalogue;
+try {
+  catalogue = loadRules();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const FILLER_PHRASES = catalogue.phrases;
+
+let provider;
+try {
+  provider = createProvider(undefined, { phrases: FILLER_PHRASES });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const meter = new CostMeter({ provider: provider.name, model: provider.model, budget: BUDGET, batch: BATCH });
+let cache; // LlmCache, opened in main
 
 /* ------------------ Simple Concurrency Control ------------------ */
 
@@ -73,19 +148,40 @@ function loadCheckpoint() {
   }
 }
 
+// temp file + rename, so a crash mid-write never leaves a truncated checkpoint
 function saveCheckpoint(obj) {
-  fs.writeFileSync(CHECKPOINT_PATH, JSON.stringify(obj, null, 2), "utf8");
+  const tmp = `${CHECKPOINT_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, CHECKPOINT_PATH);
 }
 
-async function readCsv(filePath) {
-  return new Promise((resolve, reject) => {
-    const rows = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => rows.push(data))
-      .on("end", () => resolve(rows))
-      .on("error", reject);
-  });
+// Open `file` for appending, cut back to `bytes` (what the last checkpoint covered)
+function openAt(file, bytes) {
+  if (fs.existsSync(file)) fs.truncateSync(file, bytes);
+  return fs.openSync(file, "a");
+}
+
+// Escape CSV cell (always quoted, same as 312/500)
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return '""';
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Results of rows that finished before the checkpoint but were not written yet, read back from
+// the audit/error logs so they are not sent to the API again
+async function restorePending(auditPath, errorPath, pending) {
+  const restored = new Map();
+  const wanted = new Set(pending);
+  for (const [file, success] of [[auditPath, true], [errorPath, false]]) {
+    if (!fs.existsSync(file)) continue;
+    const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: "utf8" }), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (wanted.has(entry.rowIndex)) restored.set(entry.rowIndex, { ...entry, success });
+    }
+  }
+  return restored;
 }
 
 /* Build system prompt for single-row cleaning */
@@ -103,76 +199,82 @@ function buildSystemPrompt() {
 6) Output ONLY valid JSON, no explanation.
 
 Filler phrases to remove (case-insensitive):
-- "Please contact provider for more information", "Please contact the provider for more information"
-- "For more information contact the provider", "National Qualification Framework (NQF)"
-- "National Qualification Framework", "See website for details", "See our website for details"
-- "For more information", "Contact provider", "Fees and charges apply"
-- "Subject to change without notice", "Enrol now", "Limited places available"
+${FILLER_PHRASES.map((p) => `- "${p}"`).join("\n")}
 - Phone numbers and emails when standalone
 - Leading bullets: "1. ", "1) ", "a. ", "a) ", "(a) ", "-", "•"`.trim();
 }
 
-/* Call OpenAI API for a single row with retries */
-async function cleanSingleRow(rowData, rowIndex, retries = MAX_RETRIES) {
-  const messages = [
-    { role: "system", content: buildSystemPrompt() },
-    {
-      role: "user",
-      content: `INPUT_JSON:\n${JSON.stringify({
-        description: rowData.description || "",
-        learningOutcomes: rowData.learningOutcomes || "",
-      })}\n\nReturn cleaned JSON object.`,
-    },
-  ];
+function buildUserPrompt(rowData) {
+  return `INPUT_JSON:\n${JSON.stringify({
+    description: rowData.description || "",
+    learningOutcomes: rowData.learningOutcomes || "",
+  })}\n\nReturn cleaned JSON object.`;
+}
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${OPENAI_KEY}`,
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages,
-          temperature: 0,
-          response_format: { type: "json_object" },
-        }),
-      });
+// A new prompt (or filler list) means new cache keys
+const PROMPT_VERSION = promptVersion(buildSystemPrompt());
 
-      if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error(`API error ${resp.status}: ${txt}`);
-      }
+function cacheRequest(user) {
+  return { provider: provider.name, model: provider.model, promptVersion: PROMPT_VERSION, user };
+}
 
-      const data = await resp.json();
-      const content = data.choices?.[0]?.message?.content;
-      
-      if (!content) {
-        throw new Error("Empty response from API");
-      }
+/* Parse and check one answer: { cleaned, removed, rejected? }; throws if it is not usable */
+function interpretAnswer(rowData, content) {
+  const parsed = JSON.parse(content.trim());
 
-      // Parse and validate
-      let parsed = JSON.parse(content.trim());
-      
-      // Validate required fields
-      if (typeof parsed.description === 'undefined' || typeof parsed.learningOutcomes === 'undefined') {
-        throw new Error("Missing required fields in response");
-      }
+  // Validate required fields
+  if (typeof parsed.description === 'undefined' || typeof parsed.learningOutcomes === 'undefined') {
+    throw new Error("Missing required fields in response");
+  }
+
+  const original = {
+    description: rowData.description || "",
+    learningOutcomes: rowData.learningOutcomes || "",
+  };
+  const cleaned = {
+    description: String(parsed.description || ""),
+    learningOutcomes: String(parsed.learningOutcomes || ""),
+  };
+  const removed = {
+    description: Array.isArray(parsed.description_removed) ? parsed.description_removed : [],
+    learningOutcomes: Array.isArray(parsed.learningOutcomes_removed) ? parsed.learningOutcomes_removed : [],
+  };
+
+  // Only deletions of the reported substrings are accepted; anything else keeps the original
+  const check = verifyCleaning(original, cleaned, removed);
+  if (!check.ok) {
+    return {
+      cleaned: original,
+      removed: { description: [], learningOutcomes: [] },
+      rejected: { field: check.field, reason: check.reason, proposed: cleaned, removed },
+    };
+  }
+  return { cleaned, removed };
+}
+
+/* Ask the LLM provider to clean a single row (cache first), with retries.
+   Resolves to { skipped: true } instead of calling the API once the budget is spent. */
+async function cleanSingleRow(rowData, rowIndex, retries = MAX_RETRIES) {
+  const system = buildSystemPrompt();
+  const user = buildUserPrompt(rowData);
+  const request = cacheRequest(user);
+  const hit = await cache.get(request);
 
-      return {
-        success: true,
-        rowIndex,
-        cleaned: {
-          description: String(parsed.description || ""),
-          learningOutcomes: String(parsed.learningOutcomes || ""),
-        },
-        removed: {
-          description: Array.isArray(parsed.description_removed) ? parsed.description_removed : [],
-          learningOutcomes: Array.isArray(parsed.learningOutcomes_removed) ? parsed.learningOutcomes_removed : [],
-        },
-      };
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const fromCache = Boolean(hit) && attempt === 1;
+      let answer;
+      if (fromCache) {
+        answer = hit;
+        meter.addCached();
+      } else {
+        if (meter.overBudget) return { skipped: true, rowIndex };
+        answer = await provider.complete({ system, user });
+        meter.add(answer.usage);
+      }
+      const result = interpretAnswer(rowData, answer.content);
+      if (!fromCache) await cache.put(request, answer);
+      return { success: true, rowIndex, cached: fromCache, ...result };
     } catch (err) {
       console.warn(`Row ${rowIndex} attempt ${attempt}/${retries} failed: ${err.message}`);
       
@@ -190,174 +292,595 @@ async function cleanSingleRow(rowData, rowIndex, retries = MAX_RETRIES) {
   }
 }
 
+/* ------------------ Output records ------------------ */
+
+function auditLine(idx, row, result) {
+  return JSON.stringify({
+    rowIndex: idx,
+    recordId: row.recordId || "",
+    uri: row.uri || "",
+    source: result.source,
+    ...(result.cached ? { cached: true } : {}),
+    original: {
+      description: row.description || "",
+      learningOutcomes: row.learningOutcomes || "",
+    },
+    cleaned: result.cleaned,
+    rules: result.rules,
+    removed: result.removed,
+    ...(result.rejected ? { rejected: result.rejected } : {}),
+  }) + "\n";
+}
+
+function errorLine(idx, row, result) {
+  return JSON.stringify({ rowIndex: idx, recordId: row.recordId || "", uri: row.uri || "", error: result.error, original: row }) + "\n";
+}
+
+// failed rows keep the rule-cleaned text
+function outputRow(row, result) {
+  const outRow = { ...row };
+  if (result.success) {
+    outRow.description = result.cleaned.description;
+    outRow.learningOutcomes = result.cleaned.learningOutcomes;
+  } else {
+    Object.assign(outRow, cleanRow(row, COLS_TO_CLEAN, catalogue).texts);
+  }
+  touch(outRow, STAGE);
+  return outRow;
+}
+
 /* ------------------ Main Processing ------------------ */
 
 async function processFileWithConcurrency(filePath) {
   console.log(`\nProcessing: ${filePath}`);
   const basename = path.basename(filePath);
-  const tempCsv = path.join(process.cwd(), `.${basename}.processing.csv`);
-  const auditPath = path.join(process.cwd(), `cleaned_${basename}_audit.json`);
-  const errorPath = path.join(process.cwd(), `cleaned_${basename}_errors.json`);
-
-  // Load rows
-  const rows = await readCsv(filePath);
-  console.log(`Read ${rows.length} rows`);
+  const stat = fs.statSync(filePath);
 
-  const headerColumns = rows[0] ? Object.keys(rows[0]) : COLS_TO_CLEAN;
-
-  // Initialize or resume checkpoint
+  // Resume only if the checkpoint belongs to this exact input (same size and mtime)
   let checkpoint = loadCheckpoint();
-  if (!checkpoint || checkpoint.currentFile !== filePath) {
+  const resume = checkpoint && checkpoint.status === "in-progress" && checkpoint.currentFile === filePath &&
+    checkpoint.mode !== "batch" && checkpoint.inputSize === stat.size && checkpoint.inputMtimeMs === stat.mtimeMs;
+  if (checkpoint && checkpoint.status === "in-progress" && checkpoint.currentFile === filePath && checkpoint.mode !== "batch" && !resume) {
+    console.warn("Input changed since the checkpoint was written, starting over");
+  }
+  if (!resume) {
     checkpoint = {
+      mode: "requests",
       currentFile: filePath,
-      processedRows: [],
-      tempCsv,
-      auditPath,
       status: "in-progress",
+      inputSize: stat.size,
+      inputMtimeMs: stat.mtimeMs,
+      tempCsv: path.join(process.cwd(), `.${basename}.processing.csv`),
+      auditPath: path.join(process.cwd(), `cleaned_${basename}_audit.ndjson`),
+      errorPath: path.join(process.cwd(), `cleaned_${basename}_errors.ndjson`),
+      written: 0, // rows 0..written-1 are in tempCsv
+      pending: [], // rows finished (audit/error logged) but waiting for an earlier row to be written
+      outputBytes: 0,
+      auditBytes: 0,
+      errorBytes: 0,
+      failed: 0,
+      rulesOnly: 0, // rows the boilerplate rules handled without the model
+      answered: 0, // rows the model answered (accepted + rejected)
+      rejected: 0,
+      usage: null, // API calls, cache hits, tokens and estimated cost of all runs on this file
     };
     saveCheckpoint(checkpoint);
     console.log("Created new checkpoint");
   } else {
-    checkpoint.processedRows = checkpoint.processedRows || [];
-    console.log(`Resuming: ${checkpoint.processedRows.length} rows already processed`);
+    console.log(`Resuming: ${checkpoint.written} rows written, ${checkpoint.pending.length} finished and waiting`);
   }
+  const { tempCsv, auditPath, errorPath } = checkpoint;
+
+  // Anything appended after the last checkpoint is dropped and redone
+  const outFd = openAt(tempCsv, checkpoint.outputBytes);
+  const auditFd = openAt(auditPath, checkpoint.auditBytes);
+  const errorFd = openAt(errorPath, checkpoint.errorBytes);
+  const restored = checkpoint.pending.length ? await restorePending(auditPath, errorPath, checkpoint.pending) : new Map();
+
+  let headers = null;
+  let written = checkpoint.written;
+  let failed = checkpoint.failed;
+  let rulesOnly = checkpoint.rulesOnly || 0;
+  let answered = checkpoint.answered || 0;
+  let rejected = checkpoint.rejected || 0;
+  let total = 0;
+  let completed = 0;
+  let failure = null;
+  let budgetStop = false;
+  const usageBefore = checkpoint.usage || { calls: 0, cached: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+  const meterBefore = meter.summary(); // the meter counts the whole run, across files
+  const finished = new Map(); // rowIndex -> output row, until every earlier row is written
+  let wake = null;
+  const startTime = Date.now();
 
-  const processedSet = new Set(checkpoint.processedRows);
+  function writeRow(row) {
+    fs.writeSync(outFd, headers.map((h) => escapeCsvCell(row[h])).join(",") + "\n");
+  }
 
-  // Setup CSV writer for incremental writes
-  const csvWriter = createCsvWriter({
-    path: tempCsv,
-    header: headerColumns.map((h) => ({ id: h, title: h })),
-    append: fs.existsSync(tempCsv),
-  });
+  function save() {
+    checkpoint.written = written;
+    checkpoint.pending = [...finished.keys()].sort((a, b) => a - b);
+    checkpoint.outputBytes = fs.fstatSync(outFd).size;
+    checkpoint.auditBytes = fs.fstatSync(auditFd).size;
+    checkpoint.errorBytes = fs.fstatSync(errorFd).size;
+    checkpoint.failed = failed;
+    checkpoint.rulesOnly = rulesOnly;
+    checkpoint.answered = answered;
+    checkpoint.rejected = rejected;
+    const now = meter.summary();
+    checkpoint.usage = Object.fromEntries(Object.keys(usageBefore).map((k) => [k, Number((usageBefore[k] + now[k] - meterBefore[k]).toFixed(6))]));
+    saveCheckpoint(checkpoint);
+  }
 
-  // Load existing audit and errors
-  let auditArray = fs.existsSync(auditPath) ? JSON.parse(fs.readFileSync(auditPath, "utf8")) : [];
-  let errorArray = fs.existsSync(errorPath) ? JSON.parse(fs.readFileSync(errorPath, "utf8")) : [];
+  function notify() {
+    if (wake) {
+      const w = wake;
+      wake = null;
+      w();
+    }
+  }
 
-  // Prepare work queue (only unprocessed rows)
-  const workQueue = rows
-    .map((row, idx) => ({ row, idx }))
-    .filter(({ idx }) => !processedSet.has(idx));
+  // Log the result, then write every row that is now next in input order
+  function complete(idx, row, result, { logged = false } = {}) {
+    if (result.success) {
+      if (!logged) {
+        if (result.source === "llm") answered++;
+        else rulesOnly++;
+        fs.writeSync(auditFd, auditLine(idx, row, result));
+        if (result.rejected) {
+          rejected++;
+          console.warn(`REJECTED row ${idx}: ${result.rejected.field}: ${result.rejected.reason}`);
+        }
+      }
+    } else if (!logged) {
+      failed++;
+      fs.writeSync(errorFd, errorLine(idx, row, result));
+      console.error(`FAILED row ${idx}: ${result.error}`);
+    }
+    finished.set(idx, outputRow(row, result));
+    while (finished.has(written)) {
+      writeRow(finished.get(written));
+      finished.delete(written);
+      written++;
+    }
 
-  console.log(`Processing ${workQueue.length} remaining rows with ${CONCURRENT_LIMIT} concurrent requests...`);
+    completed++;
+    if (completed % CHECKPOINT_EVERY === 0) {
+      save();
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      const rate = (completed / (Date.now() - startTime) * 1000).toFixed(1);
+      console.log(`Progress: ${written} rows written (${completed} this run) - ${rate} rows/sec - ${elapsed}s elapsed - $${meter.cost.toFixed(4)}`);
+    }
+    notify();
+  }
 
-  // Concurrency control
+  // Stream the input; at most WINDOW rows are in flight or waiting to be written
   const pool = new ConcurrencyPool(CONCURRENT_LIMIT);
-  let completed = processedSet.size;
-  const startTime = Date.now();
+  const inFlight = new Set();
+  const parser = fs.createReadStream(filePath).pipe(csv());
+  parser.on("headers", (h) => {
+    headers = h;
+    if (fs.fstatSync(outFd).size === 0) fs.writeSync(outFd, headers.map(escapeCsvCell).join(",") + "\n");
+  });
+  console.log(`Processing rows from ${written} on with ${CONCURRENT_LIMIT} concurrent requests...`);
+
+  for await (const row of parser) {
+    if (failure || budgetStop) break;
+    if (meter.overBudget) {
+      budgetStop = true;
+      break;
+    }
+    const idx = total++;
+    if (idx < written) continue;
+    if (restored.has(idx)) {
+      complete(idx, row, restored.get(idx), { logged: true });
+      continue;
+    }
+    while (idx - written >= WINDOW && !failure && !budgetStop) await new Promise((r) => (wake = r));
+    if (budgetStop) break;
+
+    // rules first; only rows that still look suspect go to the model
+    const pre = cleanRow(row, COLS_TO_CLEAN, catalogue);
+    if (!pre.ambiguous && !LLM_ALL_ROWS) {
+      complete(idx, row, { success: true, source: "rules", rules: pre.removed, cleaned: pre.texts, removed: { description: [], learningOutcomes: [] } });
+      continue;
+    }
+    const job = pool.run(() => cleanSingleRow({ ...row, ...pre.texts }, idx))
+      .then((result) => {
+        // not started for lack of budget: left for the next run
+        if (result.skipped) budgetStop = true;
+        else complete(idx, row, { ...result, source: "llm", rules: pre.removed });
+      })
+      .catch((err) => { failure = failure || err; })
+      .finally(() => {
+        inFlight.delete(job);
+        notify();
+      });
+    inFlight.add(job);
+  }
+  await Promise.all(inFlight);
+  if (!failure && !headers) failure = new Error(`No CSV header in ${filePath}`);
+  if (failure) {
+    save();
+    [outFd, auditFd, errorFd].forEach((fd) => fs.closeSync(fd));
+    throw failure;
+  }
+  save();
+  [outFd, auditFd, errorFd].forEach((fd) => fs.closeSync(fd));
+  if (budgetStop) {
+    console.warn(`\n⏸ Budget of $${BUDGET} reached ($${meter.cost.toFixed(4)} spent): stopped after ${written} rows written, ${finished.size} waiting`);
+    console.warn(`  ${filePath} is unchanged; run again (with a higher --budget) to continue from the checkpoint`);
+    return { stopped: true };
+  }
+
+  // Replace original file
+  const backupPath = `${filePath}.bak.${Date.now()}`;
+  await fse.copy(filePath, backupPath);
+  await fse.move(tempCsv, filePath, { overwrite: true });
 
-  // Process all rows concurrently
-  const promises = workQueue.map(({ row, idx }) =>
-    pool.run(async () => {
-      const result = await cleanSingleRow(row, idx);
-
-      if (result.success) {
-        // Build cleaned row
-        const cleanedRow = { ...row };
-        cleanedRow.description = result.cleaned.description;
-        cleanedRow.learningOutcomes = result.cleaned.learningOutcomes;
-
-        // Write immediately (synchronized by file system)
-        await csvWriter.writeRecords([cleanedRow]);
-
-        // Add to audit
-        auditArray.push({
-          rowIndex: idx,
-          original: {
-            description: row.description || "",
-            learningOutcomes: row.learningOutcomes || "",
-          },
-          cleaned: result.cleaned,
-          removed: result.removed,
-        });
-
-        // Update checkpoint
-        processedSet.add(idx);
-        completed++;
-
-        if (completed % 10 === 0) {
-          // Periodic saves
-          fs.writeFileSync(auditPath, JSON.stringify(auditArray, null, 2));
-          checkpoint.processedRows = Array.from(processedSet);
-          saveCheckpoint(checkpoint);
-          
-          const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-          const rate = (completed / (Date.now() - startTime) * 1000).toFixed(1);
-          console.log(`Progress: ${completed}/${rows.length} (${Math.round(completed/rows.length*100)}%) - ${rate} rows/sec - ${elapsed}s elapsed`);
+  // Mark complete
+  checkpoint.status = "done";
+  checkpoint.completedAt = new Date().toISOString();
+  saveCheckpoint(checkpoint);
+
+  const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+  const avgRate = (completed / (Date.now() - startTime) * 1000).toFixed(1);
+
+  console.log(`\n✓ Completed: ${written} rows (${completed} this run) in ${totalTime}s (${avgRate} rows/sec)`);
+  console.log(`  Backup: ${backupPath}`);
+  console.log(`  Audit: ${auditPath}`);
+  console.log(`  Rules only: ${rulesOnly} rows, sent to the model: ${answered + failed} rows`);
+  const rate = answered ? (rejected / answered * 100).toFixed(2) : "0.00";
+  console.log(`  Rejected rewrites: ${rejected}/${answered} answered rows (${rate}%) kept their rule-cleaned text`);
+  if (failed > 0) {
+    console.warn(`  ${failed} rows failed and kept their rule-cleaned text - see ${errorPath}`);
+  }
+  const u = checkpoint.usage;
+  console.log(`  API calls: ${u.calls} (${u.cached} answered from the cache), ${u.promptTokens} prompt + ${u.completionTokens} completion tokens, ~$${u.costUsd.toFixed(4)}`);
+  return { stopped: false };
+}
+
+/* ------------------ Batch mode ------------------ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// custom_id -> { content, usage } or { error } for one downloaded batch
+async function readBatchResults(b) {
+  const results = new Map();
+  for (const file of [b.outputPath, b.errorPath]) {
+    if (!file || !fs.existsSync(file)) continue;
+    const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: "utf8" }), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      const resp = entry.response;
+      if (resp && resp.status_code === 200) {
+        try {
+          results.set(entry.custom_id, parseChatCompletion(resp.body));
+        } catch (err) {
+          results.set(entry.custom_id, { error: err.message });
         }
       } else {
-        // Log error
-        errorArray.push(result);
-        console.error(`FAILED row ${idx}: ${result.error}`);
+        const message = entry.error?.message || resp?.body?.error?.message || `status ${resp?.status_code}`;
+        results.set(entry.custom_id, { error: `batch request failed: ${message}` });
+      }
+    }
+  }
+  return results;
+}
+
+async function processFileWithBatch(filePath) {
+  console.log(`\nProcessing (batch): ${filePath}`);
+  if (provider.name !== "openai") throw new Error(`--batch needs an OpenAI-compatible provider, not ${provider.name}`);
+  const client = createBatchClient({ baseUrl: provider.baseUrl, apiKey: provider.apiKey, timeoutMs: provider.timeoutMs });
+  const basename = path.basename(filePath);
+  const stat = fs.statSync(filePath);
+
+  let checkpoint = loadCheckpoint();
+  const resume = checkpoint && checkpoint.status === "in-progress" && checkpoint.currentFile === filePath &&
+    checkpoint.mode === "batch" && checkpoint.inputSize === stat.size && checkpoint.inputMtimeMs === stat.mtimeMs;
+  if (checkpoint && checkpoint.status === "in-progress" && checkpoint.currentFile === filePath && checkpoint.mode === "batch" && !resume) {
+    console.warn("Input changed since the checkpoint was written, starting over (batches already submitted are abandoned)");
+  }
+  if (!resume) {
+    checkpoint = {
+      mode: "batch",
+      currentFile: filePath,
+      status: "in-progress",
+      inputSize: stat.size,
+      inputMtimeMs: stat.mtimeMs,
+      tempCsv: path.join(process.cwd(), `.${basename}.processing.csv`),
+      auditPath: path.join(process.cwd(), `cleaned_${basename}_audit.ndjson`),
+      errorPath: path.join(process.cwd(), `cleaned_${basename}_errors.ndjson`),
+      prepared: false,
+      batches: [], // { n, file, firstRow, lastRow, requests, estimatedCost, inputFileId, batchId, status, outputPath, errorPath }
+    };
+    saveCheckpoint(checkpoint);
+    console.log("Created new checkpoint");
+  } else {
+    console.log(`Resuming: ${checkpoint.batches.length} batch files, ${checkpoint.batches.filter((b) => b.batchId).length} submitted`);
+  }
+  const startTime = Date.now();
+  const meterBefore = meter.summary();
+  const system = buildSystemPrompt();
+  const systemTokens = estimateTokens(system);
+
+  // 1) Pack the rows for the model (not done by the rules, not cached) into request files
+  if (!checkpoint.prepared) {
+    let fd = null;
+    let current = null;
+    let idx = 0;
+    const close = () => {
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    };
+    const parser = fs.createReadStream(filePath).pipe(csv());
+    for await (const row of parser) {
+      const rowIndex = idx++;
+      const pre = cleanRow(row, COLS_TO_CLEAN, catalogue);
+      if (!pre.ambiguous && !LLM_ALL_ROWS) continue;
+      const user = buildUserPrompt({ ...row, ...pre.texts });
+      if (cache.has(cacheRequest(user))) continue;
+      const line = batchRequestLine(`row-${rowIndex}`, chatRequestBody(provider.model, { system, user }));
+      if (!current || current.requests >= BATCH_SIZE || current.bytes + Buffer.byteLength(line) > BATCH_MAX_BYTES) {
+        close();
+        const n = checkpoint.batches.length + 1;
+        current = { n, file: path.join(process.cwd(), `.${basename}.batch-${n}.jsonl`), firstRow: rowIndex, lastRow: rowIndex, requests: 0, bytes: 0, promptTokens: 0, completionTokens: 0 };
+        checkpoint.batches.push(current);
+        fd = fs.openSync(current.file, "w");
       }
+      fs.writeSync(fd, line);
+      current.lastRow = rowIndex;
+      current.requests++;
+      current.bytes += Buffer.byteLength(line);
+      current.promptTokens += systemTokens + estimateTokens(user);
+      current.completionTokens += estimateTokens(JSON.stringify(pre.texts)) + 20;
+    }
+    close();
+    for (const b of checkpoint.batches) {
+      b.estimatedCost = (b.promptTokens * meter.price.input + b.completionTokens * meter.price.output) / 1e6;
+    }
+    checkpoint.prepared = true;
+    saveCheckpoint(checkpoint);
+    const requests = checkpoint.batches.reduce((n, b) => n + b.requests, 0);
+    console.log(`Prepared ${requests} requests in ${checkpoint.batches.length} batch files (rows done by the rules or cached are not sent)`);
+  }
 
-      return result;
-    })
-  );
+  // 2) Upload and submit, within the budget
+  let committed = 0;
+  for (const b of checkpoint.batches) {
+    if (b.batchId) continue;
+    if (committed + b.estimatedCost > BUDGET) {
+      console.warn(`\n⏸ Budget of $${BUDGET} reached: batch ${b.n} (~$${b.estimatedCost.toFixed(4)}) not submitted, ~$${committed.toFixed(4)} submitted this run`);
+      console.warn(`  ${filePath} is unchanged; run again (with a higher --budget) to continue from the checkpoint`);
+      return { stopped: true };
+    }
+    b.inputFileId = b.inputFileId || await client.uploadFile(b.file);
+    saveCheckpoint(checkpoint);
+    const batch = await client.createBatch(b.inputFileId, { file: basename, rows: `${b.firstRow}-${b.lastRow}` });
+    b.batchId = batch.id;
+    b.status = batch.status;
+    committed += b.estimatedCost;
+    saveCheckpoint(checkpoint);
+    console.log(`Submitted batch ${b.n}: ${b.requests} requests (rows ${b.firstRow}-${b.lastRow}) as ${b.batchId}, ~$${b.estimatedCost.toFixed(4)}`);
+  }
 
-  // Wait for all to complete
-  await Promise.all(promises);
+  // 3) Poll until every batch is done, and download the results
+  for (;;) {
+    for (const b of checkpoint.batches) {
+      if (b.outputPath !== undefined) continue;
+      const batch = await client.getBatch(b.batchId);
+      const counts = batch.request_counts || {};
+      if (batch.status !== b.status) console.log(`Batch ${b.n} (${b.batchId}): ${batch.status} - ${counts.completed || 0}/${counts.total || b.requests} done, ${counts.failed || 0} failed`);
+      b.status = batch.status;
+      if (isTerminal(batch)) {
+        // failed/expired batches may still have partial output; their missing rows become errors
+        b.outputPath = batch.output_file_id ? await client.downloadFile(batch.output_file_id, `${b.file}.output`) : null;
+        b.errorPath = batch.error_file_id ? await client.downloadFile(batch.error_file_id, `${b.file}.errors`) : null;
+      }
+      saveCheckpoint(checkpoint);
+    }
+    if (checkpoint.batches.every((b) => b.outputPath !== undefined)) break;
+    await sleep(BATCH_POLL_MS);
+  }
 
-  // Final saves
-  fs.writeFileSync(auditPath, JSON.stringify(auditArray, null, 2));
-  if (errorArray.length > 0) {
-    fs.writeFileSync(errorPath, JSON.stringify(errorArray, null, 2));
-    console.warn(`${errorArray.length} rows failed - see ${errorPath}`);
+  // 4) Merge in input order; the merge is quick and simply restarts after a crash
+  const { tempCsv, auditPath, errorPath } = checkpoint;
+  const outFd = fs.openSync(tempCsv, "w");
+  const auditFd = fs.openSync(auditPath, "w");
+  const errorFd = fs.openSync(errorPath, "w");
+  let headers = null;
+  let total = 0;
+  let failed = 0;
+  let rulesOnly = 0;
+  let answered = 0;
+  let rejected = 0;
+  let results = new Map();
+  let next = 0; // next batch to load
+  let loadedUpTo = -1; // last row covered by `results`
+
+  const parser = fs.createReadStream(filePath).pipe(csv());
+  parser.on("headers", (h) => {
+    headers = h;
+    fs.writeSync(outFd, headers.map(escapeCsvCell).join(",") + "\n");
+  });
+  for await (const row of parser) {
+    const idx = total++;
+    const pre = cleanRow(row, COLS_TO_CLEAN, catalogue);
+    let result;
+    if (!pre.ambiguous && !LLM_ALL_ROWS) {
+      result = { success: true, source: "rules", rules: pre.removed, cleaned: pre.texts, removed: { description: [], learningOutcomes: [] } };
+    } else {
+      const rowData = { ...row, ...pre.texts };
+      const request = cacheRequest(buildUserPrompt(rowData));
+      const hit = await cache.get(request);
+      let answer = hit;
+      if (hit) {
+        meter.addCached();
+      } else {
+        // batches cover increasing row ranges: keep only the one this row falls into
+        while (idx > loadedUpTo && next < checkpoint.batches.length) {
+          const b = checkpoint.batches[next++];
+          results = await readBatchResults(b);
+          loadedUpTo = b.lastRow;
+        }
+        answer = results.get(`row-${idx}`) || { error: "no answer in the batch results" };
+        if (!answer.error) meter.add(answer.usage);
+      }
+      try {
+        if (answer.error) throw new Error(answer.error);
+        const interpreted = interpretAnswer(rowData, answer.content);
+        if (!hit) await cache.put(request, answer);
+        result = { success: true, source: "llm", rules: pre.removed, cached: Boolean(hit), ...interpreted };
+      } catch (err) {
+        result = { success: false, error: err.message };
+      }
+    }
+
+    if (result.success) {
+      if (result.source === "llm") answered++;
+      else rulesOnly++;
+      if (result.rejected) rejected++;
+      fs.writeSync(auditFd, auditLine(idx, row, result));
+    } else {
+      failed++;
+      fs.writeSync(errorFd, errorLine(idx, row, result));
+    }
+    const outRow = outputRow(row, result);
+    fs.writeSync(outFd, headers.map((h) => escapeCsvCell(outRow[h])).join(",") + "\n");
   }
+  [outFd, auditFd, errorFd].forEach((fd) => fs.closeSync(fd));
+  if (!headers) throw new Error(`No CSV header in ${filePath}`);
 
-  // Replace original file
   const backupPath = `${filePath}.bak.${Date.now()}`;
   await fse.copy(filePath, backupPath);
   await fse.move(tempCsv, filePath, { overwrite: true });
+  for (const b of checkpoint.batches) {
+    [b.file, b.outputPath, b.errorPath].filter(Boolean).forEach((f) => fse.removeSync(f));
+  }
 
-  // Mark complete
   checkpoint.status = "done";
   checkpoint.completedAt = new Date().toISOString();
-  checkpoint.processedRows = Array.from(processedSet);
+  const now = meter.summary();
+  const usage = Object.fromEntries(Object.keys(now).map((k) => [k, Number((now[k] - meterBefore[k]).toFixed(6))]));
+  Object.assign(checkpoint, { written: total, failed, rulesOnly, answered, rejected, usage });
   saveCheckpoint(checkpoint);
 
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  const avgRate = (rows.length / (Date.now() - startTime) * 1000).toFixed(1);
-  
-  console.log(`\n✓ Completed: ${rows.length} rows processed in ${totalTime}s (${avgRate} rows/sec)`);
+  console.log(`\n✓ Completed: ${total} rows in ${totalTime}s (${checkpoint.batches.length} batches)`);
   console.log(`  Backup: ${backupPath}`);
   console.log(`  Audit: ${auditPath}`);
-  if (errorArray.length > 0) {
-    console.log(`  Errors: ${errorPath}`);
+  console.log(`  Rules only: ${rulesOnly} rows, sent to the model: ${answered + failed} rows`);
+  const rate = answered ? (rejected / answered * 100).toFixed(2) : "0.00";
+  console.log(`  Rejected rewrites: ${rejected}/${answered} answered rows (${rate}%) kept their rule-cleaned text`);
+  if (failed > 0) {
+    console.warn(`  ${failed} rows failed and kept their rule-cleaned text - see ${errorPath}`);
+  }
+  const u = checkpoint.usage;
+  console.log(`  Batch requests: ${u.calls} answered (${u.cached} from the cache), ${u.promptTokens} prompt + ${u.completionTokens} completion tokens, ~$${u.costUsd.toFixed(4)}`);
+  return { stopped: false };
+}
+
+/* ------------------ Dry run ------------------ */
+
+// Rules pre-pass and cache lookups only: how many rows would go to the model, at what cost
+async function estimateFile(filePath) {
+  console.log(`\nEstimating: ${filePath}`);
+  const systemTokens = estimateTokens(buildSystemPrompt());
+  let rows = 0;
+  let rulesOnlyRows = 0;
+  let cachedRows = 0;
+  let send = 0;
+  let promptTokens = 0;
+  let completionTokens = 0;
+
+  const parser = fs.createReadStream(filePath).pipe(csv());
+  for await (const row of parser) {
+    rows++;
+    const pre = cleanRow(row, COLS_TO_CLEAN, catalogue);
+    if (!pre.ambiguous && !LLM_ALL_ROWS) {
+      rulesOnlyRows++;
+      continue;
+    }
+    const user = buildUserPrompt({ ...row, ...pre.texts });
+    if (cache.has(cacheRequest(user))) {
+      cachedRows++;
+      continue;
+    }
+    send++;
+    promptTokens += systemTokens + estimateTokens(user);
+    // the answer repeats the text (minus the filler) plus the removed-substring arrays
+    completionTokens += estimateTokens(JSON.stringify(pre.texts)) + 20;
   }
+  const { price } = meter;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  console.log(`  ${rows} rows: ${rulesOnlyRows} done by the rules, ${cachedRows} cached, ${send} would be sent to the model`);
+  console.log(`  ~${promptTokens} prompt + ~${completionTokens} completion tokens, ~$${cost.toFixed(4)} (${provider.name} ${provider.model}, $${price.input}/$${price.output} per 1M tokens)`);
+  return cost;
 }
 
 /* ------------------ Main ------------------ */
 
 (async () => {
   try {
-    const args = process.argv.slice(2);
     if (args.length < 1) {
-      console.error("Usage: node clean_with_openai_concurrent.js file.csv");
+      console.error("Usage: node clean_with_openai_concurrent.js file.csv [--budget USD] [--dry-run] [--batch]");
       process.exit(1);
     }
+    console.log(`LLM provider: ${provider.name} (model ${provider.model})`);
+    if (!meter.price.known) {
+      console.warn(`No price known for model ${provider.model}: set LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD per 1M tokens) for cost estimates`);
+      if (BUDGET !== Infinity) {
+        console.error("--budget needs a price for the model");
+        process.exit(1);
+      }
+    }
+    cache = await LlmCache.open();
+
+    if (DRY_RUN) {
+      let cost = 0;
+      for (const f of args) {
+        if (!fs.existsSync(f)) {
+          console.error("File not found:", f);
+          continue;
+        }
+        cost += await estimateFile(f);
+      }
+      console.log(`\n✓ Dry run: ~$${cost.toFixed(4)} in total, no API calls made`);
+      await cache.close();
+      return;
+    }
 
-    // Check for in-progress checkpoint
+    // Check for in-progress checkpoint (resumed in the mode it was started in)
     const ck = loadCheckpoint();
+    let stopped = false;
     if (ck && ck.status === "in-progress" && ck.currentFile) {
       console.log("Resuming:", ck.currentFile);
-      await processFileWithConcurrency(ck.currentFile);
+      const resumeFile = ck.mode === "batch" ? processFileWithBatch : processFileWithConcurrency;
+      ({ stopped } = await resumeFile(ck.currentFile));
     }
 
     // Process requested files
     for (const f of args) {
+      if (stopped) break;
       if (!fs.existsSync(f)) {
         console.error("File not found:", f);
         continue;
       }
-      if (ck && f === ck.currentFile) continue; // Already processed above
-      await processFileWithConcurrency(f);
+      if (ck && ck.status === "in-progress" && f === ck.currentFile) continue; // Already processed above
+      ({ stopped } = await (BATCH ? processFileWithBatch(f) : processFileWithConcurrency(f)));
     }
+    await cache.close();
 
+    const run = meter.summary();
+    console.log(`\nThis run: ${run.calls} API calls, ${run.cached} cache hits, ~$${run.costUsd.toFixed(4)}`);
+    if (stopped) {
+      process.exitCode = EXIT_BUDGET;
+      return;
+    }
     console.log("\n✓ All files processed");
   } catch (err) {
     console.error("\n✗ Fatal error:", err.message);
     process.exit(1);
   }
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,121 @@
+// mine_cleaning_rules.js
+// Usage:
+//   node mine_cleaning_rules.js [auditFile ...] [--out proposedRules.json]
+// Defaults: cleaned_final_qualifications.csv_audit.ndjson -> boilerplateRules.proposed.json
+//
+// Reads the AI cleaning audit log(s) written by 400 (NDJSON, or the JSON array of older runs)
+// and counts the substrings the model removed. Substrings removed from at least MINE_MIN_ROWS rows
+// that the catalogue (boilerplateRules.json) does not already remove are proposed as new phrases.
+// Nothing is changed in the catalogue: review the proposals and copy the good ones into "phrases".
+// Rejected answers (see lib/cleaningVerifier.js) and rows the rules handled alone are ignored.
+// Env:
+//   MINE_MIN_ROWS=5       rows a substring must have been removed from
+//   MINE_MIN_LENGTH=8     shorter substrings (bullets, stray punctuation) are skipped
+//   MINE_TOP=100          candidates kept in the output
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { loadRules, applyRules } = require('./lib/boilerplateRules');
+
+const args = process.argv.slice(2);
+const outIdx = args.indexOf('--out');
+const OUTPUT = outIdx >= 0 ? args.splice(outIdx, 2)[1] : 'boilerplateRules.proposed.json';
+const INPUTS = args.length ? args : ['cleaned_final_qualifications.csv_audit.ndjson'];
+const MIN_ROWS = Number(process.env.MINE_MIN_ROWS) || 5;
+const MIN_LENGTH = Number(process.env.MINE_MIN_LENGTH) || 8;
+const TOP = Number(process.env.MINE_TOP) || 100;
+const MAX_EXAMPLES = 3;
+
+// NDJSON line by line; a file starting with "[" is the older single JSON array
+async function* readAudit(file) {
+  const head = Buffer.alloc(64);
+  const fd = fs.openSync(file, 'r');
+  const n = fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  if (head.toString('utf8', 0, n).trimStart().startsWith('[')) {
+    yield* JSON.parse(fs.readFileSync(file, 'utf8'));
+    return;
+  }
+  const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+// "  2) For further details, visit our site. " -> "For further details, visit our site"
+function normalize(s) {
+  return String(s)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:[-•*]|\(?[0-9a-z]{1,2}[.)])\s+/i, '')
+    .replace(/[\s.,;:!]+$/, '');
+}
+
+(async () => {
+  const catalogue = loadRules();
+  const candidates = new Map(); // lower-case phrase -> { forms: Map, rows: Set, occurrences, examples }
+  let entries = 0;
+  let used = 0;
+
+  for (const file of INPUTS) {
+    if (!fs.existsSync(file)) {
+      console.error('Audit file not found:', file);
+      process.exit(1);
+    }
+    for await (const entry of readAudit(file)) {
+      entries++;
+      if (entry.rejected || entry.source === 'rules' || !entry.removed) continue;
+      used++;
+      for (const [field, list] of Object.entries(entry.removed)) {
+        for (const raw of Array.isArray(list) ? list : []) {
+          const phrase = normalize(raw);
+          if (phrase.length < MIN_LENGTH || !/\p{L}{3}/u.test(phrase)) continue;
+          const key = phrase.toLowerCase();
+          let c = candidates.get(key);
+          if (!c) candidates.set(key, (c = { forms: new Map(), rows: new Set(), occurrences: 0, fields: new Set(), examples: [] }));
+          c.forms.set(phrase, (c.forms.get(phrase) || 0) + 1);
+          c.rows.add(`${file}#${entry.rowIndex}`);
+          c.fields.add(field);
+          c.occurrences++;
+          if (c.examples.length < MAX_EXAMPLES) c.examples.push({ recordId: entry.recordId || '', uri: entry.uri || '', field });
+        }
+      }
+    }
+  }
+
+  let covered = 0;
+  const proposals = [];
+  for (const c of candidates.values()) {
+    if (c.rows.size < MIN_ROWS) continue;
+    const phrase = [...c.forms].sort((a, b) => b[1] - a[1])[0][0];
+    if (applyRules(phrase, catalogue).text.trim() === '') {
+      covered++;
+      continue;
+    }
+    proposals.push({ phrase, rows: c.rows.size, occurrences: c.occurrences, fields: [...c.fields], examples: c.examples });
+  }
+  proposals.sort((a, b) => b.rows - a.rows || a.phrase.localeCompare(b.phrase));
+  const top = proposals.slice(0, TOP);
+
+  const result = {
+    createdAt: new Date().toISOString(),
+    auditFiles: INPUTS.map(f => path.resolve(f)),
+    catalogue: catalogue.file,
+    entries,
+    entriesUsed: used,
+    minRows: MIN_ROWS,
+    alreadyCovered: covered,
+    phrases: top.map(p => p.phrase), // ready to paste into boilerplateRules.json after review
+    candidates: top,
+  };
+  fs.writeFileSync(OUTPUT, JSON.stringify(result, null, 2), 'utf8');
+
+  console.log(`🔍 ${used}/${entries} audit entries with model removals, ${candidates.size} distinct substrings`);
+  console.log(`   ${covered} frequent ones are already removed by the catalogue`);
+  top.slice(0, 15).forEach(p => console.log(`   ${String(p.rows).padStart(6)} rows  ${p.phrase}`));
+  console.log(`✅ Done! ${top.length} proposed phrases in ${path.resolve(OUTPUT)} (review before adding them to ${path.basename(catalogue.file)})`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
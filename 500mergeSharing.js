@@ -1,61 +1,120 @@
 // merge-csvs.js
 // Usage:
-//   node merge-csvs.js learningOpportunities.csv qualifications.csv polished.csv
+//   node merge-csvs.js <input1.csv> [input2.csv ...] <output.csv>
 //
 // Example:
-//   node merge-csvs.js learningOpportunities.csv qualifications.csv polished.csv
+//   node merge-csvs.js learning_opportunities_lang.csv final_qualifications_lang.csv europass_combined.csv
+//
+// Every input is mapped onto the canonical schema in lib/schema.js (recordType, title, country,
+// eqfLevel, eqfLevelNum, description, learningOutcomes, the language columns of 360, the
+// translation columns of 370, the cluster columns of 350, then the provenance columns recordId,
+// uri, fetchedAt, stages). The record type is recognised from the header row, so argument order
+// doesn't matter. All headers are checked before anything is written: a file with a column that
+// has no canonical mapping aborts the merge.
 
 const fs = require('fs');
-const readline = require('readline');
 const path = require('path');
+const csv = require('csv-parser');
+const { CANONICAL_COLUMNS, SchemaError, resolveHeaders, toCanonical } = require('./lib/schema');
+const { stageTag } = require('./lib/provenance');
 
-async function mergeCSVs(file1, file2, outputFile) {
-  const out = fs.createWriteStream(outputFile, { encoding: 'utf8' });
+const STAGE = stageTag(__filename);
 
-  // Helper to stream a CSV, skipping header if told to
-  async function appendCSV(file, skipHeader = false) {
-    const rl = readline.createInterface({
-      input: fs.createReadStream(file, { encoding: 'utf8' }),
-      crlfDelay: Infinity
-    });
-    let firstLine = true;
-    for await (const line of rl) {
-      if (firstLine && skipHeader) {
-        firstLine = false;
-        continue;
-      }
-      firstLine = false;
-      out.write(line + '\n');
-    }
-  }
+// Escape CSV cell (always quoted, same as 312)
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return '""';
+  const s = String(value).replace(/"/g, '""');
+  return `"${s}"`;
+}
 
-  console.log(`📂 Merging:\n  1️⃣ ${file1}\n  2️⃣ ${file2}\n➡️  ${outputFile}`);
+// Read only the header row of a CSV
+function readHeaders(file) {
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    const parser = csv();
+    let done = false;
+    const finish = (err, headers) => {
+      if (done) return;
+      done = true;
+      input.destroy();
+      err ? reject(err) : resolve(headers);
+    };
+    parser.on('headers', headers => finish(null, headers));
+    parser.on('error', err => finish(err));
+    parser.on('end', () => finish(null, []));
+    input.on('error', err => finish(err));
+    input.pipe(parser);
+  });
+}
 
-  // Write first file entirely (including header)
-  await appendCSV(file1, false);
+async function mergeCSVs(inputs, outputFile) {
+  // 1) validate every input before touching the output
+  const sources = [];
+  for (const file of inputs) {
+    if (!fs.existsSync(file)) throw new Error(`Input file not found: ${file}`);
+    const headers = await readHeaders(file);
+    const resolved = resolveHeaders(headers, { file });
+    sources.push({ file, ...resolved });
+  }
 
-  // Append second file skipping header
-  await appendCSV(file2, true);
+  console.log(`📂 Merging into canonical schema (${CANONICAL_COLUMNS.join(', ')}):`);
+  for (const s of sources) {
+    const missing = s.missing.length ? `  ⚠️ no source for: ${s.missing.join(', ')}` : '';
+    console.log(`  • ${s.file} → ${s.recordType || 'canonical'}${missing}`);
+  }
+  console.log(`➡️  ${outputFile}`);
 
-  out.end();
-  await new Promise(resolve => out.on('finish', resolve));
+  // 2) stream rows into a temp file, renamed into place once complete
+  const tmpFile = `${outputFile}.tmp`;
+  const out = fs.createWriteStream(tmpFile, { encoding: 'utf8' });
+  out.write(CANONICAL_COLUMNS.join(',') + '\n');
+  const counts = {};
 
-  console.log(`✅ Done! Combined file saved as ${outputFile}`);
+  try {
+    for (const source of sources) {
+      let rows = 0;
+      const parser = fs.createReadStream(source.file, { encoding: 'utf8' }).pipe(csv());
+      for await (const row of parser) {
+        const line = toCanonical(row, source, { stage: STAGE }).map(escapeCsvCell).join(',') + '\n';
+        if (!out.write(line)) await new Promise(r => out.once('drain', r));
+        rows++;
+      }
+      counts[source.recordType || source.file] = (counts[source.recordType || source.file] || 0) + rows;
+    }
+    await new Promise((resolve, reject) => {
+      out.on('error', reject);
+      out.end(resolve);
+    });
+    fs.renameSync(tmpFile, outputFile);
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmpFile, { force: true });
+    throw err;
+  }
+
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  console.log(`📊 Rows: ${Object.entries(counts).map(([k, v]) => `${k}=${v}`).join(', ')} (total ${total})`);
+  console.log(`✅ Done! Combined file saved as ${path.resolve(outputFile)}`);
 }
 
 // ---------- main ----------
 (async () => {
-  const [,, f1, f2, outFile] = process.argv;
+  const args = process.argv.slice(2);
+  const outFile = args.pop();
 
-  if (!f1 || !f2 || !outFile) {
-    console.error('Usage: node merge-csvs.js <file1.csv> <file2.csv> <output.csv>');
+  if (args.length < 1 || !outFile) {
+    console.error('Usage: node merge-csvs.js <input1.csv> [input2.csv ...] <output.csv>');
     process.exit(1);
   }
 
   try {
-    await mergeCSVs(f1, f2, outFile);
+    await mergeCSVs(args, outFile);
   } catch (err) {
-    console.error('❌ Error merging CSVs:', err.message);
+    if (err instanceof SchemaError) {
+      console.error(`❌ Schema mismatch, nothing written: ${err.message}`);
+    } else {
+      console.error('❌ Error merging CSVs:', err.message);
+    }
     process.exit(1);
   }
 })();
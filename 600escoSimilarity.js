@@ -0,0 +1,187 @@
+// esco_similarity.js
+// Usage:
+//   node esco_similarity.js [escoSkills.csv|.nt] [inputCsv] [outputCsv]
+// Defaults: esco/skills_en.csv, europass_combined.csv -> esco_similarity.csv
+//
+// Scores every record (title + description + learningOutcomes) against every ESCO skill
+// (preferred label, alternative labels, description) by cosine similarity and writes the
+// top-k skills per record, one row per match:
+//   recordId, uri, recordType, title, rank, skillUri, skillLabel, skillType, score
+// Run parameters go to <outputCsv minus .csv>.meta.json next to it.
+//
+// The input can be europass_combined.csv or either final CSV (final_qualifications.csv,
+// learning_opportunities_nomore.csv): columns are mapped through lib/schema.js.
+// Records tagged by 360 (description_lang / learningOutcomes_lang) in another language than the
+// ESCO labels are skipped: their words never match. Untagged or undetermined records are scored.
+// Everything runs offline:
+//   - default: TF-IDF over skills + records (lib/textVectors.js), sparse inverted-index search
+//   - ESCO_VECTORS=<file>: a local word-embedding file (word2vec/GloVe/fastText .vec text format);
+//     records and skills become TF-IDF-weighted mean word vectors. Brute force, so slower.
+// Env:
+//   ESCO_TOP_K=10            matches kept per record
+//   ESCO_MIN_SCORE=0.05      drop matches below this cosine
+//   ESCO_RECORD_TYPES=...    comma list of recordTypes to score (default: all)
+//   ESCO_LANGUAGE=en         language of the skills, and of the labels read from an .nt dump
+//                            (default: <lang> of skills_<lang>.csv, else the first LANGUAGES entry)
+//   ESCO_ALL_LANGUAGES=1     score records of every language
+
+const fs = require('fs');
+const path = require('path');
+const { readCanonicalRecords } = require('./lib/schema');
+const { loadEscoSkills, skillText } = require('./lib/esco');
+const { tokenize, TfidfModel, SparseIndex, DenseIndex, loadWordVectors, embed } = require('./lib/textVectors');
+const { stageTag } = require('./lib/provenance');
+const { primaryLanguage } = require('./lib/languages');
+const { rowLanguage } = require('./lib/languageDetect');
+
+const SKILLS_FILE = process.argv[2] || path.join('esco', 'skills_en.csv');
+const INPUT_CSV = process.argv[3] || 'europass_combined.csv';
+const OUTPUT_CSV = process.argv[4] || 'esco_similarity.csv';
+const META_JSON = OUTPUT_CSV.replace(/\.csv$/i, '') + '.meta.json';
+
+const TOP_K = Number(process.env.ESCO_TOP_K) || 10;
+const MIN_SCORE = process.env.ESCO_MIN_SCORE !== undefined && process.env.ESCO_MIN_SCORE !== ''
+  ? Number(process.env.ESCO_MIN_SCORE)
+  : 0.05;
+const VECTORS_FILE = process.env.ESCO_VECTORS || '';
+const RECORD_TYPES = (process.env.ESCO_RECORD_TYPES || '').split(',').map(s => s.trim()).filter(Boolean);
+const SKILLS_LANGUAGE = process.env.ESCO_LANGUAGE
+  || (path.basename(SKILLS_FILE).match(/^skills_([a-z]{2})\.csv$/i) || [])[1]?.toLowerCase()
+  || primaryLanguage();
+const ALL_LANGUAGES = process.env.ESCO_ALL_LANGUAGES === '1';
+const LOG_EVERY = 5000;
+
+const OUTPUT_HEADERS = ['recordId', 'uri', 'recordType', 'title', 'rank', 'skillUri', 'skillLabel', 'skillType', 'score'];
+
+// Escape CSV cell (always quoted, same as 312/500)
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return '""';
+  const s = String(value).replace(/"/g, '""');
+  return `"${s}"`;
+}
+
+function recordText(rec) {
+  return [rec.title, rec.description, rec.learningOutcomes].filter(Boolean).join('\n');
+}
+
+// Canonical records of the input (lib/schema.js), filtered by RECORD_TYPES and language
+async function* readRecords(file, skipped = {}) {
+  for await (const rec of readCanonicalRecords(file)) {
+    if (RECORD_TYPES.length && !RECORD_TYPES.includes(rec.recordType)) continue;
+    const lang = rowLanguage(rec);
+    if (!ALL_LANGUAGES && lang && lang !== SKILLS_LANGUAGE) {
+      skipped[lang] = (skipped[lang] || 0) + 1;
+      continue;
+    }
+    yield rec;
+  }
+}
+
+(async function main() {
+  if (!fs.existsSync(INPUT_CSV)) {
+    console.error('Input CSV not found:', INPUT_CSV);
+    process.exit(1);
+  }
+
+  console.log(`📚 Loading ESCO skills from ${SKILLS_FILE}`);
+  const skills = await loadEscoSkills(SKILLS_FILE, { lang: SKILLS_LANGUAGE });
+  if (!skills.length) {
+    console.error(`❌ No skills found in ${SKILLS_FILE}`);
+    process.exit(1);
+  }
+  const skillTokens = skills.map(s => tokenize(skillText(s)));
+  console.log(`   ${skills.length} skills`);
+
+  // pass 1: document frequencies over skills + records
+  const model = new TfidfModel();
+  const vocab = VECTORS_FILE ? new Set() : null;
+  for (const tokens of skillTokens) {
+    model.addDocument(tokens);
+    if (vocab) tokens.forEach(t => vocab.add(t));
+  }
+  let records = 0;
+  const skippedLanguages = {};
+  for await (const rec of readRecords(INPUT_CSV, skippedLanguages)) {
+    const tokens = tokenize(recordText(rec));
+    model.addDocument(tokens);
+    if (vocab) tokens.forEach(t => vocab.add(t));
+    records++;
+  }
+  model.finalize();
+  console.log(`🔤 ${records} records, vocabulary ${model.vocab.size} terms`);
+  const skipped = Object.values(skippedLanguages).reduce((a, b) => a + b, 0);
+  if (skipped) {
+    const byLang = Object.entries(skippedLanguages).sort((a, b) => b[1] - a[1]).map(([l, n]) => `${l} ${n}`).join(', ');
+    console.log(`🌐 Skipped ${skipped} records not in ${SKILLS_LANGUAGE} (${byLang}); ESCO_ALL_LANGUAGES=1 scores them`);
+  }
+
+  // skill index
+  let index;
+  let vectorize;
+  let method;
+  if (VECTORS_FILE) {
+    console.log(`🧮 Loading word vectors from ${VECTORS_FILE}`);
+    const wordVectors = await loadWordVectors(VECTORS_FILE, { vocab });
+    console.log(`   ${wordVectors.vectors.size} of ${vocab.size} corpus terms have a vector (dim ${wordVectors.dim})`);
+    vectorize = tokens => embed(tokens, wordVectors, model);
+    index = new DenseIndex(skillTokens.map(vectorize), wordVectors.dim);
+    method = `embedding-mean:${path.basename(VECTORS_FILE)}`;
+  } else {
+    vectorize = tokens => model.vectorize(tokens);
+    index = new SparseIndex(skillTokens.map(vectorize));
+    method = 'tfidf';
+  }
+
+  // pass 2: top-k per record, into a temp file renamed into place once complete
+  const tmpFile = `${OUTPUT_CSV}.tmp`;
+  const out = fs.createWriteStream(tmpFile, { encoding: 'utf8' });
+  out.write(OUTPUT_HEADERS.join(',') + '\n');
+  const startTime = Date.now();
+  let scored = 0;
+  let matched = 0;
+  let matches = 0;
+
+  for await (const rec of readRecords(INPUT_CSV)) {
+    const top = index.topK(vectorize(tokenize(recordText(rec))), TOP_K, MIN_SCORE);
+    if (top.length) matched++;
+    for (let i = 0; i < top.length; i++) {
+      const skill = skills[top[i].index];
+      const cells = [rec.recordId, rec.uri, rec.recordType, rec.title, i + 1, skill.uri, skill.label, skill.skillType, top[i].score.toFixed(4)];
+      if (!out.write(cells.map(escapeCsvCell).join(',') + '\n')) await new Promise(r => out.once('drain', r));
+      matches++;
+    }
+    scored++;
+    if (scored % LOG_EVERY === 0) console.log(`Scored ${scored}/${records} records...`);
+  }
+  await new Promise((resolve, reject) => {
+    out.on('error', reject);
+    out.end(resolve);
+  });
+  fs.renameSync(tmpFile, OUTPUT_CSV);
+
+  const meta = {
+    stage: stageTag(__filename),
+    createdAt: new Date().toISOString(),
+    input: path.resolve(INPUT_CSV),
+    skillsFile: path.resolve(SKILLS_FILE),
+    skills: skills.length,
+    records: scored,
+    recordTypes: RECORD_TYPES.length ? RECORD_TYPES : 'all',
+    language: ALL_LANGUAGES ? 'all' : SKILLS_LANGUAGE,
+    skippedLanguages,
+    method,
+    vocabulary: model.vocab.size,
+    topK: TOP_K,
+    minScore: MIN_SCORE,
+    recordsWithMatches: matched,
+    matches,
+  };
+  fs.writeFileSync(META_JSON, JSON.stringify(meta, null, 2), 'utf8');
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`📊 ${matched}/${scored} records matched at least one skill, ${matches} matches (${method}, k=${TOP_K}, min ${MIN_SCORE}) in ${elapsed}s`);
+  console.log(`✅ Done! Matches saved as ${path.resolve(OUTPUT_CSV)} (run parameters in ${META_JSON})`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+// knowledge_graph.js
+// Usage:
+//   node knowledge_graph.js [inputCsv] [outDir]
+// Defaults: europass_combined.csv -> knowledge_graph/
+//
+// Turns the final records into a graph of Qualification, LearningOpportunity, LearningOutcome,
+// Country, EQFLevel, Provider and ESCO skill/occupation nodes, written as
+//   <outDir>/graph.ttl                 RDF/Turtle (ELM/Europass URIs as subjects)
+//   <outDir>/nodes_<Label>.csv         Neo4j bulk import, one file per node label
+//   <outDir>/edges_<TYPE>.csv          Neo4j bulk import, one file per relationship type
+//   <outDir>/summary.json              node/edge counts and inputs
+// Which records are in the graph, and their cleaned title/description, come from the input CSV
+// (canonical schema, lib/schema.js). Learning outcomes, providers, country and EQF concepts and
+// the ESCO links are read from the raw JSON in the record stores (paths in the "graph" and
+// "links" sections of fieldMappings.json); records missing from the store get only their CSV data.
+// Env:
+//   KG_QUALIFICATION_STORE=records/json_qualifications
+//   KG_LO_STORE=records/json_learningOpportunities
+//   KG_SIMILARITY=esco_similarity.csv      600 output, added as SIMILAR_SKILL edges if present
+//   KG_NAMESPACE=urn:europass-kg:          prefix for IRIs minted for things without a URI
+//                                          (its "vocab#" child holds the few non-ELM predicates)
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { readCanonicalRecords } = require('./lib/schema');
+const { openStore } = require('./lib/recordStore');
+const { pickLabel, primaryLanguage } = require('./lib/languages');
+const { parsePath, evaluate, compileField, loadMappings } = require('./lib/extractor');
+const { createLinkExtractor } = require('./lib/escoLinks');
+const { GraphExporter } = require('./lib/graphExport');
+const { stageTag } = require('./lib/provenance');
+
+const INPUT_CSV = process.argv[2] || 'europass_combined.csv';
+const OUT_DIR = process.argv[3] || 'knowledge_graph';
+const STORES = {
+  qualification: process.env.KG_QUALIFICATION_STORE || path.join('records', 'json_qualifications'),
+  learningOpportunity: process.env.KG_LO_STORE || path.join('records', 'json_learningOpportunities'),
+};
+const SIMILARITY_CSV = process.env.KG_SIMILARITY || 'esco_similarity.csv';
+const NS = process.env.KG_NAMESPACE || 'urn:europass-kg:';
+const VOCAB = `${NS}vocab#`;
+const LOG_EVERY = 5000;
+
+const RECORD_LABELS = { qualification: 'Qualification', learningOpportunity: 'LearningOpportunity' };
+const ESCO_LABELS = { skill: 'EscoSkill', occupation: 'EscoOccupation' };
+
+const mappings = loadMappings();
+const graphSpec = mappings.graph || {};
+const learningOutcomesField = compileField('learningOutcomes', mappings.fields.learningOutcomes);
+const providerPaths = Object.entries(graphSpec.providers || {}).map(([edge, paths]) => [edge, paths.map(parsePath)]);
+const countryPaths = (graphSpec.country || []).map(parsePath);
+const eqfPaths = (graphSpec.eqfLevel || []).map(parsePath);
+const links = createLinkExtractor({ mappings });
+const lang = primaryLanguage();
+
+// ---------- helpers ----------
+
+function slug(s) {
+  return String(s).toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+const label = v => {
+  const s = pickLabel(v, lang);
+  return s == null ? '' : String(s).trim();
+};
+
+const asList = values => values.flatMap(v => (Array.isArray(v) ? v : [v])).filter(v => v && typeof v === 'object');
+
+// first concept object ({ uri, prefLabel }) any of the paths yields
+function firstConcept(doc, pathsList) {
+  for (const steps of pathsList) {
+    const hit = asList(evaluate(doc, steps)).find(c => c.uri || c.prefLabel);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+async function openStores() {
+  const stores = {};
+  for (const [type, dir] of Object.entries(STORES)) {
+    if (fs.existsSync(dir)) stores[type] = await openStore(dir);
+    else console.warn(`⚠️  Record store ${dir} not found: ${type} records get CSV data only`);
+  }
+  return stores;
+}
+
+// ---------- per record ----------
+
+async function addRecord(graph, rec, raw) {
+  const recordLabel = RECORD_LABELS[rec.recordType];
+  const iri = rec.uri || (rec.recordId ? `${NS}record/${rec.recordId}` : '');
+  if (!recordLabel || !iri) return false;
+
+  await graph.node(recordLabel, iri, {
+    recordId: rec.recordId,
+    title: rec.title,
+    description: rec.description,
+    eqfLevel: rec.eqfLevelNum,
+    fetchedAt: rec.fetchedAt,
+  });
+
+  // EQF level: ELM concept URI if the JSON has one, else the standard EQF URI for the number
+  const eqf = raw ? firstConcept(raw, eqfPaths) : null;
+  const level = rec.eqfLevelNum || String(label(eqf?.prefLabel)).match(/\d+/)?.[0] || '';
+  const eqfIri = eqf?.uri || (level ? `http://data.europa.eu/snb/eqf/${level}` : '');
+  if (eqfIri) {
+    await graph.node('EQFLevel', eqfIri, { name: rec.eqfLevel || label(eqf?.prefLabel), level });
+    await graph.edge('HAS_EQF_LEVEL', iri, eqfIri);
+  }
+
+  // country: EU authority URI from the JSON, else minted from the CSV label
+  const country = raw ? firstConcept(raw, countryPaths) : null;
+  const countryName = rec.country || label(country?.prefLabel);
+  const countryIri = country?.uri || (countryName ? `${NS}country/${slug(countryName)}` : '');
+  if (countryIri) {
+    await graph.node('Country', countryIri, { name: countryName });
+    await graph.edge('IN_COUNTRY', iri, countryIri);
+  }
+
+  if (!raw) return true;
+
+  for (const [edge, pathsList] of providerPaths) {
+    for (const steps of pathsList) {
+      for (const org of asList(evaluate(raw, steps))) {
+        const name = label(org.prefLabel ?? org.legalName ?? org.title);
+        const orgIri = org.uri || org.id || (name ? `${NS}provider/${slug(name)}` : '');
+        if (!orgIri) continue;
+        await graph.node('Provider', orgIri, { name });
+        await graph.edge(edge, iri, orgIri);
+      }
+    }
+  }
+
+  // learning outcomes: same list (and index) the extractors and escoLinks use
+  const outcomes = learningOutcomesField(raw, { uri: rec.uri }, { lang });
+  const loIris = [];
+  for (let i = 0; i < outcomes.length; i++) {
+    const loIri = `${iri}#learningOutcome-${i}`;
+    loIris.push(loIri);
+    await graph.node('LearningOutcome', loIri, { title: outcomes[i].title, text: (outcomes[i].notes || []).join('\n'), index: i });
+    await graph.edge('HAS_LEARNING_OUTCOME', iri, loIri);
+  }
+
+  for (const link of links.extract(raw, { uri: rec.uri }, { lang })) {
+    const from = link.learningOutcomeIndex === '' ? iri : loIris[link.learningOutcomeIndex];
+    if (!from) continue;
+    await graph.node(ESCO_LABELS[link.conceptType] || 'EscoSkill', link.escoUri, { label: link.escoLabel });
+    await graph.edge('RELATED_ESCO', from, link.escoUri, { relation: link.relation });
+  }
+  return true;
+}
+
+// SIMILAR_SKILL edges from the 600 output, for records that are in the graph
+async function addSimilarity(graph, file) {
+  let method = '';
+  try {
+    method = JSON.parse(fs.readFileSync(file.replace(/\.csv$/i, '') + '.meta.json', 'utf8')).method || '';
+  } catch { /* no meta file */ }
+  let added = 0;
+  for await (const row of fs.createReadStream(file, { encoding: 'utf8' }).pipe(csv())) {
+    if (!row.uri || !row.skillUri || !graph.hasNode(row.uri)) continue;
+    await graph.node('EscoSkill', row.skillUri, { label: row.skillLabel });
+    await graph.edge('SIMILAR_SKILL', row.uri, row.skillUri, { score: row.score, rank: row.rank, method });
+    added++;
+  }
+  return added;
+}
+
+// ---------- main ----------
+(async () => {
+  if (!fs.existsSync(INPUT_CSV)) {
+    console.error('Input CSV not found:', INPUT_CSV);
+    process.exit(1);
+  }
+
+  const stores = await openStores();
+  const graph = new GraphExporter(OUT_DIR, { vocab: VOCAB });
+  console.log(`🕸️  Building knowledge graph from ${INPUT_CSV} → ${OUT_DIR}/`);
+
+  let rows = 0;
+  let records = 0;
+  let skipped = 0;
+  let withoutRaw = 0;
+  try {
+    for await (const rec of readCanonicalRecords(INPUT_CSV)) {
+      const store = stores[rec.recordType];
+      const raw = store && rec.uri ? await store.get(rec.uri, { lang }) : null;
+      if (!raw) withoutRaw++;
+      if (await addRecord(graph, rec, raw)) records++;
+      else skipped++;
+      if (++rows % LOG_EVERY === 0) console.log(`Processed ${rows} rows...`);
+    }
+
+    let similar = 0;
+    if (fs.existsSync(SIMILARITY_CSV)) similar = await addSimilarity(graph, SIMILARITY_CSV);
+    console.log(`🔗 ${similar} similarity edges from ${fs.existsSync(SIMILARITY_CSV) ? SIMILARITY_CSV : '(no similarity file)'}`);
+  } finally {
+    for (const store of Object.values(stores)) await store.close();
+  }
+
+  const stats = await graph.close();
+  const summary = {
+    stage: stageTag(__filename),
+    createdAt: new Date().toISOString(),
+    input: path.resolve(INPUT_CSV),
+    stores: STORES,
+    namespace: NS,
+    records,
+    skipped,
+    recordsWithoutRawJson: withoutRaw,
+    ...stats,
+  };
+  fs.writeFileSync(path.join(OUT_DIR, 'summary.json'), JSON.stringify(summary, null, 2), 'utf8');
+
+  const fmt = o => Object.entries(o).map(([k, v]) => `${k}=${v}`).join(', ');
+  console.log(`📊 Nodes: ${fmt(stats.nodes)}`);
+  console.log(`📊 Edges: ${fmt(stats.edges)}`);
+  if (skipped) console.warn(`⚠️  ${skipped} rows without record type or URI skipped`);
+  if (withoutRaw) console.warn(`⚠️  ${withoutRaw} records not found in a record store (no learning outcomes/providers/ESCO links)`);
+  console.log(`✅ Done! ${stats.triples} triples in ${path.join(OUT_DIR, 'graph.ttl')}, Neo4j CSVs in ${OUT_DIR}/`);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+// batchServer.js
+// Local stand-in for the OpenAI Batch API, so 400's batch mode (400AIClean.js --batch) can be
+// tried and tested without an account, or run against a local model that has no batch endpoint.
+// Every request line of a batch is answered by
+//   - the upstream OpenAI-compatible server given with --upstream (e.g. llama.cpp's
+//     http://127.0.0.1:8080/v1), one /chat/completions request per line, or
+//   - by default the fake provider of lib/llmProviders.js (filler phrases from boilerplateRules.json).
+// Files and batches live in a temp directory and in memory: a restart forgets them.
+//
+// Endpoints (with or without a /v1 prefix):
+//   POST /files                 multipart (purpose, file) -> { id, object: "file", bytes, filename }
+//   POST /batches               { input_file_id, endpoint, completion_window, metadata } -> batch
+//   GET  /batches/{id}          -> batch ({ id, status, request_counts, output_file_id, error_file_id, ... })
+//   POST /batches/{id}/cancel   -> batch
+//   GET  /files/{id}/content    -> the file
+//
+// Usage:
+//   node batchServer.js [--port 4030] [--host 127.0.0.1] [--upstream URL] [--concurrency 4]
+//   LLM_BASE_URL=http://127.0.0.1:4030/v1 node 400AIClean.js final_qualifications.csv --batch
+//
+// Programmatic use:
+//   const { startBatchServer } = require('./batchServer');
+//   const server = await startBatchServer({ port: 0 }); ... await server.close();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { createProvider, requestJson, LlmError } = require('./lib/llmProviders');
+const { loadRules } = require('./lib/boilerplateRules');
+const { estimateTokens } = require('./lib/llmCost');
+
+const DEFAULT_PORT = 4030;
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Start the stand-in.
+ * @param {object} [opts]
+ * @param {number} [opts.port=4030]        0 picks a free port
+ * @param {string} [opts.host='127.0.0.1']
+ * @param {string} [opts.upstream]         OpenAI-compatible base URL answering the requests (default: fake provider)
+ * @param {number} [opts.concurrency=4]    requests of one batch answered in parallel
+ * @param {string} [opts.dir]              where files are kept (default: a new temp directory)
+ * @returns {Promise<{ url, close }>}
+ */
+async function startBatchServer(opts = {}) {
+  const dir = opts.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'batch-server-'));
+  fs.mkdirSync(dir, { recursive: true });
+  const concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+  const fake = opts.upstream ? null : createProvider('fake', { phrases: loadRules().phrases });
+  const files = new Map();
+  const batches = new Map();
+  let seq = 0;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function addFile(filename, purpose) {
+    const id = `file-${++seq}`;
+    const file = { id, object: 'file', purpose, filename, path: path.join(dir, id), bytes: 0, created_at: now() };
+    files.set(id, file);
+    return file;
+  }
+
+  // Chat completion body for one batch line
+  async function answer(body) {
+    if (opts.upstream) {
+      return requestJson('upstream', `${opts.upstream.replace(/\/+$/, '')}/chat/completions`, { body, timeoutMs: 120000 });
+    }
+    const system = body.messages?.find(m => m.role === 'system')?.content || '';
+    const user = body.messages?.find(m => m.role === 'user')?.content || '';
+    const { content } = await fake.complete({ system, user });
+    return {
+      id: `chatcmpl-${++seq}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: estimateTokens(system) + estimateTokens(user), completion_tokens: estimateTokens(content) },
+    };
+  }
+
+  async function runBatch(batch) {
+    const input = files.get(batch.input_file_id);
+    const output = addFile(`${batch.id}_output.jsonl`, 'batch_output');
+    const errors = addFile(`${batch.id}_errors.jsonl`, 'batch_output');
+    const out = fs.createWriteStream(output.path);
+    const err = fs.createWriteStream(errors.path);
+    batch.status = 'in_progress';
+    batch.in_progress_at = now();
+
+    const rl = readline.createInterface({ input: fs.createReadStream(input.path, { encoding: 'utf8' }), crlfDelay: Infinity });
+    const running = new Set();
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      if (batch.status === 'cancelling') break;
+      batch.request_counts.total++;
+      const task = (async () => {
+        let req;
+        try {
+          req = JSON.parse(line);
+          const body = await answer(req.body);
+          out.write(JSON.stringify({ id: `resp-${++seq}`, custom_id: req.custom_id, response: { status_code: 200, body }, error: null }) + '\n');
+          batch.request_counts.completed++;
+        } catch (e) {
+          const status = e instanceof LlmError && e.status ? e.status : 400;
+          err.write(JSON.stringify({ id: `resp-${++seq}`, custom_id: req?.custom_id ?? null, response: { status_code: status, body: { error: { message: e.message } } }, error: null }) + '\n');
+          batch.request_counts.failed++;
+        }
+      })();
+      running.add(task);
+      task.finally(() => running.delete(task));
+      if (running.size >= concurrency) await Promise.race(running);
+    }
+    await Promise.all(running);
+    batch.status = batch.status === 'cancelling' ? 'cancelled' : 'finalizing';
+    await Promise.all([out, err].map(s => new Promise(resolve => s.end(resolve))));
+    output.bytes = fs.statSync(output.path).size;
+    errors.bytes = fs.statSync(errors.path).size;
+    batch.output_file_id = output.bytes ? output.id : null;
+    batch.error_file_id = errors.bytes ? errors.id : null;
+    if (batch.status === 'finalizing') {
+      batch.status = 'completed';
+      batch.completed_at = now();
+    } else {
+      batch.cancelled_at = now();
+    }
+  }
+
+  async function createFile(req) {
+    const form = await new Request('http://localhost/files', {
+      method: 'POST',
+      headers: req.headers,
+      body: Readable.toWeb(req),
+      duplex: 'half',
+    }).formData();
+    const upload = form.get('file');
+    if (!upload || typeof upload === 'string') return [400, { error: { message: 'multipart field "file" required' } }];
+    const file = addFile(upload.name || 'upload.jsonl', String(form.get('purpose') || 'batch'));
+    fs.writeFileSync(file.path, Buffer.from(await upload.arrayBuffer()));
+    file.bytes = fs.statSync(file.path).size;
+    const { path: _, ...meta } = file;
+    return [200, meta];
+  }
+
+  function createBatch(body) {
+    if (!files.has(body.input_file_id)) return [400, { error: { message: `unknown input_file_id ${body.input_file_id}` } }];
+    const batch = {
+      id: `batch_${++seq}`,
+      object: 'batch',
+      endpoint: body.endpoint,
+      input_file_id: body.input_file_id,
+      completion_window: body.completion_window || '24h',
+      status: 'validating',
+      created_at: now(),
+      output_file_id: null,
+      error_file_id: null,
+      request_counts: { total: 0, completed: 0, failed: 0 },
+      metadata: body.metadata || {},
+    };
+    batches.set(batch.id, batch);
+    runBatch(batch).catch(e => {
+      batch.status = 'failed';
+      batch.errors = { data: [{ message: e.message }] };
+    });
+    return [200, batch];
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  async function readJson(req) {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    return JSON.parse(text || '{}');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let route;
+    try {
+      route = new URL(req.url, 'http://localhost').pathname.replace(/^\/v1/, '').replace(/\/+$/, '');
+    } catch {
+      return send(res, 400, { error: { message: `Invalid request target ${req.url}` } });
+    }
+    try {
+      if (req.method === 'POST' && route === '/files') return send(res, ...await createFile(req));
+      if (req.method === 'POST' && route === '/batches') return send(res, ...createBatch(await readJson(req)));
+
+      let m = route.match(/^\/batches\/([^/]+)(\/cancel)?$/);
+      if (m) {
+        const batch = batches.get(decodeURIComponent(m[1]));
+        if (!batch) return send(res, 404, { error: { message: 'No such batch' } });
+        if (m[2] && req.method === 'POST' && ['validating', 'in_progress'].includes(batch.status)) batch.status = 'cancelling';
+        return send(res, 200, batch);
+      }
+      m = route.match(/^\/files\/([^/]+)\/content$/);
+      if (m && req.method === 'GET') {
+        const file = files.get(decodeURIComponent(m[1]));
+        if (!file) return send(res, 404, { error: { message: 'No such file' } });
+        res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+        return fs.createReadStream(file.path).pipe(res);
+      }
+      send(res, 404, { error: { message: `Unknown route ${req.method} ${route}` } });
+    } catch (err) {
+      send(res, 500, { error: { message: err.message } });
+    }
+  });
+
+  const sockets = new Set();
+  server.on('connection', (s) => {
+    sockets.add(s);
+    s.on('close', () => sockets.delete(s));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port ?? DEFAULT_PORT, opts.host || '127.0.0.1', resolve);
+  });
+  const { address, port } = server.address();
+
+  return {
+    url: `http://${address}:${port}/v1`,
+    dir,
+    close: () => new Promise((resolve) => {
+      for (const s of sockets) s.destroy();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function parseCliArgs(argv) {
+  const opts = { port: DEFAULT_PORT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') { opts.port = Number(argv[++i]); continue; }
+    if (argv[i] === '--host') { opts.host = argv[++i]; continue; }
+    if (argv[i] === '--upstream') { opts.upstream = argv[++i]; continue; }
+    if (argv[i] === '--concurrency') { opts.concurrency = Number(argv[++i]); continue; }
+    if (argv[i] === '--dir') { opts.dir = argv[++i]; continue; }
+    throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  (async () => {
+    const opts = parseCliArgs(process.argv.slice(2));
+    const server = await startBatchServer(opts);
+    console.log(`📦 Batch API stand-in on ${server.url} (answers: ${opts.upstream || 'fake provider'}, files in ${server.dir})`);
+    const stop = async () => { await server.close(); process.exit(0); };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  })().catch(err => {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startBatchServer };
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// europass.js
+// Single entry point for the whole pipeline. Runs the numbered stage scripts as a
+// dependency graph (see lib/pipeline.js), skipping stages whose outputs are newer
+// than their inputs and re-running only what sits downstream of a change.
+//
+// Usage:
+//   node europass.js [run] [stage...] [--force] [--from <stage>] [--refresh] [--delta] [--dry-run] [--no-profile]
+//   node europass.js list
+//   node europass.js status
+//   node europass.js profile [stage...]   # data quality reports (reports/stage-<id>.html) without running
+//
+// Examples:
+//   node europass.js                  # bring every default stage up to date
+//   node europass.js run 312          # build final_qualifications.csv and whatever it needs
+//   node europass.js run --from 300   # force 300 and everything downstream of it
+//   node europass.js run --refresh    # also re-run the API fetch stages (00, 10, 11)
+//   node europass.js run --delta      # incremental refresh: fetch stages run with DELTA=1
+//   node europass.js run 400          # manual stages only run when named
+//   node europass.js run 313 --force  # re-run 313 even if it is up to date (--force needs a stage)
+//
+// Stages flagged `profile` get a data quality report (lib/profiler.js) after each successful run;
+// --no-profile skips those.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const {
+  ROOT,
+  STAGES,
+  getStage,
+  buildDependencies,
+  topoOrder,
+  collectUpstream,
+  collectDownstream,
+  loadState,
+  saveState,
+  staleReason,
+} = require('./lib/pipeline');
+
+function parseArgs(argv) {
+  const opts = { command: 'run', targets: [], force: false, from: null, refresh: false, delta: false, dryRun: false, profile: true };
+  const args = [...argv];
+  if (args[0] && ['run', 'list', 'status', 'profile'].includes(args[0])) opts.command = args.shift();
+  while (args.length) {
+    const a = args.shift();
+    if (a === '--force') opts.force = true;
+    else if (a === '--refresh') opts.refresh = true;
+    else if (a === '--delta') opts.delta = opts.refresh = true;
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--no-profile') opts.profile = false;
+    else if (a === '--from') opts.from = args.shift();
+    else if (a.startsWith('--from=')) opts.from = a.slice('--from='.length);
+    else if (a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+    else opts.targets.push(a);
+  }
+  // --force only applies to named stages; forcing a whole run would also re-fetch the API
+  if (opts.force && !opts.targets.length) throw new Error('--force needs the stage(s) to force (or use --from <stage>)');
+  return opts;
+}
+
+function runScript(stage, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(ROOT, stage.script), ...(stage.args || [])], {
+      cwd: ROOT,
+      env,
+      stdio: 'inherit',
+    });
+    child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+    child.on('error', (err) => {
+      console.error(`❌ Could not start ${stage.script}:`, err.message);
+      resolve(1);
+    });
+  });
+}
+
+function describe(stage) {
+  const flags = [stage.source && 'source', stage.manual && 'manual'].filter(Boolean);
+  return `${stage.id.padStart(3)}  ${stage.script}${flags.length ? ` [${flags.join(', ')}]` : ''}`;
+}
+
+function listStages() {
+  const deps = buildDependencies();
+  for (const id of topoOrder()) {
+    const stage = getStage(id);
+    console.log(describe(stage));
+    console.log(`       after: ${deps.get(id).join(', ') || '-'}`);
+    console.log(`       in:    ${stage.inputs.join(', ') || '(Europass API)'}`);
+    console.log(`       out:   ${stage.outputs.join(', ')}`);
+  }
+}
+
+async function showStatus() {
+  const deps = buildDependencies();
+  const state = await loadState();
+  for (const id of topoOrder()) {
+    const stage = getStage(id);
+    const rec = state.stages[id];
+    const reason = await staleReason(stage, state, deps, new Set());
+    const last = rec ? `${rec.status} @ ${rec.finishedAt || rec.startedAt}` : 'never run';
+    console.log(`${describe(stage).padEnd(52)} ${reason ? `⚠️  stale (${reason})` : '✅ up to date'}  — ${last}`);
+  }
+}
+
+// A failed report never fails the stage. The profiler (and its CSV parser) is only loaded here,
+// so list, status and --no-profile runs don't need it.
+async function writeProfile(stage) {
+  try {
+    const { profileStage, summarize } = require('./lib/profiler');
+    const { report, htmlPath } = await profileStage(stage, { root: ROOT });
+    console.log(`   📊 ${stage.id} data quality: ${summarize(report)} — ${path.relative(ROOT, htmlPath)}`);
+  } catch (err) {
+    console.warn(`   ⚠️  ${stage.id} data quality report failed: ${err.message}`);
+  }
+}
+
+async function profileStages(targets) {
+  const stages = targets.length ? targets.map(getStage) : STAGES.filter(s => s.profile);
+  for (const stage of stages) {
+    if (!stage.profile) {
+      console.warn(`   ⏭️  ${stage.id} ${stage.script} — no CSV report for this stage`);
+      continue;
+    }
+    await writeProfile(stage);
+  }
+}
+
+/** Stage ids to consider for this run, in execution order. */
+function selectStages(opts, deps) {
+  let wanted;
+  if (opts.targets.length) {
+    opts.targets.forEach(getStage);
+    wanted = collectUpstream(opts.targets, deps);
+  } else {
+    wanted = new Set(STAGES.filter(s => !s.manual).map(s => s.id));
+  }
+  if (opts.from) {
+    getStage(opts.from);
+    for (const id of collectDownstream([opts.from], deps)) {
+      if (!getStage(id).manual || opts.targets.includes(id)) wanted.add(id);
+    }
+  }
+  // manual stages are pulled in as upstream only when explicitly named
+  return topoOrder().filter(id => wanted.has(id) && (!getStage(id).manual || opts.targets.includes(id)));
+}
+
+async function run(opts) {
+  const deps = buildDependencies();
+  const state = await loadState();
+  const forced = new Set(opts.force ? opts.targets : []);
+  if (opts.from) for (const id of collectDownstream([opts.from], deps)) forced.add(id);
+
+  const plan = selectStages(opts, deps);
+  const ran = new Set();
+  const failed = new Set();
+  const start = Date.now();
+
+  console.log(`▶️  Pipeline: ${plan.join(' → ')}`);
+
+  for (const id of plan) {
+    const stage = getStage(id);
+    const brokenUp = deps.get(id).find(up => failed.has(up));
+    if (brokenUp) {
+      console.warn(`   ⛔ ${stage.id} ${stage.script} — skipped, upstream ${brokenUp} did not complete`);
+      failed.add(id);
+      continue;
+    }
+
+    const reason = forced.has(id)
+      ? 'forced'
+      : await staleReason(stage, state, deps, ran, { refresh: opts.refresh });
+
+    if (!reason) {
+      console.log(`   ⏭️  ${stage.id} ${stage.script} — up to date`);
+      continue;
+    }
+
+    if (opts.dryRun) {
+      console.log(`   🔜 ${stage.id} ${stage.script} — would run (${reason})`);
+      ran.add(id);
+      continue;
+    }
+
+    console.log(`\n================ ${stage.id} ${stage.script} (${reason}) ================`);
+    const startedAt = new Date().toISOString();
+    state.stages[id] = { status: 'running', startedAt };
+    await saveState(state);
+
+    const code = await runScript(stage, opts.delta ? { ...process.env, DELTA: '1' } : process.env);
+    state.stages[id] = {
+      status: code === 0 ? 'ok' : 'failed',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      exitCode: code,
+    };
+    await saveState(state);
+
+    if (code !== 0) {
+      console.error(`\n❌ Stage ${id} failed (exit ${code}); its downstream stages will be skipped.`);
+      failed.add(id);
+      continue;
+    }
+    ran.add(id);
+    if (stage.profile && opts.profile) await writeProfile(stage);
+  }
+
+  const secs = Math.round((Date.now() - start) / 1000);
+  if (failed.size) {
+    console.error(`\n❌ Pipeline incomplete. Ran ${ran.size} stage(s), failed/skipped: ${[...failed].join(', ')} (${secs}s)`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(opts.dryRun
+    ? `\n🔜 Dry run: ${ran.size} stage(s) would run`
+    : `\n✅ Pipeline done. Ran ${ran.size} stage(s) in ${secs}s`);
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.command === 'list') return listStages();
+  if (opts.command === 'status') return showStatus();
+  if (opts.command === 'profile') return profileStages(opts.targets);
+  return run(opts);
+})().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,455 @@
+// lib/apiSchemas.js
+// JSON Schemas of the Europass QDR API documents (schemas/*.schema.json) and a monitor that
+// validates every fetched or extracted document against them and records, per API version
+// (QDR_API_VERSION, see lib/qdrClient.js), which fields the documents actually carry.
+//   searchResponse        search pages (00, 10, 11)
+//   qualification         qualification details (02, 21, extracted by 03 and 310)
+//   learningOpportunity   learning opportunity details (20, extracted by 300)
+// The schemas only require what the pipeline cannot do without (uri, title, the `courses` list);
+// everything else is declared so the drift report can tell expected fields from new ones.
+//
+// At the end of a stage the monitor writes reports/schema-<stage>.json:
+//   - invalid documents per version, with the most frequent errors and an example URI each
+//   - field coverage: share of documents with a non-empty value, per leaf field path
+//     ("learningOutcome.title": arrays are transparent; language maps and other "x-leaf" values
+//     count as one field)
+//   - undeclared fields (present, not in the schema) and declared fields never seen
+//   - drift between the two latest versions seen: new fields, missing fields and fields whose
+//     coverage dropped by COVERAGE_DROP or more, i.e. the columns an API upgrade would empty
+// Versions seen in earlier runs stay in the report, so the comparison works across upgrades.
+// Documents are never dropped for failing a schema; with SCHEMA_STRICT=1 the stage exits non-zero
+// when any document failed (after finishing its work and writing the report).
+//
+// Only the parts of JSON Schema draft-07 the schemas use are implemented: type, enum, const,
+// properties, required, additionalProperties, items, minItems, minLength, pattern, anyOf, oneOf
+// and $ref ("#/definitions/x" or "<file>#/definitions/x").
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const REPORT_DIR = 'reports';
+const SCHEMA_FILES = {
+  searchResponse: 'searchResponse.schema.json',
+  qualification: 'qualification.schema.json',
+  learningOpportunity: 'learningOpportunity.schema.json',
+};
+const UNKNOWN_VERSION = 'unknown'; // records stored before the fetchers recorded meta.apiVersion
+const MAX_ERRORS_PER_DOC = 20;
+const TOP_ERRORS = 20;
+const LOGGED_DOCS = 5;
+const COVERAGE_DROP = 0.2;
+const MAX_DEPTH = 12;
+
+// ---------------------- loading & $ref ----------------------
+
+const registries = new Map();
+
+/** All *.schema.json of a directory, by file name. */
+function loadSchemas(dir = SCHEMA_DIR) {
+  if (!registries.has(dir)) {
+    const registry = new Map();
+    for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.schema.json'))) {
+      registry.set(name, JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    }
+    registries.set(dir, registry);
+  }
+  return registries.get(dir);
+}
+
+/** Follow $refs; returns { schema, base } with base the file the schema lives in. */
+function deref(registry, schema, base) {
+  let depth = 0;
+  while (schema && schema.$ref) {
+    if (++depth > MAX_DEPTH) throw new Error(`$ref loop at ${schema.$ref} (${base})`);
+    const [file, pointer = ''] = schema.$ref.split('#');
+    const docBase = file || base;
+    let target = registry.get(docBase);
+    if (!target) throw new Error(`Unknown schema file "${docBase}" in $ref ${schema.$ref}`);
+    for (const part of pointer.split('/').filter(Boolean)) {
+      target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (target === undefined) throw new Error(`Unresolved $ref ${schema.$ref} (${base})`);
+    schema = target;
+    base = docBase;
+  }
+  return { schema, base };
+}
+
+// ---------------------- validation ----------------------
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+/**
+ * Errors of `value` against `schema`: [{ path, message }], path a JSON pointer ("/learningOutcome/0/title").
+ * Stops collecting after `max` errors.
+ */
+function validate(value, schema, { registry = loadSchemas(), base = '', max = MAX_ERRORS_PER_DOC } = {}) {
+  const errors = [];
+  const ctx = { registry, max };
+  check(value, schema, base, '', errors, ctx);
+  return errors;
+}
+
+function check(value, schema, base, pointer, errors, ctx) {
+  if (errors.length >= ctx.max || schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path: pointer || '/', message: 'not allowed' });
+    return;
+  }
+  ({ schema, base } = deref(ctx.registry, schema, base));
+  const fail = message => errors.push({ path: pointer || '/', message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if ('const' in schema && schema.const !== value) fail(`expected ${JSON.stringify(schema.const)}`);
+
+  const branches = schema.anyOf || schema.oneOf;
+  if (branches) {
+    const matching = branches.filter(b => {
+      const errs = [];
+      check(value, b, base, pointer, errs, { ...ctx, max: 1 });
+      return errs.length === 0;
+    }).length;
+    if (matching === 0) fail(`matches none of the ${branches.length} allowed shapes (got ${typeOf(value)})`);
+    else if (schema.oneOf && matching > 1) fail(`matches ${matching} shapes, expected exactly one`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(value ? `shorter than ${schema.minLength}` : 'empty');
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`fewer than ${schema.minItems} items`);
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, base, `${pointer}/${i}`, errors, ctx));
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${pointer}/${key}`, message: 'missing required property' });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (errors.length >= ctx.max) return;
+      if (props[key] !== undefined) check(v, props[key], base, `${pointer}/${key}`, errors, ctx);
+      else if (schema.additionalProperties === false) errors.push({ path: `${pointer}/${key}`, message: 'property not allowed' });
+      else if (isPlainObject(schema.additionalProperties)) check(v, schema.additionalProperties, base, `${pointer}/${key}`, errors, ctx);
+    }
+  }
+}
+
+// ---------------------- field paths ----------------------
+
+const LANGUAGE_KEY_RE = /^(@?language|@value|[a-z]{2,3}(-[A-Za-z0-9]+)?)$/;
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (isPlainObject(value)) return Object.keys(value).length === 0;
+  return false;
+}
+
+function join(prefix, key) {
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+/** The schema branch of an anyOf/oneOf that `value` matches (for walking below it), else null. */
+function pickBranch(value, schema, base, registry) {
+  for (const branch of schema.anyOf || schema.oneOf) {
+    if (validate(value, branch, { registry, base, max: 1 }).length === 0) return deref(registry, branch, base);
+  }
+  return null;
+}
+
+/**
+ * Leaf field paths with a non-empty value in `doc` ("EQFLevel.prefLabel", "learningOutcome.title"),
+ * walked along the schema; array elements share the path of the array. Below "x-leaf" schemas nothing is listed; below undeclared keys the
+ * raw document is walked, treating language maps as leaves.
+ */
+function collectPaths(doc, schema, { registry = loadSchemas(), base = '' } = {}) {
+  const out = new Set();
+  walk(doc, schema, base, '', 0);
+  return out;
+
+  function walk(value, s, b, prefix, depth) {
+    if (isEmptyValue(value) || depth > MAX_DEPTH) return;
+    if (s !== undefined) {
+      ({ schema: s, base: b } = deref(registry, s, b));
+      if ((s.anyOf || s.oneOf) && !s['x-leaf']) {
+        const picked = pickBranch(value, s, b, registry);
+        s = picked ? picked.schema : undefined;
+        b = picked ? picked.base : b;
+      }
+    }
+    if (s && s['x-leaf']) {
+      out.add(prefix);
+      return;
+    }
+    if (Array.isArray(value)) {
+      for (const item of value) walk(item, s?.items, b, prefix, depth + 1);
+      return;
+    }
+    if (!isPlainObject(value) || (!s && prefix && Object.keys(value).every(k => LANGUAGE_KEY_RE.test(k)))) {
+      if (prefix) out.add(prefix);
+      return;
+    }
+    for (const [key, v] of Object.entries(value)) {
+      let child = s?.properties?.[key];
+      if (child === undefined && isPlainObject(s?.additionalProperties)) child = s.additionalProperties;
+      walk(v, child, b, join(prefix, key), depth + 1);
+    }
+  }
+}
+
+/** Every leaf field path the schema declares (same notation as collectPaths). */
+function declaredPaths(schema, { registry = loadSchemas(), base = '' } = {}) {
+  const out = new Set();
+  walk(schema, base, '', []);
+  return out;
+
+  function walk(s, b, prefix, refs) {
+    if (s && s.$ref) {
+      if (refs.includes(`${b}${s.$ref}`) || refs.length > MAX_DEPTH) return;
+      refs = [...refs, `${b}${s.$ref}`];
+    }
+    ({ schema: s, base: b } = deref(registry, s, b));
+    if (!s || typeof s !== 'object') return;
+    const branches = s.anyOf || s.oneOf;
+    if (s['x-leaf'] || (!branches && !s.items && !s.properties)) {
+      if (prefix) out.add(prefix);
+      return;
+    }
+    for (const branch of branches || []) walk(branch, b, prefix, refs);
+    if (s.items) walk(s.items, b, prefix, refs);
+    for (const [key, child] of Object.entries(s.properties || {})) walk(child, b, join(prefix, key), refs);
+  }
+}
+
+// ---------------------- drift ----------------------
+
+function compareVersions(a, b) {
+  if (a === b) return 0;
+  if (a === UNKNOWN_VERSION) return -1;
+  if (b === UNKNOWN_VERSION) return 1;
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Fields that appeared, disappeared or lost coverage from version section `from` to `to`
+ * ({ documents, coverage: { path: share } }).
+ */
+function diffVersions(from, to, { drop = COVERAGE_DROP } = {}) {
+  const before = from.coverage || {};
+  const after = to.coverage || {};
+  const round = x => Number(x.toFixed(3));
+  return {
+    newFields: Object.keys(after).filter(p => !(p in before)).sort(),
+    missingFields: Object.keys(before).filter(p => !(p in after)).sort(),
+    coverageDrops: Object.keys(before)
+      .filter(p => p in after && before[p] - after[p] >= drop)
+      .map(p => ({ field: p, from: round(before[p]), to: round(after[p]) }))
+      .sort((x, y) => (y.from - y.to) - (x.from - x.to)),
+  };
+}
+
+// ---------------------- monitor ----------------------
+
+class SchemaMonitor {
+  /**
+   * @param {string} stage          stage id, names the report (reports/schema-<stage>.json)
+   * @param {object} [opts]
+   * @param {string} [opts.reportDir='reports']
+   * @param {string} [opts.schemaDir]     default: schemas/ of the repo
+   * @param {boolean} [opts.strict]       default: SCHEMA_STRICT=1
+   * @param {boolean} [opts.quiet]        no per-document warnings
+   */
+  constructor(stage, { reportDir = REPORT_DIR, schemaDir = SCHEMA_DIR, strict = process.env.SCHEMA_STRICT === '1', quiet = false } = {}) {
+    this.stage = String(stage);
+    this.reportDir = reportDir;
+    this.registry = loadSchemas(schemaDir);
+    this.strict = strict;
+    this.quiet = quiet;
+    this.logged = 0;
+    this.stats = {}; // kind -> version -> { documents, invalid, errors: Map, fields: Map }
+  }
+
+  schema(kind) {
+    const file = SCHEMA_FILES[kind];
+    if (!file || !this.registry.has(file)) throw new Error(`No schema for "${kind}" (expected one of ${Object.keys(SCHEMA_FILES).join(', ')})`);
+    return this.registry.get(file);
+  }
+
+  /**
+   * Validate one document and count its fields.
+   * @param {string} kind            searchResponse | qualification | learningOpportunity
+   * @param {object} doc
+   * @param {object} [opts]
+   * @param {string} [opts.version]  API version the document was fetched with
+   * @param {string} [opts.id]       shown with errors (URI, URL)
+   * @returns {Array<{path, message}>} errors, empty when valid. Never throws for a document: a
+   *   failing validator (bad $ref, unexpected shape) is reported as an error of that document.
+   */
+  check(kind, doc, { version, id } = {}) {
+    const file = SCHEMA_FILES[kind];
+    const schema = this.schema(kind);
+    version = version ? String(version) : UNKNOWN_VERSION;
+    const byVersion = (this.stats[kind] ||= {});
+    const s = (byVersion[version] ||= { documents: 0, invalid: 0, errors: new Map(), fields: new Map() });
+    s.documents++;
+
+    let errors;
+    try {
+      errors = validate(doc, schema, { registry: this.registry, base: file });
+    } catch (err) {
+      errors = [{ path: '/', message: `validator failed: ${err.message}` }];
+    }
+    if (errors.length) {
+      s.invalid++;
+      for (const e of errors) {
+        const key = `${e.path.replace(/\/\d+(?=\/|$)/g, '/[]')}: ${e.message}`;
+        const entry = s.errors.get(key) || { count: 0, example: id || doc?.uri || null };
+        entry.count++;
+        s.errors.set(key, entry);
+      }
+      if (!this.quiet && this.logged < LOGGED_DOCS) {
+        this.logged++;
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        console.warn(`   ⚠️  ${kind} ${id || doc?.uri || ''} does not match ${file}: ${errors[0].path} ${errors[0].message}${more}`);
+        if (this.logged === LOGGED_DOCS) console.warn('   ⚠️  Further schema errors are only counted, see the report at the end.');
+      }
+    }
+    if (doc && typeof doc === 'object') {
+      try {
+        for (const p of collectPaths(doc, schema, { registry: this.registry, base: file })) {
+          s.fields.set(p, (s.fields.get(p) || 0) + 1);
+        }
+      } catch {
+        // coverage of this document is lost; the validation error above already reports it
+      }
+    }
+    return errors;
+  }
+
+  get invalid() {
+    let n = 0;
+    for (const byVersion of Object.values(this.stats)) for (const s of Object.values(byVersion)) n += s.invalid;
+    return n;
+  }
+
+  get documents() {
+    let n = 0;
+    for (const byVersion of Object.values(this.stats)) for (const s of Object.values(byVersion)) n += s.documents;
+    return n;
+  }
+
+  reportPath() {
+    return path.join(this.reportDir, `schema-${this.stage}.json`);
+  }
+
+  /** The report, merged with the version sections of the previous report that this run did not see. */
+  report() {
+    let previous = null;
+    try {
+      previous = JSON.parse(fs.readFileSync(this.reportPath(), 'utf8'));
+    } catch { /* first run */ }
+
+    const now = new Date().toISOString();
+    const kinds = {};
+    for (const kind of new Set([...Object.keys(previous?.kinds || {}), ...Object.keys(this.stats)])) {
+      const file = SCHEMA_FILES[kind];
+      const declared = this.registry.has(file) ? declaredPaths(this.schema(kind), { registry: this.registry, base: file }) : new Set();
+      const versions = { ...(previous?.kinds?.[kind]?.versions || {}) };
+      for (const [version, s] of Object.entries(this.stats[kind] || {})) {
+        const coverage = {};
+        for (const [p, n] of [...s.fields].sort((a, b) => a[0].localeCompare(b[0]))) coverage[p] = Number((n / s.documents).toFixed(4));
+        versions[version] = {
+          updatedAt: now,
+          documents: s.documents,
+          invalid: s.invalid,
+          errors: [...s.errors]
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, TOP_ERRORS)
+            .map(([error, e]) => ({ error, count: e.count, example: e.example })),
+          coverage,
+          undeclaredFields: Object.keys(coverage).filter(p => !declared.has(p)),
+          unseenFields: [...declared].filter(p => !(p in coverage)).sort(),
+        };
+      }
+      const order = Object.keys(versions).sort(compareVersions);
+      const section = { schema: file, versions };
+      if (order.length >= 2) {
+        const [from, to] = order.slice(-2);
+        section.drift = { from, to, ...diffVersions(versions[from], versions[to]) };
+      }
+      kinds[kind] = section;
+    }
+    return { stage: this.stage, updatedAt: now, kinds };
+  }
+
+  /** Write the report and print a summary; in strict mode invalid documents set process.exitCode = 1. */
+  finish() {
+    if (this.documents === 0) return null;
+    const report = this.report();
+    fs.mkdirSync(this.reportDir, { recursive: true });
+    fs.writeFileSync(this.reportPath(), JSON.stringify(report, null, 2), 'utf8');
+
+    for (const [kind, byVersion] of Object.entries(this.stats)) {
+      for (const [version, s] of Object.entries(byVersion)) {
+        const icon = s.invalid ? '⚠️ ' : '✅';
+        console.log(`${icon} Schema ${kind} (API ${version}): ${s.invalid}/${s.documents} documents invalid`);
+        for (const e of report.kinds[kind].versions[version].errors.slice(0, 3)) console.log(`     ${e.error} (${e.count}×, e.g. ${e.example})`);
+      }
+      const drift = report.kinds[kind].drift;
+      if (drift && (drift.missingFields.length || drift.coverageDrops.length || drift.newFields.length)) {
+        console.warn(`🧭 ${kind} drift ${drift.from} → ${drift.to}: ${drift.newFields.length} new, ${drift.missingFields.length} missing, ${drift.coverageDrops.length} with lower coverage`);
+        if (drift.missingFields.length) console.warn(`     missing: ${drift.missingFields.slice(0, 10).join(', ')}`);
+      }
+    }
+    console.log(`📄 Schema report: ${this.reportPath()}`);
+
+    if (this.strict && this.invalid) {
+      console.error(`❌ ${this.invalid} document(s) do not match their schema (SCHEMA_STRICT=1)`);
+      process.exitCode = 1;
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  SCHEMA_FILES,
+  UNKNOWN_VERSION,
+  loadSchemas,
+  validate,
+  collectPaths,
+  declaredPaths,
+  diffVersions,
+  SchemaMonitor,
+};
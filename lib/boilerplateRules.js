@@ -0,0 +1,105 @@
+// lib/boilerplateRules.js
+// Deterministic boilerplate removal from the catalogue in boilerplateRules.json: literal filler
+// phrases, regex patterns, and "suspect" regexes that mark text still worth showing to the LLM.
+// Used by the rule-based cleaning stage (390), as the pre-pass of the AI cleaning (400) and by the
+// rule miner (410) to check which candidate phrases the catalogue already covers.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.resolve(__dirname, '..', 'boilerplateRules.json');
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function compileRegex(source, flags, where) {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`${where}: invalid regex "${source}": ${err.message}`);
+  }
+}
+
+/**
+ * Load and compile a catalogue. Returns { file, phrases, rules, suspects }, where rules are
+ * { id, re } in application order (phrases longest first, then patterns).
+ */
+function loadRules(file = process.env.BOILERPLATE_RULES || DEFAULT_RULES_PATH) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read boilerplate rules ${file}: ${err.message}`);
+  }
+  const phrases = [...new Set((spec.phrases || []).map(p => String(p).trim()).filter(Boolean))];
+  const rules = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(p => ({
+      id: `phrase:${p}`,
+      // whole words only, plus one trailing sentence mark
+      re: compileRegex(`(?<![\\p{L}\\p{N}])${escapeRegex(p)}(?![\\p{L}\\p{N}])[.!;]?`, 'giu', file),
+    }));
+  for (const [i, p] of (spec.patterns || []).entries()) {
+    if (!p || !p.regex) throw new Error(`${file}: patterns[${i}] needs a "regex"`);
+    rules.push({ id: p.id || `pattern:${i}`, re: compileRegex(p.regex, p.flags || 'giu', file) });
+  }
+  const suspects = (spec.suspect || []).map(s => compileRegex(s, 'iu', file));
+  return { file, phrases, rules, suspects };
+}
+
+// whitespace left behind by removals: runs of spaces, spaces before punctuation, empty lines
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').replace(/ +([.,;:!?])/g, '$1').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Apply the rules to one text. Returns { text, removed: [{ rule, text }] }; the text is only
+ * re-spaced when something was removed.
+ */
+function applyRules(text, catalogue) {
+  let out = String(text ?? '');
+  const removed = [];
+  for (const { id, re } of catalogue.rules) {
+    re.lastIndex = 0;
+    out = out.replace(re, hit => {
+      if (hit) removed.push({ rule: id, text: hit });
+      return '';
+    });
+  }
+  return { text: removed.length ? tidy(out) : String(text ?? ''), removed };
+}
+
+/** True if a suspect pattern still matches: the text may hold boilerplate the rules missed. */
+function isSuspect(text, catalogue) {
+  return catalogue.suspects.some(re => re.test(String(text ?? '')));
+}
+
+/**
+ * Apply the rules to the `fields` of a row.
+ * Returns { texts: { field: cleaned }, removed: { field: [{ rule, text }] }, ambiguous, changed }.
+ */
+function cleanRow(row, fields, catalogue) {
+  const texts = {};
+  const removed = {};
+  let ambiguous = false;
+  let changed = false;
+  for (const field of fields) {
+    const r = applyRules(row[field], catalogue);
+    texts[field] = r.text;
+    removed[field] = r.removed;
+    if (r.removed.length) changed = true;
+    if (isSuspect(r.text, catalogue)) ambiguous = true;
+  }
+  return { texts, removed, ambiguous, changed };
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  loadRules,
+  applyRules,
+  isSuspect,
+  cleanRow,
+};
@@ -0,0 +1,77 @@
+// lib/cleaningVerifier.js
+// Checks that an LLM "cleaning" only deleted text. The cleaned text must be the original with
+// some occurrences of the reported removed substrings cut out, and nothing else changed.
+// Whitespace is ignored throughout, because deleting a phrase often leaves or eats a space or a
+// line break. Anything else fails the check: a reworded sentence, a fixed typo, a dropped full stop
+// that was not part of a reported substring, or a reported substring that is not in the original.
+
+const stripWs = s => String(s ?? '').replace(/\s+/g, '');
+
+// Can `original` be turned into `cleaned` by deleting whole occurrences of `removed` strings?
+// Walks both strings together and branches only where a removed string starts. States are
+// (i, j) positions, memoised, so the worst case is bounded by |original| * |cleaned|.
+function isDeletionOf(original, cleaned, removed) {
+  const seen = new Set();
+  const stack = [[0, 0]];
+  while (stack.length) {
+    let [i, j] = stack.pop();
+    while (true) {
+      const key = i * (cleaned.length + 1) + j;
+      if (seen.has(key)) break;
+      seen.add(key);
+      if (i === original.length && j === cleaned.length) return true;
+      for (const r of removed) {
+        if (original.startsWith(r, i)) stack.push([i + r.length, j]);
+      }
+      if (i < original.length && j < cleaned.length && original[i] === cleaned[j]) {
+        i++;
+        j++;
+        continue;
+      }
+      break;
+    }
+  }
+  return false;
+}
+
+/**
+ * Verify one field. Returns { ok: true } or { ok: false, reason }.
+ * @param {string} original  text sent to the model
+ * @param {string} cleaned   text the model returned
+ * @param {string[]} removed substrings the model says it removed
+ */
+function verifyDeletion(original, cleaned, removed = []) {
+  const o = stripWs(original);
+  const c = stripWs(cleaned);
+  if (!Array.isArray(removed)) return { ok: false, reason: 'removed list is not an array' };
+  const parts = [...new Set(removed.map(stripWs).filter(Boolean))];
+
+  const missing = parts.find(r => !o.includes(r));
+  if (missing !== undefined) return { ok: false, reason: `reported removal not in original: "${missing.slice(0, 80)}"` };
+  if (c === o) return { ok: true };
+  if (c.length > o.length) return { ok: false, reason: 'cleaned text is longer than the original' };
+  if (!isDeletionOf(o, c, parts)) {
+    return { ok: false, reason: parts.length ? 'text changed beyond the reported removals' : 'text changed but no removals were reported' };
+  }
+  return { ok: true };
+}
+
+/**
+ * Verify every field of a cleaning result.
+ * @param {object} original  { field: text }
+ * @param {object} cleaned   { field: text }
+ * @param {object} removed   { field: string[] }
+ * @returns {{ ok: boolean, field?: string, reason?: string }} first failing field, if any
+ */
+function verifyCleaning(original, cleaned, removed = {}) {
+  for (const field of Object.keys(original)) {
+    const check = verifyDeletion(original[field], cleaned[field], removed[field] || []);
+    if (!check.ok) return { ok: false, field, reason: check.reason };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  verifyDeletion,
+  verifyCleaning,
+};
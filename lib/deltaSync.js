@@ -0,0 +1,116 @@
+// lib/deltaSync.js
+// Helpers for incremental ("delta") refreshes of the Europass catalogue.
+//
+// Delta mode is switched on with `--delta` or DELTA=1 and changes the fetch stages as follows:
+//   - search walkers (00, 10–12) re-walk completed levels from the top of the date-sorted
+//     results and stop at the first page that holds nothing new
+//   - detail fetchers (02, 20, 21) fetch records that are not on disk yet, and re-fetch
+//     records older than REVALIDATE_DAYS (default 30, 0 = never) to detect changed content
+//   - a record whose detail URL answers 404/410 gets a tombstone (NDJSON log) and is
+//     skipped from then on (RETRY_TOMBSTONES=1 retries them)
+// Removals are only seen through revalidation: a record that merely drops out of the search
+// listing is not detected, since the walkers stop at the first page without new URIs.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+function isDeltaMode(argv = process.argv) {
+  return argv.includes('--delta') || process.env.DELTA === '1';
+}
+
+// Default age for revalidation: a monthly refresh re-checks everything fetched by the previous one
+const DEFAULT_REVALIDATE_DAYS = 30;
+
+/** Age (ms) after which a stored record is re-fetched in delta mode; REVALIDATE_DAYS=0 disables revalidation. */
+function revalidateAfterMs() {
+  const raw = process.env.REVALIDATE_DAYS;
+  const days = raw === undefined || raw === '' ? DEFAULT_REVALIDATE_DAYS : Number(raw);
+  return Number.isFinite(days) && days > 0 ? days * 24 * 60 * 60 * 1000 : 0;
+}
+
+function isRevalidationDue(fetchedAtMs, now = Date.now()) {
+  const maxAge = revalidateAfterMs();
+  return maxAge > 0 && now - fetchedAtMs >= maxAge;
+}
+
+/** JSON.stringify with sorted object keys, so equal documents hash equally. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function contentHash(obj) {
+  return crypto.createHash('sha256').update(stableStringify(obj)).digest('hex');
+}
+
+/** True when the record is gone upstream (as opposed to a transient failure). */
+function isGoneStatus(status) {
+  return status === 404 || status === 410;
+}
+
+/**
+ * Append-only tombstone log (one JSON object per line).
+ * Entries: { uri, reason, detectedAt, source, lastHash? }
+ */
+class TombstoneLog {
+  constructor(filePath, source) {
+    this.filePath = filePath;
+    this.source = source;
+    this.uris = new Set();
+    this.writeLock = Promise.resolve();
+  }
+
+  async load() {
+    let raw = '';
+    try {
+      raw = await fsp.readFile(this.filePath, 'utf8');
+    } catch {
+      return this;
+    }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const t = JSON.parse(line);
+        if (t.uri) this.uris.add(t.uri);
+      } catch {
+        // torn last line after a crash: ignore
+      }
+    }
+    return this;
+  }
+
+  has(uri) {
+    return this.uris.has(uri) && process.env.RETRY_TOMBSTONES !== '1';
+  }
+
+  get size() {
+    return this.uris.size;
+  }
+
+  record(uri, { reason, lastHash } = {}) {
+    if (this.uris.has(uri)) return this.writeLock;
+    this.uris.add(uri);
+    const entry = { uri, reason, detectedAt: new Date().toISOString(), source: this.source };
+    if (lastHash) entry.lastHash = lastHash;
+    this.writeLock = this.writeLock.then(() =>
+      fsp.appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8').catch(err => {
+        console.error('⚠️ Failed to write tombstone:', err?.message || err);
+      })
+    );
+    return this.writeLock;
+  }
+}
+
+module.exports = {
+  isDeltaMode,
+  revalidateAfterMs,
+  isRevalidationDue,
+  stableStringify,
+  contentHash,
+  isGoneStatus,
+  TombstoneLog,
+};
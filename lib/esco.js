@@ -0,0 +1,107 @@
+// lib/esco.js
+// Reader for a local ESCO skills dump (https://esco.ec.europa.eu/en/use-esco/download).
+// Two formats are understood:
+//   .csv   the "skills_<lang>.csv" file of the CSV download (conceptUri, preferredLabel,
+//          altLabels, description, skillType, ...); altLabels are newline-separated
+//   .nt    the N-Triples RDF download; skills are subjects with a skos:prefLabel in `lang`,
+//          altLabels / descriptions come from skos:altLabel, skos:definition, dcterms:description
+//          and esco:description. (Turtle .ttl is not line-based: convert it with any RDF tool,
+//          e.g. `riot --output=nt esco.ttl > esco.nt`.)
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+const { primaryLanguage } = require('./languages');
+
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const ESCO = 'http://data.europa.eu/esco/model#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const PREDICATES = {
+  [`${SKOS}prefLabel`]: 'label',
+  [`${SKOS}altLabel`]: 'altLabels',
+  [`${SKOS}definition`]: 'description',
+  'http://purl.org/dc/terms/description': 'description',
+  [`${ESCO}description`]: 'description',
+};
+
+/** Skill shape: { uri, label, altLabels: string[], description, skillType } */
+function skillText(skill) {
+  // label twice: it is the most specific text a skill has
+  return [skill.label, skill.label, ...skill.altLabels, skill.description].filter(Boolean).join('\n');
+}
+
+async function loadCsv(file) {
+  const skills = [];
+  const input = fs.createReadStream(file, { encoding: 'utf8' }).pipe(csv({ mapHeaders: ({ header }) => header.replace(/^﻿/, '').trim() }));
+  for await (const row of input) {
+    const uri = row.conceptUri || row.uri || '';
+    const label = row.preferredLabel || row.prefLabel || '';
+    if (!uri || !label) continue;
+    if (row.status && row.status !== 'released') continue;
+    skills.push({
+      uri,
+      label,
+      altLabels: String(row.altLabels || '').split(/\n|\|/).map(s => s.trim()).filter(Boolean),
+      description: row.description || row.definition || '',
+      skillType: row.skillType || '',
+    });
+  }
+  return skills;
+}
+
+// <s> <p> "literal"@lang .   /   <s> <p> <o> .
+const TRIPLE_RE = /^<([^>]+)>\s+<([^>]+)>\s+(?:<([^>]+)>|"((?:[^"\\]|\\.)*)"(?:@([A-Za-z-]+)|\^\^<[^>]+>)?)\s*\.\s*$/;
+
+function unescapeLiteral(s) {
+  return s.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (_, e) => {
+    if (e[0] === 'u' || e[0] === 'U') return String.fromCodePoint(parseInt(e.slice(1), 16));
+    return { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[e] ?? e;
+  });
+}
+
+async function loadNTriples(file, lang) {
+  const byUri = new Map();
+  const get = uri => {
+    if (!byUri.has(uri)) byUri.set(uri, { uri, label: '', altLabels: [], description: '', skillType: '', isSkill: false });
+    return byUri.get(uri);
+  };
+  const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  for await (const line of rl) {
+    const m = TRIPLE_RE.exec(line);
+    if (!m) continue;
+    const [, s, p, o, literal, litLang] = m;
+    if (p === RDF_TYPE) {
+      if (o === `${ESCO}Skill`) get(s).isSkill = true;
+      continue;
+    }
+    if (p === `${ESCO}skillType` && o) {
+      get(s).skillType = o;
+      continue;
+    }
+    const field = PREDICATES[p];
+    if (!field || literal === undefined) continue;
+    if (litLang && litLang.toLowerCase().split('-')[0] !== lang) continue;
+    const value = unescapeLiteral(literal).trim();
+    const skill = get(s);
+    if (field === 'altLabels') skill.altLabels.push(value);
+    else if (!skill[field]) skill[field] = value;
+  }
+  return [...byUri.values()]
+    .filter(s => s.isSkill && s.label)
+    .map(({ isSkill, ...skill }) => skill);
+}
+
+/** Load the skills of an ESCO dump (.csv or .nt) in `lang` (default: primary LANGUAGES entry). */
+async function loadEscoSkills(file, { lang = primaryLanguage() } = {}) {
+  if (!fs.existsSync(file)) throw new Error(`ESCO skills file not found: ${file}`);
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return loadCsv(file);
+  if (ext === '.nt') return loadNTriples(file, lang);
+  throw new Error(`Unsupported ESCO dump format "${ext}" (expected .csv or .nt): ${file}`);
+}
+
+module.exports = {
+  loadEscoSkills,
+  skillText,
+};
@@ -0,0 +1,109 @@
+// lib/escoLinks.js
+// ESCO skill/occupation links that Europass records already carry (relatedESCOSkill,
+// relatedSkill, relatedOccupation, ...), flattened into a long table with one row per link.
+// These are the publishers' own mappings: ground truth for the similarity stage (600).
+// Which JSON paths hold links is configured in the "links" section of fieldMappings.json.
+
+const { pickLabel, primaryLanguage } = require('./languages');
+const { parsePath, evaluate, loadMappings } = require('./extractor');
+
+const LINK_COLUMNS = [
+  'recordId',
+  'uri',
+  'learningOutcomeIndex', // position in the record's learningOutcome list (0-based); empty for record-level links
+  'learningOutcomeTitle',
+  'relation',
+  'conceptType',
+  'escoUri',
+  'escoLabel',
+];
+
+const isObject = v => v !== null && typeof v === 'object';
+
+// "http://data.europa.eu/esco/skill/..." -> "skill"
+function conceptType(uri) {
+  const m = String(uri).match(/\/esco\/([A-Za-z-]+)\//);
+  return m ? m[1] : '';
+}
+
+function conceptUri(v) {
+  if (typeof v === 'string') return v.trim();
+  if (!isObject(v)) return '';
+  return String(v.uri || v['@id'] || v.id || '').trim();
+}
+
+function conceptLabel(v, lang) {
+  if (!isObject(v)) return '';
+  const label = pickLabel(v.prefLabel ?? v.title ?? v.label ?? '', lang);
+  return label == null ? '' : String(label).trim();
+}
+
+function compileRelations(spec = {}) {
+  return Object.entries(spec)
+    .filter(([name]) => !name.startsWith('_'))
+    .map(([relation, paths]) => {
+      if (!Array.isArray(paths) || !paths.length) throw new Error(`links relation "${relation}": paths must be a non-empty array`);
+      return { relation, paths: paths.map(parsePath) };
+    });
+}
+
+/**
+ * Build the link extractor from the mappings file. Returns { columns, extract(doc, ctx, opts) },
+ * where extract() returns link rows ({ column: value }, without recordId/uri, which the caller
+ * fills from its record). ctx: record context for $-paths; opts: { lang } for labels.
+ */
+function createLinkExtractor({ mappings = loadMappings() } = {}) {
+  const spec = mappings.links || {};
+  const uriPrefix = spec.uriPrefix || '';
+  const loRelations = compileRelations(spec.learningOutcome);
+  const recordRelations = compileRelations(spec.record);
+  const loPaths = (mappings.fields?.learningOutcomes?.paths || []).map(parsePath);
+  const loTitlePaths = (mappings.fields?.learningOutcomes?.item?.title?.paths || ['title']).map(parsePath);
+
+  function collect(node, relations, ctx, lang, base, rows, seen) {
+    for (const { relation, paths } of relations) {
+      for (const steps of paths) {
+        for (const v of evaluate(node, steps, ctx).flatMap(x => (Array.isArray(x) ? x : [x]))) {
+          const escoUri = conceptUri(v);
+          if (!escoUri || (uriPrefix && !escoUri.startsWith(uriPrefix))) continue;
+          const key = `${base.learningOutcomeIndex}|${relation}|${escoUri}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          rows.push({ ...base, relation, conceptType: conceptType(escoUri), escoUri, escoLabel: conceptLabel(v, lang) });
+        }
+      }
+    }
+  }
+
+  // same list the learningOutcomes field uses: first path with items wins
+  function learningOutcomes(doc, ctx) {
+    for (const steps of loPaths) {
+      const items = evaluate(doc, steps, ctx).flatMap(v => (Array.isArray(v) ? v : [v])).filter(isObject);
+      if (items.length) return items;
+    }
+    return [];
+  }
+
+  function extract(doc, ctx = {}, { lang = primaryLanguage() } = {}) {
+    const rows = [];
+    const seen = new Set();
+    collect(doc, recordRelations, ctx, lang, { learningOutcomeIndex: '', learningOutcomeTitle: '' }, rows, seen);
+    learningOutcomes(doc, ctx).forEach((lo, i) => {
+      let title = '';
+      for (const steps of loTitlePaths) {
+        title = evaluate(lo, steps, ctx).map(v => conceptLabel({ prefLabel: v }, lang)).find(Boolean) || '';
+        if (title) break;
+      }
+      collect(lo, loRelations, ctx, lang, { learningOutcomeIndex: i, learningOutcomeTitle: title }, rows, seen);
+    });
+    return rows;
+  }
+
+  return { columns: LINK_COLUMNS, extract };
+}
+
+module.exports = {
+  LINK_COLUMNS,
+  conceptType,
+  createLinkExtractor,
+};
@@ -0,0 +1,229 @@
+// lib/extractor.js
+// Mapping-driven JSON -> row engine shared by the extractors (03, 300, 310).
+// Which JSON paths feed which CSV column lives in fieldMappings.json (FIELD_MAPPINGS=<file> to
+// use another one); this module only knows how to evaluate paths, turn values into text and
+// format a few composite columns. See the _comment block in fieldMappings.json for the syntax.
+
+const fs = require('fs');
+const path = require('path');
+const { pickLabel, primaryLanguage } = require('./languages');
+
+const DEFAULT_MAPPINGS_PATH = path.resolve(__dirname, '..', 'fieldMappings.json');
+const FIELD_TYPES = ['label', 'labels', 'text', 'list'];
+
+// ---------------------- PATHS ----------------------
+
+// "a.b[0].c[*]" -> [{ key: 'a' }, { key: 'b' }, { index: 0 }, { key: 'c' }, { all: true }]
+// "..countryCode.prefLabel" -> [{ deep: 'countryCode' }, { key: 'prefLabel' }]
+// "$meta.country" -> [{ context: 'meta' }, { key: 'country' }]
+function parsePath(expr) {
+  const steps = [];
+  const re = /(\.\.)?([^.[\]]+)|\[(\d+|\*)\]|\./g;
+  let m;
+  let first = true;
+  while ((m = re.exec(expr)) !== null) {
+    if (m[0] === '.') continue;
+    if (m[3] !== undefined) {
+      steps.push(m[3] === '*' ? { all: true } : { index: Number(m[3]) });
+    } else if (m[1]) {
+      steps.push({ deep: m[2] });
+    } else if (first && m[2].startsWith('$')) {
+      steps.push({ context: m[2].slice(1) });
+    } else {
+      steps.push({ key: m[2] });
+    }
+    first = false;
+  }
+  if (!steps.length) throw new Error(`Empty field path "${expr}"`);
+  return steps;
+}
+
+const isObject = v => v !== null && typeof v === 'object';
+
+// pre-order, so the shallowest/earliest match comes first (same order findCountryPrefLabel used)
+function deepFind(node, key, out) {
+  if (!isObject(node)) return out;
+  if (!Array.isArray(node) && node[key] != null) out.push(node[key]);
+  for (const k of Object.keys(node)) deepFind(node[k], key, out);
+  return out;
+}
+
+/** All values a path matches in `doc` (record context for $-paths in `ctx`). */
+function evaluate(doc, steps, ctx = {}) {
+  let nodes = [doc];
+  for (const step of steps) {
+    const next = [];
+    for (const n of nodes) {
+      if (step.context !== undefined) {
+        if (ctx[step.context] !== undefined) next.push(ctx[step.context]);
+      } else if (step.deep !== undefined) {
+        deepFind(n, step.deep, next);
+      } else if (step.all) {
+        if (Array.isArray(n)) next.push(...n);
+      } else if (step.index !== undefined) {
+        if (Array.isArray(n) && n[step.index] !== undefined) next.push(n[step.index]);
+      } else if (isObject(n) && !Array.isArray(n) && n[step.key] !== undefined) {
+        next.push(n[step.key]);
+      }
+    }
+    nodes = next.filter(v => v !== null && v !== undefined);
+    if (!nodes.length) break;
+  }
+  return nodes;
+}
+
+// ---------------------- FIELDS ----------------------
+
+function toText(v, { lang, strict }, type) {
+  if (v == null) return '';
+  if (type === 'text') {
+    return typeof v === 'string' || typeof v === 'number' ? String(v).trim() : '';
+  }
+  const s = pickLabel(v, lang, { strict });
+  return s == null ? '' : String(s).trim();
+}
+
+// Compile a field definition into (doc, ctx, opts) -> value
+// label/text -> string ('' if nothing found), labels -> string[], list -> object[]
+function compileField(name, def) {
+  if (!def || !FIELD_TYPES.includes(def.type)) {
+    throw new Error(`Field "${name}": type must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(def.paths) || !def.paths.length) throw new Error(`Field "${name}": "paths" must be a non-empty array`);
+  const paths = def.paths.map(parsePath);
+
+  if (def.type === 'list') {
+    const item = Object.entries(def.item || {}).map(([k, d]) => [k, compileField(`${name}.${k}`, d)]);
+    return (doc, ctx, opts) => {
+      for (const steps of paths) {
+        const items = evaluate(doc, steps, ctx).flatMap(v => (Array.isArray(v) ? v : [v])).filter(isObject);
+        if (items.length) return items.map(x => Object.fromEntries(item.map(([k, f]) => [k, f(x, ctx, opts)])));
+      }
+      return [];
+    };
+  }
+
+  if (def.type === 'labels') {
+    return (doc, ctx, opts) => {
+      for (const steps of paths) {
+        const values = evaluate(doc, steps, ctx)
+          .flatMap(v => (Array.isArray(v) ? v : [v]))
+          .map(v => toText(v, opts, 'label'))
+          .filter(Boolean);
+        if (values.length) return values;
+      }
+      return [];
+    };
+  }
+
+  return (doc, ctx, opts) => {
+    for (const steps of paths) {
+      for (const v of evaluate(doc, steps, ctx)) {
+        const s = toText(v, opts, def.type);
+        if (s) return s;
+      }
+    }
+    return '';
+  };
+}
+
+// ---------------------- FORMATS ----------------------
+
+// Named column formatters for values that are not plain text.
+const FORMATS = {
+  text: v => (Array.isArray(v) ? v.join(' | ') : v ?? ''),
+  // "Level 4" -> "4"
+  levelNumber: v => {
+    const m = String(v || '').match(/(\d+(?:\.\d+)?)/);
+    return m ? m[1] : '';
+  },
+  // every outcome note, flattened: "note | note | ..."
+  notesJoined: items => items.flatMap(i => i.notes || []).join(' | '),
+  // 300 shape: [{ title, additionalNote: [..] }]
+  outcomesJson: items => JSON.stringify(items.map(i => ({ title: i.title || '', additionalNote: i.notes || [] }))),
+  // 310 shape: [{ title, additionalNotes: "a\n\nb" }]
+  outcomesJoinedJson: items => JSON.stringify(items.map(i => ({ title: i.title || '', additionalNotes: (i.notes || []).join('\n\n') }))),
+};
+
+function isEmpty(v) {
+  return v == null || v === '' || (Array.isArray(v) && v.length === 0) || v === '[]';
+}
+
+// ---------------------- EXTRACTOR ----------------------
+
+function loadMappings(file = process.env.FIELD_MAPPINGS || DEFAULT_MAPPINGS_PATH) {
+  const raw = fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Cannot parse field mappings ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the extractor called `name` in the mappings file.
+ * Returns { name, columns, languageColumns, requiredColumns, extract(doc, ctx, opts) }, where extract() returns
+ * { row: { column: value }, missing: [required columns that came out empty] }.
+ * ctx: record context for $-paths ({ uri, file, meta }); opts: { lang, strict } for labels.
+ */
+function createExtractor(name, { mappings = loadMappings() } = {}) {
+  const spec = mappings.extractors?.[name];
+  if (!spec) throw new Error(`No extractor "${name}" in field mappings`);
+
+  const fields = new Map();
+  const fieldFn = fieldName => {
+    if (!fields.has(fieldName)) {
+      const def = mappings.fields?.[fieldName];
+      if (!def) throw new Error(`Extractor "${name}": unknown field "${fieldName}"`);
+      fields.set(fieldName, compileField(fieldName, def));
+    }
+    return fields.get(fieldName);
+  };
+
+  const columns = spec.columns.map(col => {
+    const format = FORMATS[col.format || 'text'];
+    if (!format) throw new Error(`Extractor "${name}", column "${col.name}": unknown format "${col.format}"`);
+    return { name: col.name, field: fieldFn(col.field), fieldName: col.field, format, required: !!col.required };
+  });
+  const names = columns.map(c => c.name);
+  for (const c of spec.languageColumns || []) {
+    if (!names.includes(c)) throw new Error(`Extractor "${name}": languageColumns has unknown column "${c}"`);
+  }
+
+  function extract(doc, ctx = {}, { lang = primaryLanguage(), strict = false } = {}) {
+    const row = {};
+    const missing = [];
+    const cache = new Map(); // one evaluation per field, even if several columns use it
+    for (const col of columns) {
+      if (!cache.has(col.fieldName)) cache.set(col.fieldName, col.field(doc, ctx, { lang, strict }));
+      const value = col.format(cache.get(col.fieldName));
+      row[col.name] = value;
+      if (col.required && isEmpty(value)) missing.push(col.name);
+    }
+    return { row, missing };
+  }
+
+  return {
+    name,
+    columns: names,
+    languageColumns: spec.languageColumns || [],
+    requiredColumns: columns.filter(c => c.required).map(c => c.name),
+    extract,
+  };
+}
+
+/** True if any of `columns` (except the first, the record key) has a value. */
+function hasContent(row, columns) {
+  return columns.slice(1).some(c => !isEmpty(row[c]));
+}
+
+module.exports = {
+  DEFAULT_MAPPINGS_PATH,
+  FORMATS,
+  parsePath,
+  evaluate,
+  compileField,
+  loadMappings,
+  createExtractor,
+  hasContent,
+};
@@ -0,0 +1,231 @@
+// lib/graphExport.js
+// Writers for the knowledge graph stage (700): every node and edge is sent once to
+//   - an RDF/Turtle file, using the Europass/ELM URIs as subjects where records have them
+//   - Neo4j bulk-import CSVs (neo4j-admin database import): one nodes_<Label>.csv per node
+//     label and one edges_<TYPE>.csv per relationship type, with the IRI as :ID
+// GraphExporter de-duplicates shared nodes (countries, EQF levels, providers, ESCO concepts),
+// so callers can add them once per record.
+
+const fs = require('fs');
+const path = require('path');
+
+const PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  dcterms: 'http://purl.org/dc/terms/',
+  elm: 'http://data.europa.eu/snb/model/elm/',
+  esco: 'http://data.europa.eu/esco/model#',
+};
+
+// Neo4j columns per node label (":int"/":float" typed, as neo4j-admin expects) and the RDF
+// predicate each property maps to. `id` is the IRI.
+const NODE_LABELS = {
+  Qualification: {
+    rdfType: 'elm:Qualification',
+    props: { recordId: 'kg:recordId', title: 'dcterms:title', description: 'dcterms:description', 'eqfLevel:int': null, fetchedAt: 'kg:fetchedAt' },
+  },
+  LearningOpportunity: {
+    rdfType: 'elm:LearningOpportunity',
+    props: { recordId: 'kg:recordId', title: 'dcterms:title', description: 'dcterms:description', 'eqfLevel:int': null, fetchedAt: 'kg:fetchedAt' },
+  },
+  LearningOutcome: {
+    rdfType: 'elm:LearningOutcome',
+    props: { title: 'dcterms:title', text: 'dcterms:description', 'index:int': 'kg:position' },
+  },
+  Country: { rdfType: 'skos:Concept', props: { name: 'skos:prefLabel' } },
+  EQFLevel: { rdfType: 'skos:Concept', props: { name: 'skos:prefLabel', 'level:int': 'skos:notation' } },
+  Provider: { rdfType: 'elm:Organisation', props: { name: 'skos:prefLabel' } },
+  EscoSkill: { rdfType: 'esco:Skill', props: { label: 'skos:prefLabel' } },
+  EscoOccupation: { rdfType: 'esco:Occupation', props: { label: 'skos:prefLabel' } },
+};
+
+// Neo4j relationship properties and the RDF predicate of each type. SIMILAR_SKILL edges carry a
+// score, so in RDF they become a kg:SkillMatch node: <record> kg:skillMatch [ kg:skill <s>; kg:score .. ].
+const EDGE_TYPES = {
+  HAS_LEARNING_OUTCOME: { predicate: 'elm:learningOutcome', props: [] },
+  IN_COUNTRY: { predicate: 'dcterms:spatial', props: [] },
+  HAS_EQF_LEVEL: { predicate: 'elm:EQFLevel', props: [] },
+  PROVIDED_BY: { predicate: 'elm:providedBy', props: [] },
+  PUBLISHED_BY: { predicate: 'dcterms:publisher', props: [] },
+  RELATED_ESCO: { predicate: null, props: ['relation'] }, // predicate: elm:<relation>
+  SIMILAR_SKILL: { predicate: 'kg:skillMatch', props: ['score:float', 'rank:int', 'method'] },
+};
+
+// ---------------------- TURTLE ----------------------
+
+function turtleLiteral(value, datatype) {
+  const s = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return datatype ? `"${s}"^^${datatype}` : `"${s}"`;
+}
+
+// IRIs may not contain spaces, <>"{}|^`\ ; percent-encode those
+function turtleIri(iri) {
+  return `<${String(iri).replace(/[\x00-\x20<>"{}|^`\\]/g, c => encodeURIComponent(c))}>`;
+}
+
+class TurtleWriter {
+  constructor(file, { vocab }) {
+    this.file = file;
+    this.out = fs.createWriteStream(file, { encoding: 'utf8' });
+    this.prefixes = { ...PREFIXES, kg: vocab };
+    this.triples = 0;
+    for (const [p, iri] of Object.entries(this.prefixes)) this.out.write(`@prefix ${p}: <${iri}> .\n`);
+    this.out.write('\n');
+  }
+
+  async write(text) {
+    if (!this.out.write(text)) await new Promise(r => this.out.once('drain', r));
+  }
+
+  // [[predicate, objectTerm], ...] -> one subject block
+  async statement(subject, pairs) {
+    const body = pairs.filter(([, o]) => o != null && o !== '');
+    if (!body.length) return;
+    this.triples += body.length;
+    await this.write(`${subject}\n  ${body.map(([p, o]) => `${p} ${o}`).join(' ;\n  ')} .\n\n`);
+  }
+
+  async node(label, id, props) {
+    const spec = NODE_LABELS[label];
+    const pairs = [['a', spec.rdfType]];
+    for (const [col, predicate] of Object.entries(spec.props)) {
+      const key = col.split(':')[0];
+      const v = props[key];
+      if (!predicate || v == null || v === '') continue;
+      const type = col.endsWith(':int') ? 'xsd:integer' : null;
+      pairs.push([predicate, turtleLiteral(v, type)]);
+    }
+    await this.statement(turtleIri(id), pairs);
+  }
+
+  async edge(type, from, to, props) {
+    if (type === 'SIMILAR_SKILL') {
+      const match = `[ a kg:SkillMatch ; kg:skill ${turtleIri(to)} ; kg:score ${turtleLiteral(props.score, 'xsd:decimal')} ; kg:rank ${turtleLiteral(props.rank, 'xsd:integer')} ; kg:method ${turtleLiteral(props.method || '')} ]`;
+      await this.statement(turtleIri(from), [['kg:skillMatch', match]]);
+      return;
+    }
+    const predicate = type === 'RELATED_ESCO' ? `elm:${String(props.relation).replace(/[^A-Za-z0-9_]/g, '')}` : EDGE_TYPES[type].predicate;
+    await this.statement(turtleIri(from), [[predicate, turtleIri(to)]]);
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.out.on('error', reject);
+      this.out.end(resolve);
+    });
+  }
+}
+
+// ---------------------- NEO4J CSV ----------------------
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+class Neo4jCsvWriter {
+  constructor(dir) {
+    this.dir = dir;
+    this.streams = new Map(); // file -> { out }
+    this.counts = {};
+  }
+
+  async row(file, header, cells) {
+    let s = this.streams.get(file);
+    if (!s) {
+      const out = fs.createWriteStream(path.join(this.dir, file), { encoding: 'utf8' });
+      out.write(header.join(',') + '\n');
+      s = { out };
+      this.streams.set(file, s);
+    }
+    this.counts[file] = (this.counts[file] || 0) + 1;
+    if (!s.out.write(cells.map(csvCell).join(',') + '\n')) await new Promise(r => s.out.once('drain', r));
+  }
+
+  node(label, id, props) {
+    const cols = Object.keys(NODE_LABELS[label].props);
+    return this.row(`nodes_${label}.csv`, ['id:ID', ...cols, ':LABEL'], [id, ...cols.map(c => props[c.split(':')[0]]), label]);
+  }
+
+  edge(type, from, to, props) {
+    const cols = EDGE_TYPES[type].props;
+    return this.row(`edges_${type}.csv`, [':START_ID', ':END_ID', ':TYPE', ...cols], [from, to, type, ...cols.map(c => props[c.split(':')[0]])]);
+  }
+
+  close() {
+    return Promise.all([...this.streams.values()].map(({ out }) => new Promise((resolve, reject) => {
+      out.on('error', reject);
+      out.end(resolve);
+    })));
+  }
+}
+
+// ---------------------- EXPORTER ----------------------
+
+/**
+ * Fan-out to both writers. Nodes are written the first time their id is seen; edges are
+ * de-duplicated per (type, from, to) except SIMILAR_SKILL, which is unique by construction.
+ * Edges may reference nodes added later (or never, e.g. an ESCO concept without label).
+ */
+class GraphExporter {
+  constructor(outDir, { vocab }) {
+    fs.mkdirSync(outDir, { recursive: true });
+    // a previous run may have written edge/node types this one doesn't
+    for (const f of fs.readdirSync(outDir)) {
+      if (/^(nodes|edges)_\w+\.csv$/.test(f) || f === 'graph.ttl') fs.rmSync(path.join(outDir, f));
+    }
+    this.outDir = outDir;
+    this.turtle = new TurtleWriter(path.join(outDir, 'graph.ttl'), { vocab });
+    this.neo4j = new Neo4jCsvWriter(outDir);
+    this.nodeIds = new Set();
+    this.edgeKeys = new Set();
+    this.stats = { nodes: {}, edges: {} };
+  }
+
+  hasNode(id) {
+    return this.nodeIds.has(id);
+  }
+
+  async node(label, id, props = {}) {
+    if (!NODE_LABELS[label]) throw new Error(`Unknown node label "${label}"`);
+    if (!id || this.nodeIds.has(id)) return;
+    this.nodeIds.add(id);
+    this.stats.nodes[label] = (this.stats.nodes[label] || 0) + 1;
+    await this.turtle.node(label, id, props);
+    await this.neo4j.node(label, id, props);
+  }
+
+  async edge(type, from, to, props = {}) {
+    if (!EDGE_TYPES[type]) throw new Error(`Unknown edge type "${type}"`);
+    if (!from || !to) return;
+    if (type !== 'SIMILAR_SKILL') {
+      const key = `${type}|${from}|${to}|${props.relation || ''}`;
+      if (this.edgeKeys.has(key)) return;
+      this.edgeKeys.add(key);
+    }
+    this.stats.edges[type] = (this.stats.edges[type] || 0) + 1;
+    await this.turtle.edge(type, from, to, props);
+    await this.neo4j.edge(type, from, to, props);
+  }
+
+  async close() {
+    await Promise.all([this.turtle.close(), this.neo4j.close()]);
+    return { ...this.stats, triples: this.turtle.triples };
+  }
+}
+
+module.exports = {
+  PREFIXES,
+  NODE_LABELS,
+  EDGE_TYPES,
+  turtleLiteral,
+  turtleIri,
+  GraphExporter,
+};
@@ -0,0 +1,180 @@
+// lib/languageDetect.js
+// Offline language detection for the catalogue texts (360 tags the CSVs, the profiler's language
+// distribution uses it too). Character n-gram model, no network and no external packages:
+//   - training text per language comes from languageSamples.json (LANGUAGE_SAMPLES=<file>)
+//   - features: character 1- to 3-grams of each word, padded with spaces (" da", "da ", ...)
+//   - scoring: multinomial naive Bayes with add-ALPHA smoothing, summed over the text's n-grams
+//   - script first: only languages written in the text's script compete (Greek text can only be
+//     "el", Cyrillic only the Cyrillic samples), which also makes those cases cheap
+// Texts with fewer than MIN_LETTERS letters, or where the two best languages are too close to call
+// (confidence below MIN_CONFIDENCE), come back as "und".
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES_PATH = process.env.LANGUAGE_SAMPLES || path.join(__dirname, '..', 'languageSamples.json');
+const UNDETERMINED = 'und';
+const MAX_ORDER = 3;
+const ALPHA = 0.5;
+const MIN_LETTERS = 20;
+const MAX_CHARS = 400; // the start of a description is enough; keeps long blobs cheap
+const CONFIDENCE_SCALE = 4; // per n-gram log-likelihood margin -> confidence in [0, 1)
+const MIN_CONFIDENCE = 0.08; // below: a near tie (da/no, cs/sk, short keyword lists); "und" rows are never routed away
+
+// Columns 360 adds (also part of the canonical schema, lib/schema.js)
+const LANGUAGE_COLUMNS = ['description_lang', 'learningOutcomes_lang'];
+
+const SCRIPTS = [
+  ['Latin', /\p{Script=Latin}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+];
+
+/** Lower-cased words (letters only) of the first `maxChars` characters. */
+function words(text, maxChars = MAX_CHARS) {
+  return String(text || '').slice(0, maxChars).normalize('NFC').toLowerCase().match(/\p{L}+/gu) || [];
+}
+
+/** Script most letters of the words are written in ("Latin", "Greek", "Cyrillic", "Other"), by first letter. */
+function dominantScript(wordList) {
+  const counts = {};
+  for (const w of wordList) {
+    const script = (SCRIPTS.find(([, re]) => re.test(w[0])) || ['Other'])[0];
+    counts[script] = (counts[script] || 0) + w.length;
+  }
+  let best = 'Other';
+  for (const [script, n] of Object.entries(counts)) if (!(best in counts) || n > counts[best]) best = script;
+  return best;
+}
+
+/** Calls fn(gram) for every 1- to MAX_ORDER-gram of the padded words. */
+function forEachGram(wordList, fn) {
+  for (const w of wordList) {
+    const padded = ` ${w} `;
+    for (let n = 1; n <= MAX_ORDER; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const gram = padded.slice(i, i + n);
+        if (gram !== ' ') fn(gram);
+      }
+    }
+  }
+}
+
+function gramOrder(gram) {
+  return gram.length;
+}
+
+class LanguageDetector {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.samples]  { code: training text }, default: languageSamples.json
+   */
+  constructor({ samples = loadSamples(), minLetters = MIN_LETTERS, maxChars = MAX_CHARS, minConfidence = MIN_CONFIDENCE } = {}) {
+    this.minLetters = minLetters;
+    this.maxChars = maxChars;
+    this.minConfidence = minConfidence;
+    this.languages = Object.keys(samples).sort();
+    if (!this.languages.length) throw new Error('No language samples');
+
+    // counts per language and order, then one row of log-probabilities per n-gram
+    const L = this.languages.length;
+    const counts = new Map();
+    const totals = Array.from({ length: MAX_ORDER + 1 }, () => new Float64Array(L));
+    this.scripts = {};
+    this.languages.forEach((lang, l) => {
+      const wordList = words(samples[lang], Infinity);
+      this.scripts[lang] = dominantScript(wordList);
+      forEachGram(wordList, gram => {
+        if (!counts.has(gram)) counts.set(gram, new Float64Array(L));
+        counts.get(gram)[l]++;
+        totals[gramOrder(gram)][l]++;
+      });
+    });
+    const vocab = new Array(MAX_ORDER + 1).fill(0);
+    for (const gram of counts.keys()) vocab[gramOrder(gram)]++;
+
+    this.unseen = Array.from({ length: MAX_ORDER + 1 }, (_, n) =>
+      Float64Array.from(totals[n], total => Math.log(ALPHA / (total + ALPHA * (vocab[n] + 1)))));
+    this.logProbs = new Map();
+    for (const [gram, c] of counts) {
+      const n = gramOrder(gram);
+      this.logProbs.set(gram, Float64Array.from(c, (k, l) => Math.log((k + ALPHA) / (totals[n][l] + ALPHA * (vocab[n] + 1)))));
+    }
+  }
+
+  /**
+   * Language of a text.
+   * @returns {{ lang: string, confidence: number, script: string }}  lang is an ISO 639-1 code or "und"
+   */
+  detect(text) {
+    const wordList = words(text, this.maxChars);
+    const letters = wordList.reduce((n, w) => n + w.length, 0);
+    const script = dominantScript(wordList);
+    const und = { lang: UNDETERMINED, confidence: 0, script };
+    if (letters < this.minLetters) return und;
+
+    const candidates = [];
+    this.languages.forEach((lang, l) => {
+      if (this.scripts[lang] === script) candidates.push(l);
+    });
+    if (!candidates.length) return und;
+    if (candidates.length === 1) return { lang: this.languages[candidates[0]], confidence: 1, script };
+
+    const scores = new Float64Array(this.languages.length);
+    let grams = 0;
+    forEachGram(wordList, gram => {
+      const row = this.logProbs.get(gram) || this.unseen[gramOrder(gram)];
+      for (const l of candidates) scores[l] += row[l];
+      grams++;
+    });
+
+    let best = candidates[0];
+    let second = candidates[1];
+    if (scores[second] > scores[best]) [best, second] = [second, best];
+    for (const l of candidates.slice(2)) {
+      if (scores[l] > scores[best]) {
+        second = best;
+        best = l;
+      } else if (scores[l] > scores[second]) {
+        second = l;
+      }
+    }
+    const confidence = 1 - Math.exp((-CONFIDENCE_SCALE * (scores[best] - scores[second])) / grams);
+    if (confidence < this.minConfidence) return { ...und, confidence };
+    return { lang: this.languages[best], confidence, script };
+  }
+}
+
+function loadSamples(file = SAMPLES_PATH) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!json.samples || typeof json.samples !== 'object') throw new Error(`${file}: expected a "samples" object`);
+  return json.samples;
+}
+
+let defaultDetector = null;
+
+/** ISO 639-1 code of a text's language, or "und" (default detector, built on first use). */
+function detectLanguage(text) {
+  if (!defaultDetector) defaultDetector = new LanguageDetector();
+  return defaultDetector.detect(text).lang;
+}
+
+/** A tagged row's language: description_lang, else learningOutcomes_lang; '' when neither is known. */
+function rowLanguage(row) {
+  for (const col of LANGUAGE_COLUMNS) {
+    const lang = String(row[col] || '').trim();
+    if (lang && lang !== UNDETERMINED) return lang;
+  }
+  return '';
+}
+
+module.exports = {
+  SAMPLES_PATH,
+  UNDETERMINED,
+  LANGUAGE_COLUMNS,
+  loadSamples,
+  dominantScript,
+  LanguageDetector,
+  detectLanguage,
+  rowLanguage,
+};
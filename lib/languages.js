@@ -0,0 +1,105 @@
+// lib/languages.js
+// Language configuration and language-aware label picking shared by fetch and extract stages.
+//
+// LANGUAGES=en,de,fr,pl   languages to fetch/extract; the first one is the primary language
+//                         (used for search requests and the main CSV columns). Default: en
+//
+// Detail documents fetched in a non-primary language are kept in the record store under
+// (uri, lang); in the older loose-file layout they were <id>.<lang>.json siblings
+// (see isLanguageVariantFile, used when importing those).
+
+const DEFAULT_LANGUAGES = ['en'];
+
+function getLanguages() {
+  const list = (process.env.LANGUAGES || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  return list.length ? [...new Set(list)] : DEFAULT_LANGUAGES;
+}
+
+function primaryLanguage() {
+  return getLanguages()[0];
+}
+
+/** Languages other than the primary one. */
+function extraLanguages() {
+  return getLanguages().slice(1);
+}
+
+const VARIANT_RE = /\.([a-z]{2}(?:-[A-Za-z]{2})?)\.json$/;
+
+/** "<id>.de.json" style per-language sibling of a primary "<id>.json" document. */
+function isLanguageVariantFile(fileName) {
+  return VARIANT_RE.test(fileName);
+}
+
+function sameLanguage(tag, lang) {
+  const t = String(tag).toLowerCase();
+  const l = String(lang).toLowerCase();
+  return t === l || t.startsWith(l + '-');
+}
+
+// { de: '...' } / { 'de-AT': '...' } / { '@language': 'de', '@value': '...' } -> text in `lang`
+function matchLanguage(x, lang) {
+  if (!x || typeof x !== 'object') return null;
+  const tagged = x['@language'] || x.language || x.lang;
+  if (typeof tagged === 'string' && (x['@value'] || x.value)) {
+    return sameLanguage(tagged, lang) ? (x['@value'] || x.value) : null;
+  }
+  for (const k of Object.keys(x)) {
+    if (sameLanguage(k, lang) && typeof x[k] === 'string' && x[k]) return x[k];
+  }
+  return null;
+}
+
+/**
+ * Pick the text of a (possibly multilingual) label in `lang`.
+ * Non-strict (default): falls back to English, then to any text found, like the old
+ * English-only normalizePrefLabel. Strict: returns null unless the value has text in `lang`
+ * (plain strings count as primary-language text).
+ */
+function pickLabel(v, lang = primaryLanguage(), { strict = false } = {}) {
+  if (v == null) return null;
+  if (typeof v === 'string') return strict && !sameLanguage(lang, primaryLanguage()) ? null : v;
+
+  const items = Array.isArray(v) ? v : [v];
+  for (const x of items) {
+    const hit = matchLanguage(x, lang);
+    if (hit) return hit;
+  }
+  if (strict) {
+    if (!sameLanguage(lang, primaryLanguage())) return null;
+    const plain = items.find(x => typeof x === 'string');
+    return plain || null;
+  }
+
+  if (!sameLanguage(lang, 'en')) {
+    for (const x of items) {
+      const hit = matchLanguage(x, 'en');
+      if (hit) return hit;
+    }
+  }
+  if (Array.isArray(v)) {
+    const firstStr = v.find(x => typeof x === 'string');
+    if (firstStr) return firstStr;
+    const firstObj = v.find(x => x && typeof x === 'object' && (x['@value'] || x.value));
+    if (firstObj) return firstObj['@value'] || firstObj.value;
+    return v.length ? String(v[0]) : null;
+  }
+  if (typeof v === 'object') {
+    if (v['@value']) return v['@value'];
+    if (v.value) return v.value;
+    for (const k of Object.keys(v)) if (typeof v[k] === 'string') return v[k];
+  }
+  return String(v);
+}
+
+module.exports = {
+  getLanguages,
+  primaryLanguage,
+  extraLanguages,
+  isLanguageVariantFile,
+  sameLanguage,
+  pickLabel,
+};
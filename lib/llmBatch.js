@@ -0,0 +1,96 @@
+// lib/llmBatch.js
+// Client for the OpenAI-compatible Batch API, used by 400's batch mode (--batch):
+//   POST /files (purpose=batch)       upload a JSONL file, one request per line:
+//                                     { custom_id, method: "POST", url: "/v1/chat/completions", body }
+//   POST /batches                     start a batch on an uploaded file
+//   GET  /batches/{id}                status: validating, in_progress, finalizing, completed,
+//                                     failed, expired, cancelling, cancelled
+//   GET  /files/{id}/content          the output (and error) JSONL once the batch is done:
+//                                     { custom_id, response: { status_code, body }, error }
+// Batches are answered within a completion window (24h) at about half the price of single
+// requests, and do not count against the per-minute rate limits.
+// batchServer.js is a local stand-in with the same endpoints.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { LlmError, requestJson } = require('./llmProviders');
+
+const CHAT_ENDPOINT = '/v1/chat/completions';
+const COMPLETION_WINDOW = '24h';
+const TERMINAL_STATUSES = ['completed', 'failed', 'expired', 'cancelled'];
+
+/** One line of a batch input file. */
+function batchRequestLine(customId, body) {
+  return JSON.stringify({ custom_id: customId, method: 'POST', url: CHAT_ENDPOINT, body }) + '\n';
+}
+
+/**
+ * Batch client for an OpenAI-compatible base URL (e.g. https://api.openai.com/v1).
+ * @param {object} opts
+ * @param {string} opts.baseUrl
+ * @param {string} [opts.apiKey]
+ * @param {number} [opts.timeoutMs=120000]  per HTTP request (uploads and downloads included)
+ */
+function createBatchClient({ baseUrl, apiKey, timeoutMs = 120000 }) {
+  baseUrl = baseUrl.replace(/\/+$/, '');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const call = (route, opts = {}) => requestJson('batch', `${baseUrl}${route}`, { headers, timeoutMs, ...opts });
+
+  return {
+    baseUrl,
+
+    /** Upload a JSONL request file; resolves to the file id. */
+    async uploadFile(file) {
+      const form = new FormData();
+      form.append('purpose', 'batch');
+      form.append('file', await fs.openAsBlob(file), path.basename(file));
+      const data = await call('/files', { body: form });
+      if (!data.id) throw new LlmError(`batch: upload of ${file} returned no file id`, { provider: 'batch' });
+      return data.id;
+    },
+
+    /** Start a batch on an uploaded file; resolves to the batch object ({ id, status, ... }). */
+    createBatch(inputFileId, metadata = {}) {
+      return call('/batches', {
+        body: { input_file_id: inputFileId, endpoint: CHAT_ENDPOINT, completion_window: COMPLETION_WINDOW, metadata },
+      });
+    },
+
+    getBatch(batchId) {
+      return call(`/batches/${encodeURIComponent(batchId)}`);
+    },
+
+    /** Stream a file's content (batch output or errors) to `dest`. */
+    async downloadFile(fileId, dest) {
+      const url = `${baseUrl}/files/${encodeURIComponent(fileId)}/content`;
+      let resp;
+      try {
+        resp = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      } catch (err) {
+        throw new LlmError(`batch: download of ${fileId} failed: ${err.message}`, { provider: 'batch' });
+      }
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new LlmError(`batch: download of ${fileId} failed: ${resp.status} ${text.slice(0, 200)}`, { provider: 'batch', status: resp.status, body: text });
+      }
+      const tmp = `${dest}.tmp`;
+      await pipeline(Readable.fromWeb(resp.body), fs.createWriteStream(tmp));
+      fs.renameSync(tmp, dest);
+      return dest;
+    },
+  };
+}
+
+function isTerminal(batch) {
+  return TERMINAL_STATUSES.includes(batch.status);
+}
+
+module.exports = {
+  CHAT_ENDPOINT,
+  TERMINAL_STATUSES,
+  batchRequestLine,
+  createBatchClient,
+  isTerminal,
+};
@@ -0,0 +1,74 @@
+// lib/llmCache.js
+// Persistent cache of LLM answers for the AI cleaning stage (400), kept in a record store
+// (lib/recordStore.js) under records/llm_cache/ (LLM_CACHE_DIR). Many records share the same boilerplate
+// text, and a re-run after a crash or on a new file sends identical requests again; those are
+// answered from here instead of the API.
+// The key is a hash of provider + model + prompt version + the user message, so changing the model
+// or the system prompt (which includes the filler phrase list) starts with a clean slate.
+// The translation stage (370) keeps its translations in a cache of its own (records/translation_cache/),
+// keyed the same way with the languages and the text as the message.
+// LLM_CACHE=0 turns the cache off.
+
+const crypto = require('crypto');
+const { openStore } = require('./recordStore');
+
+const DEFAULT_CACHE_DIR = 'records/llm_cache';
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+/** Short hash identifying a system prompt; part of every cache key. */
+function promptVersion(systemPrompt) {
+  return sha256(String(systemPrompt)).slice(0, 12);
+}
+
+function cacheKey({ provider, model, promptVersion: version, user }) {
+  return `llm:${sha256([provider, model, version, sha256(String(user))].join('|'))}`;
+}
+
+class LlmCache {
+  constructor(store) {
+    this.store = store;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static async open(dir = process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR) {
+    if (process.env.LLM_CACHE === '0') return new LlmCache(null);
+    return new LlmCache(await openStore(dir));
+  }
+
+  get enabled() {
+    return this.store !== null;
+  }
+
+  /** Cached { content, usage } for `request` ({ provider, model, promptVersion, user }), or null. */
+  async get(request) {
+    if (!this.store) return null;
+    const hit = await this.store.get(cacheKey(request));
+    if (hit) this.hits++;
+    else this.misses++;
+    return hit;
+  }
+
+  has(request) {
+    return this.store ? this.store.has(cacheKey(request)) : false;
+  }
+
+  async put(request, { content, usage }) {
+    if (!this.store) return;
+    await this.store.put(cacheKey(request), { content, usage }, {
+      meta: { provider: request.provider, model: request.model, promptVersion: request.promptVersion },
+    });
+  }
+
+  async close() {
+    if (this.store) await this.store.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  promptVersion,
+  cacheKey,
+  LlmCache,
+};
@@ -0,0 +1,81 @@
+// lib/llmCost.js
+// Token and cost accounting for the AI cleaning (400) and translation (370) stages: per-model
+// prices, a rough token estimate for dry runs, and a meter that adds up the usage the API reports.
+// Prices are USD per 1M tokens. LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override them (e.g. for a
+// model missing here); local providers (ollama, fake, libretranslate) cost nothing. Batch API
+// requests are billed at BATCH_DISCOUNT of these prices.
+
+const PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+};
+const FREE_PROVIDERS = ['ollama', 'fake', 'libretranslate'];
+const BATCH_DISCOUNT = 0.5;
+
+/** { input, output } USD per 1M tokens for a provider/model; unknown models cost 0 (with a warning from the caller). */
+function priceFor(provider, model) {
+  const envIn = process.env.LLM_PRICE_INPUT;
+  const envOut = process.env.LLM_PRICE_OUTPUT;
+  if (envIn || envOut) return { input: Number(envIn) || 0, output: Number(envOut) || 0, known: true };
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0, known: true };
+  // dated snapshots ("gpt-4o-mini-2024-07-18") use the base model's price; longest name first
+  const name = Object.keys(PRICES).sort((a, b) => b.length - a.length).find(m => model === m || model.startsWith(`${m}-`));
+  return name ? { ...PRICES[name], known: true } : { input: 0, output: 0, known: false };
+}
+
+/** Rough token count without a tokenizer: ~4 characters per token for European languages. */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+class CostMeter {
+  constructor({ provider, model, budget = Infinity, batch = false }) {
+    const price = priceFor(provider, model);
+    const factor = batch ? BATCH_DISCOUNT : 1;
+    this.price = { ...price, input: price.input * factor, output: price.output * factor };
+    this.budget = budget;
+    this.calls = 0;
+    this.cached = 0;
+    this.promptTokens = 0;
+    this.completionTokens = 0;
+  }
+
+  get cost() {
+    return (this.promptTokens * this.price.input + this.completionTokens * this.price.output) / 1e6;
+  }
+
+  get overBudget() {
+    return this.cost >= this.budget;
+  }
+
+  add(usage = {}) {
+    this.calls++;
+    this.promptTokens += usage.promptTokens || 0;
+    this.completionTokens += usage.completionTokens || 0;
+  }
+
+  addCached() {
+    this.cached++;
+  }
+
+  summary() {
+    return {
+      calls: this.calls,
+      cached: this.cached,
+      promptTokens: this.promptTokens,
+      completionTokens: this.completionTokens,
+      costUsd: Number(this.cost.toFixed(6)),
+    };
+  }
+}
+
+module.exports = {
+  PRICES,
+  BATCH_DISCOUNT,
+  priceFor,
+  estimateTokens,
+  CostMeter,
+};
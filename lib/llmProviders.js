@@ -0,0 +1,202 @@
+// lib/llmProviders.js
+// Chat-completion backends for the AI cleaning stage (400). Every provider has the same shape:
+//   { name, model, complete({ system, user }) -> Promise<{ content, usage: { promptTokens, completionTokens } }> }
+// complete() makes one request and asks for a JSON object; retries are the caller's business.
+//
+// Providers (LLM_PROVIDER, default "openai"):
+//   openai   any OpenAI-compatible /chat/completions endpoint: api.openai.com, Azure-style
+//            proxies, vLLM, or a local llama.cpp server (`llama-server`, base URL http://127.0.0.1:8080/v1)
+//   ollama   a local Ollama server (/api/chat)
+//   fake     no network: strips a fixed list of filler phrases with regexes, deterministic.
+//            For tests and dry runs of the pipeline; it only understands 400's INPUT_JSON prompt.
+// Environment:
+//   LLM_BASE_URL     default https://api.openai.com/v1 (openai), http://127.0.0.1:11434 (ollama)
+//   LLM_API_KEY      bearer token (OPENAI_API_KEY also works); required for api.openai.com only
+//   LLM_MODEL        default gpt-4o-mini (openai), llama3.1 (ollama)
+//   LLM_TIMEOUT_MS   default 120000
+// Node 18+ (global fetch) required.
+
+const PROVIDERS = ['openai', 'ollama', 'fake'];
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const OLLAMA_BASE_URL = 'http://127.0.0.1:11434';
+
+class LlmError extends Error {
+  constructor(message, { provider, status, body } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.status = status ?? null;
+    this.body = body;
+  }
+}
+
+function envNumber(name, def) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && process.env[name] !== '' ? v : def;
+}
+
+/**
+ * One HTTP request with a JSON answer. `body` is sent as JSON, or as-is when it is FormData;
+ * no body means GET (unless `method` says otherwise). Failures throw LlmError.
+ */
+async function requestJson(provider, url, { method, body, headers = {}, timeoutMs }) {
+  const form = typeof FormData !== 'undefined' && body instanceof FormData;
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: method || (body === undefined ? 'GET' : 'POST'),
+      headers: body === undefined || form ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined || form ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+    throw new LlmError(`${provider}: request to ${url} failed: ${reason}`, { provider });
+  }
+  const text = await resp.text();
+  if (!resp.ok) throw new LlmError(`${provider}: API error ${resp.status}: ${text.slice(0, 500)}`, { provider, status: resp.status, body: text });
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new LlmError(`${provider}: non-JSON response: ${text.slice(0, 200)}`, { provider, status: resp.status, body: text });
+  }
+}
+
+function postJson(provider, url, body, { headers, timeoutMs }) {
+  return requestJson(provider, url, { body, headers, timeoutMs });
+}
+
+// ---------------------- OPENAI-COMPATIBLE ----------------------
+
+/** /chat/completions request body for one system + user prompt; also the body of a batch line. */
+function chatRequestBody(model, { system, user }) {
+  return {
+    model,
+    messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+    temperature: 0,
+    response_format: { type: 'json_object' },
+  };
+}
+
+/** { content, usage } from a /chat/completions response body. */
+function parseChatCompletion(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (!content) throw new LlmError('openai: empty response from API', { provider: 'openai' });
+  return {
+    content,
+    usage: { promptTokens: data.usage?.prompt_tokens ?? 0, completionTokens: data.usage?.completion_tokens ?? 0 },
+  };
+}
+
+function openaiProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  baseUrl = (baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '');
+  if (!apiKey && baseUrl === OPENAI_BASE_URL) {
+    throw new LlmError('openai: set LLM_API_KEY (or OPENAI_API_KEY), or point LLM_BASE_URL at a local server', { provider: 'openai' });
+  }
+  model = model || 'gpt-4o-mini';
+  return {
+    name: 'openai',
+    model,
+    baseUrl,
+    apiKey,
+    timeoutMs,
+    async complete({ system, user }) {
+      const data = await postJson('openai', `${baseUrl}/chat/completions`, chatRequestBody(model, { system, user }),
+        { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, timeoutMs });
+      return parseChatCompletion(data);
+    },
+  };
+}
+
+// ---------------------- OLLAMA ----------------------
+
+function ollamaProvider({ baseUrl, model, timeoutMs }) {
+  baseUrl = (baseUrl || OLLAMA_BASE_URL).replace(/\/+$/, '');
+  model = model || 'llama3.1';
+  return {
+    name: 'ollama',
+    model,
+    baseUrl,
+    async complete({ system, user }) {
+      const data = await postJson('ollama', `${baseUrl}/api/chat`, {
+        model,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+        stream: false,
+        format: 'json',
+        options: { temperature: 0 },
+      }, { timeoutMs });
+      const content = data.message?.content;
+      if (!content) throw new LlmError('ollama: empty response from API', { provider: 'ollama' });
+      return {
+        content,
+        usage: { promptTokens: data.prompt_eval_count ?? 0, completionTokens: data.eval_count ?? 0 },
+      };
+    },
+  };
+}
+
+// ---------------------- FAKE ----------------------
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rule-based stand-in for 400's cleaning prompt: reads the JSON after "INPUT_JSON:" in the user
+ * message and removes `phrases` (case-insensitive, with a trailing full stop) from every field.
+ * Answers in the same JSON shape the prompt asks for: <field> and <field>_removed.
+ */
+function fakeProvider({ phrases = [] }) {
+  const patterns = phrases.map(p => new RegExp(`${escapeRegex(p)}\\.?`, 'gi'));
+  return {
+    name: 'fake',
+    model: 'rules',
+    async complete({ user }) {
+      const m = String(user).match(/INPUT_JSON:\s*(\{[\s\S]*\})/);
+      if (!m) throw new LlmError('fake: no INPUT_JSON object in the prompt', { provider: 'fake' });
+      const input = JSON.parse(m[1]);
+      const out = {};
+      for (const [field, value] of Object.entries(input)) {
+        let text = String(value ?? '');
+        const removed = [];
+        for (const re of patterns) {
+          text = text.replace(re, hit => {
+            removed.push(hit);
+            return '';
+          });
+        }
+        out[field] = text.replace(/[ \t]{2,}/g, ' ').replace(/^\s+|\s+$/g, '');
+        out[`${field}_removed`] = removed;
+      }
+      const content = JSON.stringify(out);
+      return { content, usage: { promptTokens: 0, completionTokens: 0 } };
+    },
+  };
+}
+
+// ---------------------- FACTORY ----------------------
+
+/**
+ * Provider selected by `name` (default: LLM_PROVIDER, else "openai"). Options override the env:
+ * { baseUrl, apiKey, model, timeoutMs, phrases (fake only) }.
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openai', opts = {}) {
+  const config = {
+    baseUrl: opts.baseUrl || process.env.LLM_BASE_URL || '',
+    apiKey: opts.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+    model: opts.model || process.env.LLM_MODEL || '',
+    timeoutMs: opts.timeoutMs || envNumber('LLM_TIMEOUT_MS', 120000),
+    phrases: opts.phrases,
+  };
+  if (name === 'openai') return openaiProvider(config);
+  if (name === 'ollama') return ollamaProvider(config);
+  if (name === 'fake') return fakeProvider(config);
+  throw new LlmError(`Unknown LLM provider "${name}" (expected one of ${PROVIDERS.join(', ')})`);
+}
+
+module.exports = {
+  PROVIDERS,
+  LlmError,
+  createProvider,
+  requestJson,
+  chatRequestBody,
+  parseChatCompletion,
+};
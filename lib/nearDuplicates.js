@@ -0,0 +1,219 @@
+// lib/nearDuplicates.js
+// Near-duplicate detection for the dedup stage (350): the same course or qualification published
+// by several providers or in several countries, with slightly different wording.
+//   - text: title + description, normalised (lower case, accents and punctuation stripped)
+//   - shingles: overlapping character SHINGLE_SIZE-grams of that text
+//   - MinHash signatures (NUM_HASHES values) estimate the Jaccard similarity of two shingle sets
+//   - LSH: signatures are cut into BANDS bands; records sharing a band (and a block, e.g. the
+//     EQF level) are candidates, and candidates whose estimated similarity reaches the threshold
+//     are merged (union-find, so clusters are transitive)
+// Identical normalised texts are merged without comparing signatures. Texts shorter than
+// MIN_TEXT_CHARS (a bare title, no description) carry too little to compare fuzzily: they only
+// merge with records having exactly the same text and the same `exactKey` (e.g. the country).
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+const BANDS = 16; // 16 bands x 8 rows: pairs around 0.7 similarity or more become candidates
+const DEFAULT_THRESHOLD = 0.8;
+const MIN_TEXT_CHARS = 60;
+const MAX_BUCKET_COMPARE = 50; // candidates compared per bucket, keeps huge buckets linear
+
+// Columns 350 adds to the rows it keeps (also part of the canonical schema, lib/schema.js)
+const DEDUP_COLUMNS = ['clusterSize', 'clusterCountries', 'duplicateUris'];
+const LIST_SEPARATOR = ' | ';
+
+/** Lower case, accents stripped, everything but letters and digits turned into single spaces. */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/** Character k-grams of an already normalised text (the text itself when shorter than k). */
+function shingles(text, k = SHINGLE_SIZE) {
+  const out = new Set();
+  if (text.length <= k) {
+    if (text) out.add(text);
+    return out;
+  }
+  for (let i = 0; i + k <= text.length; i++) out.add(text.slice(i, i + k));
+  return out;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer: spreads the bits of a 32-bit value
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * MinHash signature of a shingle set: for each of `numHashes` hash functions the smallest hash.
+ * The hash functions are h1 + i * h2 of two base hashes per shingle (Kirsch–Mitzenmacher).
+ */
+function minhash(shingleSet, numHashes = NUM_HASHES) {
+  const sig = new Uint32Array(numHashes).fill(0xffffffff);
+  for (const s of shingleSet) {
+    const h1 = fnv1a(s);
+    const h2 = fmix32(h1 ^ 0x9e3779b9) | 1;
+    for (let i = 0; i < numHashes; i++) {
+      const h = (h1 + Math.imul(i, h2)) >>> 0;
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+/** Estimated Jaccard similarity: share of positions where two signatures agree. */
+function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+class UnionFind {
+  constructor() {
+    this.parent = [];
+  }
+
+  add() {
+    this.parent.push(this.parent.length);
+    return this.parent.length - 1;
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  union(a, b) {
+    const ra = this.find(a);
+    const rb = this.find(b);
+    if (ra === rb) return false;
+    // the lower index stays root, so cluster roots follow input order
+    if (ra < rb) this.parent[rb] = ra;
+    else this.parent[ra] = rb;
+    return true;
+  }
+}
+
+/**
+ * Incremental clustering: add records one by one, then read the clusters.
+ *   const c = new NearDuplicateClusterer({ threshold: 0.8 });
+ *   c.add({ text, block: eqfLevel, exactKey: country });   // returns the record's index
+ *   c.clusters()   // [[index, ...], ...] with more than one member, in input order
+ */
+class NearDuplicateClusterer {
+  constructor({ threshold = DEFAULT_THRESHOLD, numHashes = NUM_HASHES, bands = BANDS, minTextChars = MIN_TEXT_CHARS } = {}) {
+    if (numHashes % bands !== 0) throw new Error(`numHashes (${numHashes}) must be a multiple of bands (${bands})`);
+    this.threshold = threshold;
+    this.numHashes = numHashes;
+    this.bands = bands;
+    this.rows = numHashes / bands;
+    this.minTextChars = minTextChars;
+    this.uf = new UnionFind();
+    this.signatures = [];
+    this.exact = new Map();   // block + text -> first index
+    this.buckets = new Map(); // block + band + band values -> indices
+    this.comparisons = 0;
+  }
+
+  /**
+   * @param {object} rec
+   * @param {string} rec.text        title + description (normalised here)
+   * @param {string} [rec.block]     only records with the same block are compared (EQF level)
+   * @param {string} [rec.exactKey]  short texts also need the same exactKey (country)
+   * @returns {number} index of the record
+   */
+  add({ text, block = '', exactKey = '' }) {
+    const i = this.uf.add();
+    const norm = normalizeText(text);
+    if (!norm) {
+      this.signatures.push(null);
+      return i;
+    }
+    if (norm.length < this.minTextChars) {
+      this.signatures.push(null);
+      this.mergeExact(i, `short\u0000${block}\u0000${exactKey}\u0000${norm}`);
+      return i;
+    }
+
+    const sig = minhash(shingles(norm), this.numHashes);
+    this.signatures.push(sig);
+    if (this.mergeExact(i, `text\u0000${block}\u0000${norm}`)) return i; // a copy: its twin is in the buckets
+
+    for (let band = 0; band < this.bands; band++) {
+      const key = `${block}\u0000${band}\u0000${sig.subarray(band * this.rows, (band + 1) * this.rows).join(',')}`;
+      let bucket = this.buckets.get(key);
+      if (!bucket) {
+        this.buckets.set(key, [i]);
+        continue;
+      }
+      for (const j of bucket.length > MAX_BUCKET_COMPARE ? bucket.slice(0, MAX_BUCKET_COMPARE) : bucket) {
+        if (this.uf.find(i) === this.uf.find(j)) continue;
+        this.comparisons++;
+        if (similarity(sig, this.signatures[j]) >= this.threshold) this.uf.union(i, j);
+      }
+      bucket.push(i);
+    }
+    return i;
+  }
+
+  mergeExact(i, key) {
+    const first = this.exact.get(key);
+    if (first === undefined) {
+      this.exact.set(key, i);
+      return false;
+    }
+    this.uf.union(i, first);
+    return true;
+  }
+
+  /** Estimated similarity of two added records (1 for identical short texts, null without signatures). */
+  similarity(i, j) {
+    const a = this.signatures[i];
+    const b = this.signatures[j];
+    if (!a || !b) return this.uf.find(i) === this.uf.find(j) ? 1 : null;
+    return similarity(a, b);
+  }
+
+  /** Clusters with at least two members: arrays of record indices, ordered by their first member. */
+  clusters() {
+    const byRoot = new Map();
+    for (let i = 0; i < this.uf.parent.length; i++) {
+      const root = this.uf.find(i);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(i);
+    }
+    return [...byRoot.values()].filter(c => c.length > 1);
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEDUP_COLUMNS,
+  LIST_SEPARATOR,
+  normalizeText,
+  shingles,
+  minhash,
+  similarity,
+  NearDuplicateClusterer,
+};
@@ -0,0 +1,179 @@
+// lib/outcomeSegmenter.js
+// Splits a learningOutcomes blob into atomic outcome statements, for the segmentation stage (380).
+// The blobs are built upstream from several learning outcomes each:
+//   313  "<title> — <notes>" per outcome, outcomes separated by blank lines
+//   302  additionalNotes joined with " ; " (303 then strips a leading "1)" marker)
+// and the notes themselves mix bullet lists, numbered items, semicolon lists and prose.
+// Per blank-line block:
+//   1. "<title> — <rest>": the title becomes the statements' heading
+//   2. bullets (• ▪ ◦ ● *, or "-"/"–" used at least twice) and numbered/lettered items
+//      ("1)", "2.", "a)", "(b)"; only an ascending run starting at 1/a counts, so "Level 4." does
+//      not split); text before the first item ending in ":" is a lead-in and becomes the heading
+//   3. semicolons
+//   4. sentences (not after abbreviations, single letters or list numbers, see isOrdinal)
+// Each statement loses its list marker, a leading "The learner is able to" style stem (LEAD_INS)
+// and trailing punctuation; empty and repeated statements are dropped.
+
+const MAX_HEADING_CHARS = 150;
+const MIN_LETTERS = 3;
+
+// Stems in front of the actual outcome ("The learner is able to plan ..." -> "plan ...")
+const LEAD_INS = [
+  /^(?:on|upon) (?:the )?(?:successful )?completion(?: of (?:the|this) [^,:]{1,80}?)?(?=[,:]|\s+(?:the|a|each)\s)[,:]?\s*/i,
+  /^(?:the |a |each )?(?:learners?|students?|graduates?|participants?|trainees?|candidates?|apprentices?|holders?(?: of (?:the|this) [^,:]{1,60})?)\s+(?:is|are|will be|should be|shall be)\s+(?:able|capable)\s+(?:to|of)\s*:?\s*/i,
+  /^(?:the |a |each )?(?:learners?|students?|graduates?|participants?|trainees?|candidates?|apprentices?)\s+(?:can|will be able to|is expected to|are expected to)\s*:?\s*/i,
+  /^(?:is|are|will be) able to\s*:?\s*/i,
+  /^able to\s*:?\s*/i,
+];
+
+const ABBREVIATIONS = new Set(['e.g', 'i.e', 'etc', 'incl', 'approx', 'ca', 'cf', 'vs', 'no', 'nr', 'dr', 'st', 'mr', 'mrs', 'ms', 'z.b', 'bzw', 'usw', 'u.a', 'd.h', 'resp', 'art', 'par', 'vol']);
+
+const BULLET_RE = /(^|\s)([•▪◦●·*]|[-–])\s+/g;
+const ITEM_RE = /(^|[\s(])\(?(\d{1,2}|[a-z])[.)]\s+/g;
+
+const letters = s => (s.match(/\p{L}/gu) || []).length;
+
+function cleanStatement(text) {
+  let s = String(text).replace(/\s+/g, ' ').trim();
+  s = s.replace(/^(?:[•▪◦●·*–-]|\(?(?:\d{1,2}|[a-z])[.)])\s+/, '');
+  for (const re of LEAD_INS) s = s.replace(re, '');
+  return s.replace(/[\s;,.:]+$/, '').trim();
+}
+
+/** Split points (index of each item's marker) of an ascending 1, 2, 3 / a, b, c run, or []. */
+function itemPositions(text) {
+  const found = [];
+  for (const m of text.matchAll(ITEM_RE)) found.push({ at: m.index + m[1].length, value: m[2] });
+  const next = v => (/\d/.test(v) ? String(Number(v) + 1) : String.fromCharCode(v.charCodeAt(0) + 1));
+  let best = [];
+  for (let i = 0; i < found.length; i++) {
+    if (found[i].value !== '1' && found[i].value !== 'a') continue;
+    const run = [found[i]];
+    for (let j = i + 1; j < found.length; j++) {
+      if (found[j].value === next(run[run.length - 1].value)) run.push(found[j]);
+    }
+    if (run.length > best.length) best = run;
+  }
+  return best.length >= 2 ? best.map(f => f.at) : [];
+}
+
+function bulletPositions(text) {
+  const found = [...text.matchAll(BULLET_RE)].map(m => ({ at: m.index + m[1].length, dash: /[-–]/.test(m[2]) }));
+  const dashes = found.filter(f => f.dash).length;
+  return found.filter(f => !f.dash || dashes >= 2 || f.at === 0).map(f => f.at);
+}
+
+/** Text cut at `positions`: { lead, items } where lead is the text before the first one. */
+function cutAt(text, positions) {
+  const items = positions.map((p, i) => text.slice(p, positions[i + 1] ?? text.length));
+  return { lead: text.slice(0, positions[0]).trim(), items };
+}
+
+function splitSemicolons(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[') depth++;
+    else if ((ch === ')' || ch === ']') && depth > 0) depth--;
+    else if (ch === ';' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// A number before ". " is a list marker ("1. Plan ...") when it starts the piece or follows an
+// abbreviation ("No. 4. "); otherwise it ends a sentence ("... of Level 4. Applies ...") if a
+// capitalised word follows. German ordinals ("am 12. März") are split wrongly by this rule.
+function isOrdinal(words, next) {
+  if (words.length === 1) return true;
+  if (ABBREVIATIONS.has(words[words.length - 2].toLowerCase().replace(/^[("'„«]+/, '').replace(/\.$/, ''))) return true;
+  return !/^\p{Lu}/u.test(next);
+}
+
+function splitSentences(text) {
+  const out = [];
+  let start = 0;
+  const re = /[.!?]\s+(?=[\p{Lu}\d"„«(])/gu;
+  for (const m of text.matchAll(re)) {
+    const words = text.slice(start, m.index).trim().split(/\s+/);
+    const before = words[words.length - 1].toLowerCase().replace(/^[("'„«]+/, '');
+    if (ABBREVIATIONS.has(before.replace(/\.$/, '')) || /^\p{L}$/u.test(before)) continue;
+    if (/^\d+$/.test(before) && isOrdinal(words, text.slice(m.index + m[0].length))) continue;
+    out.push(text.slice(start, m.index + 1));
+    start = m.index + m[0].length;
+  }
+  out.push(text.slice(start));
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Outcome statements of a learningOutcomes text, in order.
+ * @returns {{ heading: string, text: string, splitBy: string }[]}
+ *   splitBy: the finest split that produced the statement (bullet, numbered, semicolon, sentence),
+ *   or "block" for a block that was not split at all
+ */
+function segmentOutcomes(text) {
+  const out = [];
+  const seen = new Set();
+  const emit = (heading, raw, splitBy) => {
+    const statement = cleanStatement(raw);
+    if (letters(statement) < MIN_LETTERS) return;
+    if (statement.endsWith(':')) return;
+    const key = statement.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({ heading, text: statement, splitBy });
+  };
+
+  for (const rawBlock of String(text || '').split(/\n\s*\n/)) {
+    const block = rawBlock.replace(/\s+/g, ' ').trim();
+    if (!block) continue;
+    const before = out.length;
+    let heading = '';
+    let body = block;
+    const titled = block.match(/^(.+?)\s+—\s+(.+)$/);
+    if (titled && titled[1].length <= MAX_HEADING_CHARS) {
+      heading = cleanStatement(titled[1]);
+      body = titled[2];
+    }
+
+    // list items first: numbered runs, then bullets
+    let pieces = [{ text: body, splitBy: 'block' }];
+    for (const [kind, positionsOf] of [['numbered', itemPositions], ['bullet', bulletPositions]]) {
+      pieces = pieces.flatMap(piece => {
+        const positions = positionsOf(piece.text);
+        if (!positions.length || (positions.length === 1 && positions[0] === 0)) return [piece];
+        const { lead, items } = cutAt(piece.text, positions);
+        const result = items.map(t => ({ text: t, splitBy: kind }));
+        // a lead-in ending in ":" introduces the list; anything else is a statement of its own
+        if (lead && /:$/.test(lead) && !heading) heading = cleanStatement(lead.slice(0, -1)) || heading;
+        else if (lead && !/:$/.test(lead)) result.unshift({ text: lead, splitBy: piece.splitBy });
+        return result;
+      });
+    }
+
+    for (const piece of pieces) {
+      const parts = splitSemicolons(piece.text);
+      for (const part of parts) {
+        const sentences = splitSentences(part);
+        const splitBy = sentences.length > 1 ? 'sentence' : parts.length > 1 ? 'semicolon' : piece.splitBy;
+        for (const sentence of sentences) emit(heading, sentence, splitBy);
+      }
+    }
+    // a title whose notes gave nothing is an outcome itself
+    if (titled && out.length === before) emit('', titled[1], 'block');
+  }
+  return out;
+}
+
+module.exports = {
+  LEAD_INS,
+  segmentOutcomes,
+  splitSentences,
+  splitSemicolons,
+};
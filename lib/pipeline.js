@@ -0,0 +1,288 @@
+// lib/pipeline.js
+// Stage graph for the Europass pipeline: each stage declares the script it runs,
+// its CLI args and the files/directories it reads and writes. Dependencies are
+// derived from those declarations (a stage depends on whoever writes its inputs),
+// so execution order never has to be maintained by hand.
+//
+// Path conventions (all relative to the repo root):
+//   "dir/"          a directory (anything inside counts)
+//   "dir/*.ext"     files in dir matching the extension
+//   "file.csv"      a single file
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const STATE_PATH = path.join(ROOT, '.europass_pipeline.json');
+
+// source:  talks to the Europass API, has no file inputs; only re-run with --refresh
+// manual:  never part of a default run, only when named explicitly
+// profile: after a successful run, europass.js writes a data quality report on its CSV output (lib/profiler.js)
+const STAGES = [
+  { id: '00', script: '00save2.js', inputs: [], outputs: ['files/'], source: true },
+  { id: '01', script: '01country_merge.js', inputs: ['files/*.ndjson'], outputs: ['countryFiles/'] },
+  { id: '02', script: '02fetchCountries.js', inputs: ['countryFiles/*.ndjson'], outputs: ['records/qualificationData/'] },
+  { id: '03', script: '03extractData.js', inputs: ['records/qualificationData/'], outputs: ['qualificationsValid.csv', 'qualificationsValid_esco_links.csv'] },
+  { id: '10', script: '10fetch_learningOpportunities.js', inputs: [], outputs: ['output_learningOpportunities/'], source: true },
+  { id: '11', script: '11fetch_qualification.js', inputs: [], outputs: ['output_qualifications/'], source: true },
+  { id: '12', script: '12scrape_europass.js', inputs: [], outputs: ['output/'], source: true, manual: true },
+  { id: '20', script: '20scraper_opportunities.js', inputs: ['output_learningOpportunities/*.index.json'], outputs: ['records/json_learningOpportunities/'] },
+  { id: '21', script: '21scraper_qualifications.js', inputs: ['output_qualifications/*.index.json'], outputs: ['records/json_qualifications/'] },
+  { id: '300', script: '300extract_learningOpportunities.js', inputs: ['records/json_learningOpportunities/'], outputs: ['learning_opportunities_output.csv', 'learning_opportunities_esco_links.csv'] },
+  { id: '301', script: '301filter_learningOpportunities.js', inputs: ['learning_opportunities_output.csv'], outputs: ['learning_opportunities_output_filtered.csv'], profile: true },
+  { id: '302', script: '302final_learningOpportunities.js', inputs: ['learning_opportunities_output_filtered.csv'], outputs: ['learning_opportunities_transformed.csv'], profile: true },
+  { id: '303', script: '303polished_learningOpportunities.js', inputs: ['learning_opportunities_transformed.csv'], outputs: ['learning_opportunities_nomore.csv'] },
+  { id: '310', script: '310extract_qualifications.js', args: ['records/json_qualifications'], inputs: ['records/json_qualifications/'], outputs: ['output_all.csv', 'output_all_esco_links.csv'] },
+  { id: '311', script: '311filter_qualifications.js', args: ['output_all.csv', 'filtered_qualifications'], inputs: ['output_all.csv'], outputs: ['filtered_qualifications.csv'], profile: true },
+  { id: '313', script: '313clean_qualification.js', args: ['filtered_qualifications.csv', 'cleaned_qualifications.csv'], inputs: ['filtered_qualifications.csv'], outputs: ['cleaned_qualifications.csv'], profile: true },
+  { id: '312', script: '312final_qualifications.js', args: ['cleaned_qualifications.csv', 'final_qualifications.csv'], inputs: ['cleaned_qualifications.csv'], outputs: ['final_qualifications.csv'], profile: true },
+  // 390 and 400 rewrite their input in place (with a .bak copy), so they only run on request.
+  { id: '390', script: '390ruleClean.js', args: ['final_qualifications.csv'], inputs: ['final_qualifications.csv', 'boilerplateRules.json'], outputs: ['final_qualifications.csv_rules_audit.ndjson'], manual: true },
+  { id: '400', script: '400AIClean.js', args: ['final_qualifications.csv'], inputs: ['final_qualifications.csv', 'boilerplateRules.json'], outputs: ['cleaned_final_qualifications.csv_audit.ndjson'], manual: true },
+  // Drops near-duplicates (same course from several providers/countries) before the merge.
+  {
+    id: '350',
+    script: '350dedup.js',
+    inputs: ['learning_opportunities_nomore.csv', 'final_qualifications.csv'],
+    outputs: ['learning_opportunities_dedup.csv', 'final_qualifications_dedup.csv', 'dedup_clusters.csv'],
+  },
+  // Tags description/learning outcome languages; LANGUAGE_ONLY=en moves other languages to *_other_languages.csv.
+  {
+    id: '360',
+    script: '360detectLanguage.js',
+    inputs: ['learning_opportunities_dedup.csv', 'final_qualifications_dedup.csv', 'languageSamples.json'],
+    outputs: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'],
+  },
+  // Translates the non-English fields of the 360 outputs in place (like 390/400), paid per text.
+  {
+    id: '370',
+    script: '370translate.js',
+    args: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'],
+    inputs: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'],
+    outputs: ['translated_learning_opportunities_lang.csv_audit.ndjson', 'translated_final_qualifications_lang.csv_audit.ndjson'],
+    manual: true,
+  },
+  // Splits the learningOutcomes blobs into one row per outcome statement (long format, for skill matching).
+  {
+    id: '380',
+    script: '380segmentOutcomes.js',
+    inputs: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'],
+    outputs: ['learning_outcomes.csv'],
+  },
+  // Proposes catalogue additions from 400's audit log; boilerplateRules.json itself is edited by hand.
+  { id: '410', script: '410mineCleaningRules.js', args: ['cleaned_final_qualifications.csv_audit.ndjson'], inputs: ['cleaned_final_qualifications.csv_audit.ndjson'], outputs: ['boilerplateRules.proposed.json'], manual: true },
+  {
+    id: '500',
+    script: '500mergeSharing.js',
+    args: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv', 'europass_combined.csv'],
+    inputs: ['learning_opportunities_lang.csv', 'final_qualifications_lang.csv'],
+    outputs: ['europass_combined.csv'],
+    profile: true,
+  },
+  // Needs a local ESCO skills dump in esco/ (not downloaded by the pipeline).
+  {
+    id: '600',
+    script: '600escoSimilarity.js',
+    args: ['esco/skills_en.csv', 'europass_combined.csv', 'esco_similarity.csv'],
+    inputs: ['europass_combined.csv', 'esco/'],
+    outputs: ['esco_similarity.csv'],
+    manual: true,
+  },
+  // Raw JSON from the record stores adds learning outcomes, providers and ESCO links;
+  // esco_similarity.csv (600) is used when present. 600 is manual, so a default run builds the
+  // graph without it; once 600 has run, 700 is stale and picks it up (`run 600 700` does both).
+  {
+    id: '700',
+    script: '700knowledgeGraph.js',
+    args: ['europass_combined.csv', 'knowledge_graph'],
+    inputs: ['europass_combined.csv', 'records/json_qualifications/', 'records/json_learningOpportunities/', 'esco_similarity.csv'],
+    outputs: ['knowledge_graph/'],
+  },
+];
+
+// ---------- path helpers ----------
+
+function splitPattern(p) {
+  if (p.endsWith('/')) return { base: p.slice(0, -1), dir: true, suffix: null };
+  const star = p.indexOf('*');
+  if (star !== -1) {
+    return { base: path.dirname(p), dir: true, suffix: p.slice(star + 1) };
+  }
+  return { base: p, dir: false, suffix: null };
+}
+
+// true when a path written by one stage is (or contains) a path read by another
+function pathCovers(outPattern, inPattern) {
+  const out = splitPattern(outPattern);
+  const inp = splitPattern(inPattern);
+  if (out.base === inp.base) return true;
+  return out.dir && (inp.base + '/').startsWith(out.base + '/');
+}
+
+async function newestMtimeInDir(dir, suffix) {
+  let newest = 0;
+  let entries;
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (suffix) continue;
+      newest = Math.max(newest, await newestMtimeInDir(full, null));
+    } else if (e.isFile() && (!suffix || e.name.endsWith(suffix))) {
+      const st = await fsp.stat(full).catch(() => null);
+      if (st) newest = Math.max(newest, st.mtimeMs);
+    }
+  }
+  return newest;
+}
+
+/** Newest modification time (ms) among everything a pattern matches; 0 if nothing exists. */
+async function newestMtime(pattern, root = ROOT) {
+  const { base, dir, suffix } = splitPattern(pattern);
+  const full = path.join(root, base);
+  if (dir) return newestMtimeInDir(full, suffix);
+  const st = await fsp.stat(full).catch(() => null);
+  return st ? st.mtimeMs : 0;
+}
+
+async function outputExists(pattern, root = ROOT) {
+  const { base } = splitPattern(pattern);
+  return fs.existsSync(path.join(root, base));
+}
+
+// ---------- graph ----------
+
+function getStage(id) {
+  const stage = STAGES.find(s => s.id === String(id));
+  if (!stage) throw new Error(`Unknown stage "${id}". Run "node europass.js list" to see all stages.`);
+  return stage;
+}
+
+/** Map of stage id -> array of upstream stage ids (stages whose outputs feed its inputs). */
+function buildDependencies(stages = STAGES) {
+  const deps = new Map();
+  for (const stage of stages) {
+    const upstream = stages
+      .filter(other => other !== stage)
+      .filter(other => other.outputs.some(o => stage.inputs.some(i => pathCovers(o, i))))
+      .map(other => other.id);
+    deps.set(stage.id, upstream);
+  }
+  return deps;
+}
+
+/** Stage ids in dependency order; ties keep declaration order. */
+function topoOrder(stages = STAGES) {
+  const deps = buildDependencies(stages);
+  const done = new Set();
+  const visiting = new Set();
+  const order = [];
+
+  function visit(id) {
+    if (done.has(id)) return;
+    if (visiting.has(id)) throw new Error(`Dependency cycle in pipeline involving stage ${id}`);
+    visiting.add(id);
+    for (const up of deps.get(id)) visit(up);
+    visiting.delete(id);
+    done.add(id);
+    order.push(id);
+  }
+
+  for (const s of stages) visit(s.id);
+  return order;
+}
+
+function collectUpstream(ids, deps) {
+  const out = new Set();
+  const stack = [...ids];
+  while (stack.length) {
+    const id = stack.pop();
+    if (out.has(id)) continue;
+    out.add(id);
+    stack.push(...deps.get(id));
+  }
+  return out;
+}
+
+function collectDownstream(ids, deps) {
+  const out = new Set(ids);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const [id, ups] of deps.entries()) {
+      if (!out.has(id) && ups.some(u => out.has(u))) {
+        out.add(id);
+        grew = true;
+      }
+    }
+  }
+  return out;
+}
+
+// ---------- run state ----------
+
+async function loadState() {
+  try {
+    return JSON.parse(await fsp.readFile(STATE_PATH, 'utf8'));
+  } catch {
+    return { stages: {} };
+  }
+}
+
+async function saveState(state) {
+  const tmp = `${STATE_PATH}.tmp.${process.pid}`;
+  await fsp.writeFile(tmp, JSON.stringify(state, null, 2), 'utf8');
+  await fsp.rename(tmp, STATE_PATH);
+}
+
+/**
+ * Why a stage must run, or null if it is up to date.
+ * `ranThisRun` holds ids of stages already executed in the current invocation.
+ */
+async function staleReason(stage, state, deps, ranThisRun, opts = {}) {
+  const rec = state.stages[stage.id];
+  if (!rec || rec.status !== 'ok') return rec ? `last run ${rec.status}` : 'never run';
+
+  for (const o of stage.outputs) {
+    if (!(await outputExists(o))) return `output ${o} missing`;
+  }
+
+  const rerunUp = deps.get(stage.id).find(id => ranThisRun.has(id));
+  if (rerunUp) return `upstream ${rerunUp} re-ran`;
+
+  if (stage.source) return opts.refresh ? 'refresh requested' : null;
+
+  const startedAt = Date.parse(rec.startedAt) || 0;
+  for (const i of stage.inputs) {
+    const m = await newestMtime(i);
+    if (m > startedAt) return `input ${i} changed`;
+  }
+
+  for (const up of deps.get(stage.id)) {
+    const upRec = state.stages[up];
+    if (upRec && upRec.status === 'ok' && Date.parse(upRec.finishedAt) > startedAt) {
+      return `upstream ${up} finished after last run`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ROOT,
+  STATE_PATH,
+  STAGES,
+  getStage,
+  buildDependencies,
+  topoOrder,
+  collectUpstream,
+  collectDownstream,
+  newestMtime,
+  loadState,
+  saveState,
+  staleReason,
+};
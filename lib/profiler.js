@@ -0,0 +1,411 @@
+// lib/profiler.js
+// Data quality reports for the CSV stages. After a stage flagged `profile` in lib/pipeline.js
+// (301, 302, 311, 313, 312, 500) succeeds, europass.js profiles its output CSV against its input
+// CSV(s) and writes reports/stage-<id>.json and reports/stage-<id>.html:
+//   - per column: empty rate (empty, "[]" or "null") and length distribution
+//   - EQF level, country and language distributions (the 360 language columns when the CSV has
+//     them, otherwise detected from the description or title, lib/languageDetect.js)
+//   - duplicate record IDs and duplicate content (same title + country + description)
+//   - the records the stage dropped (input keys missing from the output, by recordId or uri):
+//     how many, which columns were empty in them, and sample rows
+//   - the difference to the previous report of the same stage (reports/stage-<id>.previous.json)
+// `node europass.js profile [stage...]` writes the reports without running anything.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const { detectLanguage, rowLanguage } = require('./languageDetect');
+const { REPORT_DIR } = require('./stageIo');
+
+const TOP_VALUES = 40;
+const DROPPED_SAMPLES = 20;
+const SAMPLE_CELL_CHARS = 200;
+const LENGTH_BUCKETS = [0, 1, 50, 200, 500, 1000, 2000, 5000]; // lower bounds, in characters
+
+// Columns playing a role in the reports, first header present wins
+const ROLE_COLUMNS = {
+  key: ['recordId', 'uri'],
+  title: ['title', 'qualificationName'],
+  country: ['country', 'countryCode.prefLabel'],
+  eqf: ['eqfLevelNum', 'EQFLevel_numeric', 'qualificationLevelNum', 'eqfLevel', 'EQFLevel_prefLabel', 'EQFLevel.prefLabel', 'qualificationLevel'],
+  description: ['description', 'learningOutcomeSummary.noteLiteral'],
+};
+
+// ---------------------- profiling ----------------------
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  const s = String(value).trim();
+  return s === '' || s === '[]' || s.toLowerCase() === 'null';
+}
+
+function bucketLabel(i) {
+  const lo = LENGTH_BUCKETS[i];
+  const hi = LENGTH_BUCKETS[i + 1];
+  if (lo === 0) return '0';
+  return hi === undefined ? `${lo}+` : `${lo}-${hi - 1}`;
+}
+
+function bucketOf(len) {
+  let i = LENGTH_BUCKETS.length - 1;
+  while (LENGTH_BUCKETS[i] > len) i--;
+  return i;
+}
+
+function pickRoles(headers) {
+  return Object.fromEntries(Object.entries(ROLE_COLUMNS).map(([role, names]) => [role, names.find(n => headers.includes(n)) || null]));
+}
+
+function count(map, value) {
+  map.set(value, (map.get(value) || 0) + 1);
+}
+
+// map -> { value: count }, largest first, the tail summed up as "(other)"
+function topCounts(map, top = TOP_VALUES) {
+  const sorted = [...map].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+  const out = Object.fromEntries(sorted.slice(0, top));
+  const rest = sorted.slice(top).reduce((n, [, c]) => n + c, 0);
+  if (rest) out['(other)'] = rest;
+  return out;
+}
+
+function rowKey(row, roles) {
+  return roles.key ? String(row[roles.key] || '').trim() : '';
+}
+
+/**
+ * Profile one CSV. With `keys: true` the result also holds `keySet` (every row key), used to
+ * find the records a stage dropped; it is not part of the JSON report.
+ */
+async function profileCsv(file, { keys = false } = {}) {
+  const columns = new Map();
+  const country = new Map();
+  const eqf = new Map();
+  const language = new Map();
+  const keyCounts = new Map();
+  const contentHashes = new Set();
+  let contentDuplicates = 0;
+  let headers = [];
+  let roles = null;
+  let rows = 0;
+
+  const parser = fs.createReadStream(file).pipe(csv());
+  parser.on('headers', h => {
+    headers = h;
+    roles = pickRoles(h);
+    for (const name of h) {
+      columns.set(name, { empty: 0, min: Infinity, max: 0, total: 0, buckets: new Array(LENGTH_BUCKETS.length).fill(0) });
+    }
+  });
+
+  for await (const row of parser) {
+    rows++;
+    for (const [name, c] of columns) {
+      const value = row[name];
+      if (isEmpty(value)) c.empty++;
+      const len = isEmpty(value) ? 0 : String(value).trim().length;
+      c.min = Math.min(c.min, len);
+      c.max = Math.max(c.max, len);
+      c.total += len;
+      c.buckets[bucketOf(len)]++;
+    }
+    if (roles.country) count(country, isEmpty(row[roles.country]) ? '(empty)' : String(row[roles.country]).trim());
+    if (roles.eqf) count(eqf, isEmpty(row[roles.eqf]) ? '(empty)' : String(row[roles.eqf]).trim());
+    const text = roles.description && !isEmpty(row[roles.description]) ? row[roles.description] : roles.title ? row[roles.title] : '';
+    count(language, rowLanguage(row) || (isEmpty(text) ? '(empty)' : detectLanguage(text)));
+
+    const key = rowKey(row, roles);
+    if (key) count(keyCounts, key);
+    if (roles.title || roles.description) {
+      const content = [roles.title, roles.country, roles.description].map(r => (r ? String(row[r] || '').trim().toLowerCase() : '')).join('\u0000');
+      const hash = crypto.createHash('sha1').update(content).digest('base64');
+      if (contentHashes.has(hash)) contentDuplicates++;
+      else contentHashes.add(hash);
+    }
+  }
+
+  let duplicateKeys = 0;
+  let duplicateRows = 0;
+  for (const n of keyCounts.values()) {
+    if (n > 1) {
+      duplicateKeys++;
+      duplicateRows += n - 1;
+    }
+  }
+
+  const profile = {
+    file: path.resolve(file),
+    bytes: fs.statSync(file).size,
+    rows,
+    roles: roles || pickRoles([]),
+    columns: Object.fromEntries([...columns].map(([name, c]) => [name, {
+      empty: c.empty,
+      emptyRate: rows ? Number((c.empty / rows).toFixed(4)) : 0,
+      length: {
+        min: rows ? c.min : 0,
+        max: c.max,
+        mean: rows ? Number((c.total / rows).toFixed(1)) : 0,
+        buckets: Object.fromEntries(c.buckets.map((n, i) => [bucketLabel(i), n])),
+      },
+    }])),
+    distributions: {
+      eqf: topCounts(eqf),
+      country: topCounts(country),
+      language: topCounts(language),
+    },
+    duplicates: {
+      keyColumn: roles?.key || null,
+      duplicateKeys,
+      duplicateRows,
+      contentDuplicates,
+    },
+  };
+  if (keys) Object.defineProperty(profile, 'keySet', { value: new Set(keyCounts.keys()), enumerable: false });
+  return profile;
+}
+
+function truncate(value) {
+  const s = String(value ?? '');
+  return s.length > SAMPLE_CELL_CHARS ? `${s.slice(0, SAMPLE_CELL_CHARS)}…` : s;
+}
+
+/**
+ * Records in the input files whose key is not in `keySet` (the output's keys): count, empty
+ * columns among them and the first DROPPED_SAMPLES rows.
+ */
+async function findDropped(inputFiles, keySet) {
+  const result = { rows: 0, emptyColumns: {}, samples: [], unkeyed: 0 };
+  const emptyColumns = new Map();
+  for (const file of inputFiles) {
+    const parser = fs.createReadStream(file).pipe(csv());
+    let roles = null;
+    parser.on('headers', h => { roles = pickRoles(h); });
+    for await (const row of parser) {
+      const key = rowKey(row, roles);
+      if (!key) {
+        result.unkeyed++;
+        continue;
+      }
+      if (keySet.has(key)) continue;
+      result.rows++;
+      const empty = Object.keys(row).filter(c => isEmpty(row[c]));
+      for (const c of empty) count(emptyColumns, c);
+      if (result.samples.length < DROPPED_SAMPLES) {
+        result.samples.push({
+          file: path.basename(file),
+          key,
+          empty,
+          row: Object.fromEntries(Object.entries(row).map(([c, v]) => [c, truncate(v)])),
+        });
+      }
+    }
+  }
+  result.emptyColumns = topCounts(emptyColumns, Infinity);
+  return result;
+}
+
+// ---------------------- diff ----------------------
+
+function delta(before, after) {
+  return { before, after, delta: Number((after - before).toFixed(4)) };
+}
+
+function diffCounts(before = {}, after = {}) {
+  const out = {};
+  for (const value of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const d = delta(before[value] || 0, after[value] || 0);
+    if (d.delta) out[value] = d;
+  }
+  return out;
+}
+
+/** Changes from the previous report of a stage to the current one (only what changed). */
+function diffReports(prev, cur) {
+  if (!prev) return null;
+  const columns = {};
+  const before = prev.output.profile.columns;
+  for (const [name, c] of Object.entries(cur.output.profile.columns)) {
+    if (!before[name]) {
+      columns[name] = { added: true };
+      continue;
+    }
+    const rate = delta(before[name].emptyRate, c.emptyRate);
+    const mean = delta(before[name].length.mean, c.length.mean);
+    if (rate.delta || mean.delta) columns[name] = { emptyRate: rate, meanLength: mean };
+  }
+  for (const name of Object.keys(before)) if (!cur.output.profile.columns[name]) columns[name] = { removed: true };
+
+  const dist = {};
+  for (const name of Object.keys(cur.output.profile.distributions)) {
+    dist[name] = diffCounts(prev.output.profile.distributions[name], cur.output.profile.distributions[name]);
+  }
+  return {
+    previousCreatedAt: prev.createdAt,
+    inputRows: delta(prev.flow.inputRows, cur.flow.inputRows),
+    outputRows: delta(prev.output.profile.rows, cur.output.profile.rows),
+    dropped: delta(prev.flow.dropped, cur.flow.dropped),
+    duplicateRows: delta(prev.output.profile.duplicates.duplicateRows, cur.output.profile.duplicates.duplicateRows),
+    contentDuplicates: delta(prev.output.profile.duplicates.contentDuplicates, cur.output.profile.duplicates.contentDuplicates),
+    columns,
+    distributions: dist,
+  };
+}
+
+// ---------------------- HTML ----------------------
+
+const escapeHtml = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const pct = x => `${(x * 100).toFixed(1)}%`;
+const signed = n => (n > 0 ? `+${n}` : String(n));
+
+function bar(fraction) {
+  const w = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+  return `<span class="bar"><span style="width:${w}%"></span></span>`;
+}
+
+function distributionTable(title, counts, total, changes = {}) {
+  const rows = Object.entries(counts).map(([value, n]) => {
+    const d = changes[value] ? ` <small>(${signed(changes[value].delta)})</small>` : '';
+    return `<tr><td>${escapeHtml(value)}</td><td class="num">${n}${d}</td><td>${bar(total ? n / total : 0)}</td></tr>`;
+  }).join('');
+  return `<div class="dist"><h3>${escapeHtml(title)}</h3><table><tr><th>Value</th><th>Rows</th><th></th></tr>${rows}</table></div>`;
+}
+
+function renderHtml(report) {
+  const p = report.output.profile;
+  const diff = report.diff;
+  const input = report.inputs.map(i => i.profile);
+  const inputRate = name => {
+    const withCol = input.filter(ip => ip.columns[name]);
+    const rows = withCol.reduce((n, ip) => n + ip.rows, 0);
+    return rows ? withCol.reduce((n, ip) => n + ip.columns[name].empty, 0) / rows : null;
+  };
+  const bucketNames = Object.keys(Object.values(p.columns)[0]?.length.buckets || {});
+
+  const columnRows = Object.entries(p.columns).map(([name, c]) => {
+    const before = inputRate(name);
+    const change = diff?.columns[name]?.emptyRate ? ` <small>(${signed((diff.columns[name].emptyRate.delta * 100).toFixed(1))} pts)</small>` : '';
+    const buckets = bucketNames.map(b => `<td class="num">${c.length.buckets[b]}</td>`).join('');
+    return `<tr><td>${escapeHtml(name)}</td><td class="num">${before === null ? '–' : pct(before)}</td><td class="num">${pct(c.emptyRate)}${change}</td><td>${bar(c.emptyRate)}</td><td class="num">${c.length.mean}</td><td class="num">${c.length.max}</td>${buckets}</tr>`;
+  }).join('');
+
+  const dropped = report.flow;
+  const droppedEmpty = Object.entries(dropped.emptyColumns).map(([c, n]) => `<tr><td>${escapeHtml(c)}</td><td class="num">${n}</td><td>${bar(dropped.dropped ? n / dropped.dropped : 0)}</td></tr>`).join('');
+  const sampleCols = dropped.samples.length ? Object.keys(dropped.samples[0].row) : [];
+  const samples = dropped.samples.map(s => `<tr>${sampleCols.map(c => `<td${s.empty.includes(c) ? ' class="empty"' : ''}>${escapeHtml(s.row[c])}</td>`).join('')}</tr>`).join('');
+
+  const summary = [
+    ['Input rows', dropped.inputRows, diff?.inputRows],
+    ['Output rows', p.rows, diff?.outputRows],
+    ['Dropped', dropped.dropped, diff?.dropped],
+    [`Duplicate ${p.duplicates.keyColumn || 'key'}s (extra rows)`, p.duplicates.duplicateRows, diff?.duplicateRows],
+    ['Duplicate content (title + country + description)', p.duplicates.contentDuplicates, diff?.contentDuplicates],
+  ].map(([label, n, d]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${n}</td><td class="num">${d ? signed(d.delta) : ''}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<title>Stage ${escapeHtml(report.stage.id)} data quality</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin: .5em 0 1.5em; }
+th, td { border: 1px solid #ddd; padding: 3px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+td.empty { background: #fde8e8; }
+.bar { display: inline-block; width: 120px; height: 10px; background: #eee; }
+.bar span { display: block; height: 100%; background: #4a7bd0; }
+.dist { display: inline-block; vertical-align: top; margin-right: 2em; }
+small { color: #777; }
+.samples td { max-width: 300px; font-size: 12px; }
+</style></head><body>
+<h1>Stage ${escapeHtml(report.stage.id)}: ${escapeHtml(report.stage.script)}</h1>
+<p>${escapeHtml(report.createdAt)} — output <code>${escapeHtml(p.file)}</code>${diff ? `, compared with the run of ${escapeHtml(diff.previousCreatedAt)}` : ', no previous report'}</p>
+<table><tr><th></th><th>Rows</th><th>Change</th></tr>${summary}</table>
+<h2>Columns</h2>
+<table><tr><th>Column</th><th>Empty in input</th><th>Empty in output</th><th></th><th>Mean length</th><th>Max</th>${bucketNames.map(b => `<th>${escapeHtml(b)}</th>`).join('')}</tr>${columnRows}</table>
+<h2>Distributions</h2>
+${distributionTable('EQF level', p.distributions.eqf, p.rows, diff?.distributions.eqf)}
+${distributionTable('Country', p.distributions.country, p.rows, diff?.distributions.country)}
+${distributionTable('Language', p.distributions.language, p.rows, diff?.distributions.language)}
+<h2>Dropped records (${dropped.dropped})</h2>
+${dropped.keyed ? '' : '<p>The input has no recordId/uri column: dropped records cannot be identified.</p>'}
+<p>Columns that were empty in the dropped records:</p>
+<table><tr><th>Column</th><th>Dropped rows</th><th></th></tr>${droppedEmpty}</table>
+<h3>Samples</h3>
+<table class="samples"><tr>${sampleCols.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr>${samples}</table>
+</body></html>
+`;
+}
+
+// ---------------------- stage reports ----------------------
+
+/**
+ * Profile a pipeline stage (an entry of lib/pipeline.js STAGES) and write
+ * <reportDir>/stage-<id>.json and .html. The previous JSON report becomes stage-<id>.previous.json.
+ * Resolves to { report, jsonPath, htmlPath }.
+ */
+async function profileStage(stage, { root = process.cwd(), reportDir = path.join(root, REPORT_DIR) } = {}) {
+  const csvs = list => list.filter(p => p.endsWith('.csv')).map(p => path.join(root, p));
+  const outputFile = csvs(stage.outputs)[0];
+  if (!outputFile) throw new Error(`Stage ${stage.id} has no CSV output to profile`);
+  if (!fs.existsSync(outputFile)) throw new Error(`Output not found: ${outputFile}`);
+  const inputFiles = csvs(stage.inputs).filter(f => fs.existsSync(f));
+
+  const output = await profileCsv(outputFile, { keys: true });
+  const inputs = [];
+  for (const f of inputFiles) inputs.push({ file: f, profile: await profileCsv(f) });
+  const keyed = output.keySet.size > 0 && inputs.some(i => i.profile.roles.key);
+  const dropped = keyed ? await findDropped(inputFiles, output.keySet) : { rows: 0, emptyColumns: {}, samples: [], unkeyed: 0 };
+  const inputRows = inputs.reduce((n, i) => n + i.profile.rows, 0);
+
+  const report = {
+    stage: { id: stage.id, script: stage.script },
+    createdAt: new Date().toISOString(),
+    output: { file: outputFile, profile: output },
+    inputs,
+    flow: {
+      inputRows,
+      outputRows: output.rows,
+      keyed,
+      dropped: dropped.rows,
+      droppedRate: inputRows ? Number((dropped.rows / inputRows).toFixed(4)) : 0,
+      unkeyedInputRows: dropped.unkeyed,
+      emptyColumns: dropped.emptyColumns,
+      samples: dropped.samples,
+    },
+  };
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  const jsonPath = path.join(reportDir, `stage-${stage.id}.json`);
+  const htmlPath = path.join(reportDir, `stage-${stage.id}.html`);
+  let previous = null;
+  if (fs.existsSync(jsonPath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      fs.copyFileSync(jsonPath, path.join(reportDir, `stage-${stage.id}.previous.json`));
+    } catch {
+      previous = null; // unreadable old report: no diff
+    }
+  }
+  report.diff = diffReports(previous, report);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  fs.writeFileSync(htmlPath, renderHtml(report), 'utf8');
+  return { report, jsonPath, htmlPath };
+}
+
+/** One-line summary for the console. */
+function summarize(report) {
+  const { flow, output, diff } = report;
+  const d = diff ? ` (${signed(diff.outputRows.delta)} vs previous run)` : '';
+  return `${flow.inputRows} in → ${output.profile.rows} out${d}, ${flow.dropped} dropped, ${output.profile.duplicates.duplicateRows} duplicate ${output.profile.duplicates.keyColumn || 'key'}s`;
+}
+
+module.exports = {
+  REPORT_DIR,
+  profileCsv,
+  findDropped,
+  diffReports,
+  renderHtml,
+  profileStage,
+  summarize,
+};
@@ -0,0 +1,92 @@
+// lib/provenance.js
+// Record identity and lineage columns carried by every CSV from the extractors (03, 300, 310)
+// through the filter/clean stages to europass_combined.csv:
+//   recordId   stable ID, a hash of the Europass URI (same record -> same ID on every run)
+//   uri        the Europass record URI, i.e. the key in the record store
+//   fetchedAt  when the raw JSON was last fetched (record store index)
+//   stages     every stage that touched the row, oldest first: "21scraper_qualifications@3f2a9c1d > 310extract_qualifications@..."
+// A stage's version is a hash of its script source, so a row says exactly which code produced it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROVENANCE_COLUMNS = ['recordId', 'uri', 'fetchedAt', 'stages'];
+const STAGE_SEPARATOR = ' > ';
+
+function normalizeUri(uri) {
+  return String(uri || '').trim().replace(/\/+$/, '');
+}
+
+/** Stable 16-hex-char ID for a Europass URI. */
+function recordId(uri) {
+  const u = normalizeUri(uri);
+  if (!u) return '';
+  return crypto.createHash('sha256').update(u).digest('hex').slice(0, 16);
+}
+
+const tagCache = new Map();
+
+/** "<script name>@<first 8 hex of sha256(source)>" for a stage script (pass __filename). */
+function stageTag(scriptPath) {
+  if (!tagCache.has(scriptPath)) {
+    const name = path.basename(scriptPath, '.js');
+    let version = 'unknown';
+    try {
+      version = crypto.createHash('sha256').update(fs.readFileSync(scriptPath)).digest('hex').slice(0, 8);
+    } catch { /* keep 'unknown' */ }
+    tagCache.set(scriptPath, `${name}@${version}`);
+  }
+  return tagCache.get(scriptPath);
+}
+
+/** Append `tag` to a stages string (a stage re-run back to back is only listed once). */
+function appendStage(stages, tag) {
+  const list = String(stages || '').split(STAGE_SEPARATOR).filter(Boolean);
+  if (list[list.length - 1] !== tag) list.push(tag);
+  return list.join(STAGE_SEPARATOR);
+}
+
+/**
+ * Provenance cells for a record read from the record store ({ uri, fetchedAt, meta }),
+ * extracted by the stage `tag`. meta.stage is the fetch stage recorded by the scraper.
+ */
+function fromRecord({ uri, fetchedAt, meta }, tag) {
+  return {
+    recordId: recordId(uri),
+    uri: normalizeUri(uri),
+    fetchedAt: fetchedAt || '',
+    stages: appendStage(meta?.stage, tag),
+  };
+}
+
+/**
+ * For CSV -> CSV stages: record that `tag` touched this row. Rows from files written before
+ * provenance existed have no stages column and are left alone.
+ */
+function touch(row, tag) {
+  if (row && Object.prototype.hasOwnProperty.call(row, 'stages')) row.stages = appendStage(row.stages, tag);
+  return row;
+}
+
+/** `columns` followed by the provenance columns it doesn't already have (extractor headers). */
+function withProvenanceColumns(columns) {
+  return [...columns, ...PROVENANCE_COLUMNS.filter(c => !columns.includes(c))];
+}
+
+/** Provenance columns a header row is missing. */
+function missingProvenance(headers) {
+  return PROVENANCE_COLUMNS.filter(c => !headers.includes(c));
+}
+
+module.exports = {
+  PROVENANCE_COLUMNS,
+  STAGE_SEPARATOR,
+  recordId,
+  stageTag,
+  appendStage,
+  fromRecord,
+  touch,
+  withProvenanceColumns,
+  missingProvenance,
+};
@@ -0,0 +1,306 @@
+// lib/qdrClient.js
+// Shared HTTP client for the Europass QDR API, used by every fetch stage (00, 02, 10–12, 20, 21).
+// One retry policy for everyone:
+//   - network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff + jitter
+//   - 429/503 responses honour Retry-After (seconds or HTTP date)
+//   - any other 4xx fails immediately (a 404 will not get better by asking again)
+// Requests go through a pluggable rate limiter and a per-host concurrency cap.
+// Node 18+ (global fetch) required.
+//
+// Environment overrides (handy for pointing stages at a local mock server):
+//   QDR_BASE_URL     default https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search
+//   QDR_RESOURCE_BASE_URL  replaces "http://data.europa.eu" when record URIs are fetched directly
+//   QDR_API_VERSION  default 1.8
+//   QDR_TIMEOUT_MS, QDR_MAX_RETRIES, QDR_MAX_RPS
+
+const DEFAULT_BASE_URL = 'https://europa.eu/europass/eportfolio/api/qdr/europass/qdr-search';
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+const DEFAULT_HEADERS = {
+  Accept: 'application/json, text/plain, */*',
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
+  'Accept-Language': 'en-US,en;q=0.9',
+  Referer: 'https://europa.eu/',
+  Origin: 'https://europa.eu',
+};
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function envNumber(name, def) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && process.env[name] !== '' ? v : def;
+}
+
+// ---------------------- ERRORS ----------------------
+
+class QdrError extends Error {
+  constructor(message, { url, attempts, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.attempts = attempts;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** Non-2xx response. `body` holds the (parsed if possible) response body. */
+class QdrHttpError extends QdrError {
+  constructor(status, statusText, { url, body, retryAfterMs } = {}) {
+    super(`HTTP ${status} ${statusText || ''}`.trim(), { url });
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+}
+
+class QdrTimeoutError extends QdrError {}
+
+class QdrNetworkError extends QdrError {}
+
+/** 2xx response whose body is not JSON. `body` holds the raw text. */
+class QdrParseError extends QdrError {
+  constructor(message, { url, body } = {}) {
+    super(message, { url });
+    this.body = body;
+  }
+}
+
+function isRetryable(err) {
+  if (err instanceof QdrTimeoutError || err instanceof QdrNetworkError) return true;
+  if (err instanceof QdrHttpError) return err.status === 408 || err.status === 429 || err.status >= 500;
+  return false;
+}
+
+/** Retry-After header -> milliseconds (null if absent/unparseable). */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// ---------------------- RATE LIMITING & CONCURRENCY ----------------------
+
+/**
+ * Token bucket limiter (requests/sec across the whole client).
+ * Any object with an async `acquire()` can be passed instead via `rateLimiter`.
+ */
+class TokenBucket {
+  constructor(ratePerSec, burst = ratePerSec) {
+    this.rate = ratePerSec;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+  async acquire() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+}
+
+class Semaphore {
+  constructor(max) {
+    this.max = max;
+    this.current = 0;
+    this.waiters = [];
+  }
+  async acquire() {
+    if (this.current < this.max) {
+      this.current += 1;
+      return;
+    }
+    // release() hands its slot straight to us, so `current` is not touched here
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+  release() {
+    const next = this.waiters.shift();
+    if (next) next();
+    else this.current -= 1;
+  }
+}
+
+// ---------------------- CLIENT ----------------------
+
+class QdrClient {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.baseUrl]              QDR search API root
+   * @param {string} [opts.resourceBaseUrl]      host that record URIs (http://data.europa.eu/...) resolve to
+   * @param {string} [opts.version]              API version query param
+   * @param {number} [opts.timeoutMs]            per-attempt timeout (headers + body)
+   * @param {number} [opts.maxRetries]           retries after the first attempt
+   * @param {number} [opts.backoffMs]            base delay for exponential backoff
+   * @param {number} [opts.maxBackoffMs]         cap for a single backoff delay
+   * @param {number} [opts.maxRps]               requests/sec for the default token bucket (0 = unlimited)
+   * @param {{acquire: Function}|null} [opts.rateLimiter]  custom limiter, overrides maxRps
+   * @param {number} [opts.maxConcurrentPerHost] in-flight requests per host
+   * @param {object} [opts.headers]              extra/override request headers
+   * @param {Function} [opts.onRetry]            ({ url, attempt, delayMs, error }) => void
+   */
+  constructor(opts = {}) {
+    this.baseUrl = (opts.baseUrl || process.env.QDR_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.resourceBaseUrl = (opts.resourceBaseUrl || process.env.QDR_RESOURCE_BASE_URL || '').replace(/\/+$/, '');
+    this.version = opts.version || process.env.QDR_API_VERSION || '1.8';
+    this.timeoutMs = opts.timeoutMs ?? envNumber('QDR_TIMEOUT_MS', 30000);
+    this.maxRetries = opts.maxRetries ?? envNumber('QDR_MAX_RETRIES', 3);
+    this.backoffMs = opts.backoffMs ?? 800;
+    this.maxBackoffMs = opts.maxBackoffMs ?? 60000;
+    this.headers = { ...DEFAULT_HEADERS, ...(opts.headers || {}) };
+    this.onRetry = opts.onRetry || null;
+
+    const rps = opts.maxRps ?? envNumber('QDR_MAX_RPS', 0);
+    this.rateLimiter = opts.rateLimiter !== undefined
+      ? opts.rateLimiter
+      : (rps > 0 ? new TokenBucket(rps) : null);
+
+    this.maxConcurrentPerHost = opts.maxConcurrentPerHost ?? 10;
+    this.hostSlots = new Map();
+  }
+
+  slotFor(url) {
+    const host = new URL(url).host;
+    if (!this.hostSlots.has(host)) this.hostSlots.set(host, new Semaphore(this.maxConcurrentPerHost));
+    return this.hostSlots.get(host);
+  }
+
+  backoffFor(attempt, err) {
+    if (err instanceof QdrHttpError && err.retryAfterMs != null) {
+      return Math.min(err.retryAfterMs, MAX_RETRY_AFTER_MS);
+    }
+    const exp = Math.min(this.backoffMs * Math.pow(2, attempt), this.maxBackoffMs);
+    return exp + Math.random() * 250;
+  }
+
+  /** One attempt: returns { status, headers, text } or throws a QdrError. */
+  async attempt(url) {
+    const slot = this.slotFor(url);
+    await slot.acquire();
+    let timer = null;
+    const ac = new AbortController();
+    try {
+      if (this.rateLimiter) await this.rateLimiter.acquire();
+      timer = setTimeout(() => ac.abort(), this.timeoutMs);
+      const res = await fetch(url, { method: 'GET', headers: this.headers, signal: ac.signal });
+      const text = await res.text();
+
+      if (!res.ok) {
+        let body = text.slice(0, 2000);
+        try { body = JSON.parse(text); } catch {}
+        throw new QdrHttpError(res.status, res.statusText, {
+          url,
+          body,
+          retryAfterMs: parseRetryAfter(res.headers.get('retry-after')),
+        });
+      }
+      return { status: res.status, headers: res.headers, text };
+    } catch (err) {
+      if (err instanceof QdrError) throw err;
+      if (ac.signal.aborted) {
+        throw new QdrTimeoutError(`Timed out after ${this.timeoutMs}ms`, { url, cause: err });
+      }
+      throw new QdrNetworkError(err?.cause?.code || err?.message || String(err), { url, cause: err });
+    } finally {
+      clearTimeout(timer);
+      slot.release();
+    }
+  }
+
+  /** GET with the shared retry policy. Resolves to { status, headers, text }. */
+  async get(url) {
+    let lastErr;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.attempt(url);
+      } catch (err) {
+        lastErr = err;
+        err.attempts = attempt + 1;
+        if (!isRetryable(err) || attempt === this.maxRetries) throw err;
+        const delayMs = this.backoffFor(attempt, err);
+        if (this.onRetry) this.onRetry({ url, attempt: attempt + 1, delayMs, error: err });
+        await sleep(delayMs);
+      }
+    }
+    throw lastErr;
+  }
+
+  /** GET and parse JSON; throws QdrParseError when the body is not JSON. */
+  async getJson(url) {
+    const { text } = await this.get(url);
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new QdrParseError('Response is not JSON', { url, body: text });
+    }
+  }
+
+  searchUrl({ type, from = 0, size = 10, language = 'en', country, eqfLevel, keywords = '', sortType = 'publication date' }) {
+    const params = new URLSearchParams({
+      keywords,
+      size: String(size),
+      from: String(from),
+      sortType,
+      language,
+      type,
+    });
+    if (country) params.set('location', `http://publications.europa.eu/resource/authority/country/${country}`);
+    if (eqfLevel) params.set('eqfLevel', `http://data.europa.eu/snb/eqf/${eqfLevel}`);
+    params.set('version', this.version);
+    return `${this.baseUrl}/search?${params.toString()}`;
+  }
+
+  detailUrl(kind, uri, { language = 'en' } = {}) {
+    const params = new URLSearchParams({ uri, language, version: this.version });
+    return `${this.baseUrl}/${kind}?${params.toString()}`;
+  }
+
+  /** URL to GET a record URI directly (rewritten to resourceBaseUrl when one is configured). */
+  resourceUrl(uri) {
+    if (!this.resourceBaseUrl) return uri;
+    return String(uri).replace(/^https?:\/\/data\.europa\.eu/, this.resourceBaseUrl);
+  }
+
+  /** One search page (type: "qualification" | "learning-opportunity"). */
+  search(params) {
+    return this.getJson(this.searchUrl(params));
+  }
+
+  qualification(uri, opts) {
+    return this.getJson(this.detailUrl('qualification', uri, opts));
+  }
+
+  learningOpportunity(uri, opts) {
+    return this.getJson(this.detailUrl('learning-opportunity', uri, opts));
+  }
+}
+
+function createClient(opts) {
+  return new QdrClient(opts);
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  QdrClient,
+  createClient,
+  TokenBucket,
+  QdrError,
+  QdrHttpError,
+  QdrTimeoutError,
+  QdrNetworkError,
+  QdrParseError,
+  isRetryable,
+  parseRetryAfter,
+};
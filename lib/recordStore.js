@@ -0,0 +1,404 @@
+// lib/recordStore.js
+// Append-only, content-addressed store for raw QDR records. Replaces the one-JSON-file-per-record
+// layout (qualificationData/<COUNTRY>/<ID>.json, json_qualifications/<UUID>.json, ...), so the
+// extractors stream a handful of large files instead of opening 100k+ small ones.
+//
+// Layout of a store directory:
+//   segment-000001.ndjson ...  record versions, one JSON line each:
+//                              { seq, uri, lang, hash, fetchedAt, meta, data }
+//   index.ndjson               one line per write, replayed on open (last line per key wins):
+//                              { seq, dataSeq, uri, lang, hash, fetchedAt, firstFetchedAt, changedAt,
+//                                seg, offset, length, meta }  or  { seq, uri, lang, deleted, reason, ... }
+//
+// Records are keyed by (uri, lang); lang is null for documents that are not language-specific
+// (02 fetches the multilingual data.europa.eu resource). Storing content whose hash equals the
+// current version only appends an index line with the new fetchedAt, so revalidation costs no
+// data space. Segments roll over at SEGMENT_BYTES. A crash between the data and the index write
+// is repaired on open by re-indexing the unindexed tail of the last segment.
+//
+// CLI:
+//   node lib/recordStore.js import <legacyDir> <storeDir> [lang]   load loose *.json files into a store
+//                    (lang: language of the plain <id>.json files, e.g. "en" for 20/21 output;
+//                     omit it for qualificationData/)
+//   node lib/recordStore.js stats <storeDir>
+//   node lib/recordStore.js get <storeDir> <uri> [lang]
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+const { contentHash } = require('./deltaSync');
+const { isLanguageVariantFile } = require('./languages');
+
+const SEGMENT_BYTES = 256 * 1024 * 1024;
+const INDEX_FILE = 'index.ndjson';
+const SEGMENT_RE = /^segment-(\d{6})\.ndjson$/;
+
+function segmentName(n) {
+  return `segment-${String(n).padStart(6, '0')}.ndjson`;
+}
+
+function langKey(lang) {
+  return lang == null ? '' : String(lang);
+}
+
+async function* readLines(filePath) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+  for await (const line of rl) {
+    if (line.trim()) yield line;
+  }
+}
+
+class RecordStore {
+  /**
+   * @param {string} dir
+   * @param {object} [opts]
+   * @param {number} [opts.segmentBytes]  roll over to a new segment beyond this size
+   */
+  constructor(dir, { segmentBytes = SEGMENT_BYTES } = {}) {
+    this.dir = path.resolve(dir);
+    this.segmentBytes = segmentBytes;
+    this.entries = new Map(); // uri -> Map(langKey -> index entry)
+    this.seq = 0;
+    this.segments = [];
+    this.writeLock = Promise.resolve();
+    this.readHandles = new Map();
+    this.segFh = null;
+    this.indexFh = null;
+  }
+
+  static async open(dir, opts) {
+    const store = new RecordStore(dir, opts);
+    await store.load();
+    return store;
+  }
+
+  async load() {
+    await fsp.mkdir(this.dir, { recursive: true });
+    const indexedEnd = new Map(); // seg -> end offset of the last indexed data line
+
+    const indexPath = path.join(this.dir, INDEX_FILE);
+    if (fs.existsSync(indexPath)) {
+      for await (const line of readLines(indexPath)) {
+        let e;
+        try { e = JSON.parse(line); } catch { continue; } // torn last line after a crash
+        this.setEntry(e);
+        this.seq = Math.max(this.seq, e.seq || 0);
+        if (e.seg) indexedEnd.set(e.seg, Math.max(indexedEnd.get(e.seg) || 0, e.offset + e.length));
+      }
+    }
+
+    this.segments = (await fsp.readdir(this.dir))
+      .map(n => n.match(SEGMENT_RE))
+      .filter(Boolean)
+      .map(m => Number(m[1]))
+      .sort((a, b) => a - b);
+    if (!this.segments.length) this.segments.push(1);
+    this.currentSeg = this.segments[this.segments.length - 1];
+
+    const segPath = this.segmentPath(this.currentSeg);
+    this.size = fs.existsSync(segPath) ? (await fsp.stat(segPath)).size : 0;
+    this.segFh = await fsp.open(segPath, 'a');
+    this.indexFh = await fsp.open(indexPath, 'a');
+    await this.recoverTail(indexedEnd.get(this.currentSeg) || 0);
+    return this;
+  }
+
+  // Data lines written after the last index line (crash in between) get indexed now;
+  // a partial last line is cut off.
+  async recoverTail(from) {
+    if (this.size <= from) return;
+    const fh = await fsp.open(this.segmentPath(this.currentSeg), 'r');
+    const buf = Buffer.alloc(this.size - from);
+    await fh.read(buf, 0, buf.length, from);
+    await fh.close();
+
+    let offset = from;
+    let start = 0;
+    let recovered = 0;
+    for (let nl = buf.indexOf(10); nl !== -1; nl = buf.indexOf(10, start)) {
+      const length = nl + 1 - start;
+      try {
+        const rec = JSON.parse(buf.toString('utf8', start, nl));
+        const prev = this.getEntry(rec.uri, rec.lang);
+        await this.appendIndex(this.dataEntry(rec, prev, offset, length, this.currentSeg));
+        this.seq = Math.max(this.seq, rec.seq);
+        recovered++;
+      } catch {
+        break;
+      }
+      offset += length;
+      start = nl + 1;
+    }
+    if (offset < this.size) {
+      await this.segFh.truncate(offset);
+      this.size = offset;
+    }
+    if (recovered) console.warn(`⚠️ recordStore ${this.dir}: re-indexed ${recovered} record(s) after an interrupted write`);
+  }
+
+  segmentPath(n) {
+    return path.join(this.dir, segmentName(n));
+  }
+
+  getEntry(uri, lang) {
+    return this.entries.get(uri)?.get(langKey(lang)) || null;
+  }
+
+  setEntry(e) {
+    let byLang = this.entries.get(e.uri);
+    if (!byLang) {
+      byLang = new Map();
+      this.entries.set(e.uri, byLang);
+    }
+    byLang.set(langKey(e.lang), e);
+  }
+
+  dataEntry(rec, prev, offset, length, seg) {
+    const live = prev && !prev.deleted ? prev : null;
+    const e = {
+      seq: rec.seq,
+      dataSeq: rec.seq,
+      uri: rec.uri,
+      lang: rec.lang ?? null,
+      hash: rec.hash,
+      fetchedAt: rec.fetchedAt,
+      firstFetchedAt: live?.firstFetchedAt || rec.fetchedAt,
+      changedAt: rec.fetchedAt,
+      seg,
+      offset,
+      length,
+    };
+    if (rec.meta) e.meta = rec.meta;
+    return e;
+  }
+
+  async appendIndex(e) {
+    await this.indexFh.write(JSON.stringify(e) + '\n');
+    this.setEntry(e);
+  }
+
+  serialize(fn) {
+    const run = this.writeLock.then(fn);
+    this.writeLock = run.catch(() => {});
+    return run;
+  }
+
+  async rollSegment() {
+    await this.segFh.close();
+    this.currentSeg += 1;
+    this.segments.push(this.currentSeg);
+    this.segFh = await fsp.open(this.segmentPath(this.currentSeg), 'a');
+    this.size = 0;
+  }
+
+  /** Live (not deleted) index entry for (uri, lang), or null. */
+  meta(uri, { lang = null } = {}) {
+    const e = this.getEntry(uri, lang);
+    return e && !e.deleted ? e : null;
+  }
+
+  has(uri, opts) {
+    return this.meta(uri, opts) !== null;
+  }
+
+  /**
+   * Store one fetched document. Resolves to { isNew, changed, hash, previousHash }:
+   * isNew for a first (or post-deletion) fetch, changed when the content hash differs from the
+   * stored version. Unchanged content only refreshes fetchedAt.
+   */
+  put(uri, data, { lang = null, meta, fetchedAt = new Date().toISOString() } = {}) {
+    return this.serialize(async () => {
+      const prev = this.meta(uri, { lang });
+      const hash = contentHash(data);
+
+      if (prev && prev.hash === hash) {
+        const e = { ...prev, seq: ++this.seq, fetchedAt };
+        if (meta) e.meta = meta;
+        await this.appendIndex(e);
+        return { isNew: false, changed: false, hash, previousHash: hash };
+      }
+
+      const rec = { seq: ++this.seq, uri, lang, hash, fetchedAt };
+      if (meta) rec.meta = meta;
+      rec.data = data;
+      const buf = Buffer.from(JSON.stringify(rec) + '\n', 'utf8');
+      if (this.size > 0 && this.size + buf.length > this.segmentBytes) await this.rollSegment();
+      const offset = this.size;
+      await this.segFh.write(buf);
+      this.size += buf.length;
+      await this.appendIndex(this.dataEntry(rec, prev, offset, buf.length, this.currentSeg));
+      return { isNew: !prev, changed: !!prev, hash, previousHash: prev?.hash || null };
+    });
+  }
+
+  /**
+   * Mark a record as gone (all languages unless `lang` is given). Its data stays in the
+   * segments; only the index stops pointing at it.
+   */
+  remove(uri, { lang, reason } = {}) {
+    return this.serialize(async () => {
+      const byLang = this.entries.get(uri);
+      if (!byLang) return 0;
+      const targets = lang === undefined ? [...byLang.values()] : [byLang.get(langKey(lang))];
+      let removed = 0;
+      for (const prev of targets) {
+        if (!prev || prev.deleted) continue;
+        await this.appendIndex({
+          seq: ++this.seq,
+          uri,
+          lang: prev.lang,
+          deleted: true,
+          reason: reason || null,
+          deletedAt: new Date().toISOString(),
+          lastHash: prev.hash,
+        });
+        removed++;
+      }
+      return removed;
+    });
+  }
+
+  async readHandle(seg) {
+    if (!this.readHandles.has(seg)) this.readHandles.set(seg, await fsp.open(this.segmentPath(seg), 'r'));
+    return this.readHandles.get(seg);
+  }
+
+  /** Current document for (uri, lang), or null. */
+  async get(uri, { lang = null } = {}) {
+    const e = this.meta(uri, { lang });
+    if (!e) return null;
+    const fh = await this.readHandle(e.seg);
+    const buf = Buffer.alloc(e.length);
+    await fh.read(buf, 0, e.length, e.offset);
+    return JSON.parse(buf.toString('utf8')).data;
+  }
+
+  /** Live index entries, optionally restricted to one language. */
+  *entriesFor({ lang } = {}) {
+    for (const byLang of this.entries.values()) {
+      for (const e of byLang.values()) {
+        if (e.deleted) continue;
+        if (lang !== undefined && langKey(e.lang) !== langKey(lang)) continue;
+        yield e;
+      }
+    }
+  }
+
+  /** Live entries whose content changed (or first appeared) at or after `since` (ISO string or Date). */
+  *changedSince(since, opts) {
+    const t = new Date(since).getTime();
+    for (const e of this.entriesFor(opts)) {
+      if (Date.parse(e.changedAt) >= t) yield e;
+    }
+  }
+
+  /**
+   * Stream the current version of every live record in storage order:
+   * yields { uri, lang, hash, fetchedAt, meta, data }. Pass `lang` to restrict to one language.
+   */
+  async *iterate({ lang } = {}) {
+    await this.writeLock;
+    for (const seg of this.segments) {
+      const segPath = this.segmentPath(seg);
+      if (!fs.existsSync(segPath)) continue;
+      for await (const line of readLines(segPath)) {
+        let rec;
+        try { rec = JSON.parse(line); } catch { continue; }
+        if (lang !== undefined && langKey(rec.lang) !== langKey(lang)) continue;
+        const e = this.meta(rec.uri, { lang: rec.lang });
+        if (!e || e.dataSeq !== rec.seq) continue; // superseded or deleted
+        yield { uri: rec.uri, lang: e.lang, hash: e.hash, fetchedAt: e.fetchedAt, meta: e.meta, data: rec.data };
+      }
+    }
+  }
+
+  stats() {
+    let records = 0;
+    let deleted = 0;
+    for (const byLang of this.entries.values()) {
+      for (const e of byLang.values()) e.deleted ? deleted++ : records++;
+    }
+    return { dir: this.dir, uris: this.entries.size, records, deleted, segments: this.segments.length };
+  }
+
+  async close() {
+    await this.writeLock;
+    for (const fh of this.readHandles.values()) await fh.close();
+    this.readHandles.clear();
+    if (this.segFh) await this.segFh.close();
+    if (this.indexFh) await this.indexFh.close();
+    this.segFh = this.indexFh = null;
+  }
+}
+
+function openStore(dir, opts) {
+  return RecordStore.open(dir, opts);
+}
+
+// ---------------------- CLI ----------------------
+
+async function* walkJson(dir) {
+  for (const ent of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, ent.name);
+    if (ent.isDirectory()) yield* walkJson(full);
+    else if (ent.isFile() && ent.name.endsWith('.json') && !ent.name.endsWith('.error.json')) yield full;
+  }
+}
+
+// Loose files -> store. <id>.<lang>.json become language variants; for the country-folder
+// layout of qualificationData/ the folder name is kept as meta.country.
+async function importLegacy(legacyDir, storeDir, primaryLang = null) {
+  const root = path.resolve(legacyDir);
+  const store = await openStore(storeDir);
+  let imported = 0;
+  let skipped = 0;
+  for await (const file of walkJson(root)) {
+    let data;
+    try { data = JSON.parse(await fsp.readFile(file, 'utf8')); } catch { skipped++; continue; }
+    const name = path.basename(file);
+    const lang = isLanguageVariantFile(name) ? name.split('.').slice(-2)[0] : primaryLang;
+    const uri = data?.uri || data?.['@id'] || data?.id;
+    if (!uri) { skipped++; continue; }
+    const parent = path.dirname(file);
+    const meta = parent !== root ? { country: path.basename(parent) } : undefined;
+    const { mtime } = await fsp.stat(file);
+    await store.put(uri, data, { lang, meta, fetchedAt: mtime.toISOString() });
+    if (++imported % 10000 === 0) console.log(`  … ${imported} imported`);
+  }
+  await store.close();
+  console.log(`✅ Imported ${imported} record(s) into ${store.dir} (${skipped} skipped: unreadable or no uri)`);
+}
+
+if (require.main === module) {
+  const [cmd, a, b, c] = process.argv.slice(2);
+  const usage = 'Usage: node lib/recordStore.js <import <legacyDir> <storeDir> [lang] | stats <storeDir> | get <storeDir> <uri> [lang]>';
+  (async () => {
+    if (cmd === 'import' && a && b) return importLegacy(a, b, c || null);
+    if (cmd === 'stats' && a) {
+      const store = await openStore(a);
+      console.log(JSON.stringify(store.stats(), null, 2));
+      return store.close();
+    }
+    if (cmd === 'get' && a && b) {
+      const store = await openStore(a);
+      const doc = await store.get(b, { lang: c ?? null });
+      console.log(JSON.stringify(doc ? { ...store.meta(b, { lang: c ?? null }), data: doc } : null, null, 2));
+      return store.close();
+    }
+    console.error(usage);
+    process.exitCode = 1;
+  })().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SEGMENT_BYTES,
+  RecordStore,
+  openStore,
+};
@@ -0,0 +1,174 @@
+// lib/schema.js
+// Canonical schema of the combined Europass dataset (europass_combined.csv) and the mapping
+// from each source CSV's headers onto it. Used by 500mergeSharing.js.
+//
+// Sources are recognised by their headers, not by file name or argument order:
+//   learningOpportunity  303 output, learning_opportunities_nomore.csv
+//   qualification        312 output, final_qualifications.csv (also after 400 cleaning)
+// A file that already has the canonical columns (incl. recordType) passes through unchanged.
+// The provenance columns (lib/provenance.js), the cluster columns of the dedup stage
+// (350, lib/nearDuplicates.js), the language columns (360, lib/languageDetect.js) and the
+// translation columns (370, lib/translators.js) are carried through under their own names.
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const { PROVENANCE_COLUMNS, appendStage } = require('./provenance');
+const { DEDUP_COLUMNS } = require('./nearDuplicates');
+const { LANGUAGE_COLUMNS } = require('./languageDetect');
+const { TRANSLATION_COLUMNS } = require('./translators');
+
+const CANONICAL_COLUMNS = [
+  'recordType',
+  'title',
+  'country',
+  'eqfLevel',
+  'eqfLevelNum',
+  'description',
+  'learningOutcomes',
+  ...LANGUAGE_COLUMNS,
+  ...TRANSLATION_COLUMNS,
+  ...DEDUP_COLUMNS,
+  ...PROVENANCE_COLUMNS,
+];
+
+// columns every source carries under their canonical name
+const SHARED_MAPPING = Object.fromEntries([...LANGUAGE_COLUMNS, ...TRANSLATION_COLUMNS, ...DEDUP_COLUMNS, ...PROVENANCE_COLUMNS].map(c => [c, c]));
+
+// source header -> canonical column
+const SOURCE_MAPPINGS = {
+  learningOpportunity: {
+    title: 'title',
+    'countryCode.prefLabel': 'country',
+    EQFLevel_prefLabel: 'eqfLevel',
+    EQFLevel_numeric: 'eqfLevelNum',
+    'learningOutcomeSummary.noteLiteral': 'description',
+    learningOutcome_additionalNote: 'learningOutcomes',
+    ...SHARED_MAPPING,
+  },
+  qualification: {
+    qualificationName: 'title',
+    country: 'country',
+    qualificationLevel: 'eqfLevel',
+    qualificationLevelNum: 'eqfLevelNum',
+    description: 'description',
+    learningOutcomes: 'learningOutcomes',
+    ...SHARED_MAPPING,
+  },
+};
+
+const RECORD_TYPES = Object.keys(SOURCE_MAPPINGS);
+
+class SchemaError extends Error {
+  constructor(message, { file, unmapped } = {}) {
+    super(message);
+    this.name = 'SchemaError';
+    this.file = file;
+    this.unmapped = unmapped || [];
+  }
+}
+
+/**
+ * Work out which source a header row belongs to and how its columns map.
+ * Returns { recordType, mapping, missing } (recordType null for canonical input, whose rows
+ * carry their own); throws SchemaError for unknown/ambiguous sources and unmapped columns.
+ */
+function resolveHeaders(headers, { file } = {}) {
+  const cols = headers.map(h => String(h).replace(/^﻿/, '').trim());
+
+  if (cols.includes('recordType')) {
+    const unmapped = cols.filter(c => !CANONICAL_COLUMNS.includes(c));
+    if (unmapped.length) {
+      throw new SchemaError(`${file || 'input'}: columns not in the canonical schema: ${unmapped.join(', ')}`, { file, unmapped });
+    }
+    const mapping = Object.fromEntries(cols.map(c => [c, c]));
+    return { recordType: null, mapping, missing: CANONICAL_COLUMNS.filter(c => !cols.includes(c)) };
+  }
+
+  // the source whose mapping explains the most columns; ties are ambiguous
+  // (provenance and cluster columns are shared by every source, so they don't count)
+  const scored = RECORD_TYPES
+    .map(type => ({ type, hits: cols.filter(c => c in SOURCE_MAPPINGS[type] && !(c in SHARED_MAPPING)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  const [best, second] = scored;
+  if (!best.hits) {
+    throw new SchemaError(`${file || 'input'}: headers match no known record type (${RECORD_TYPES.join(', ')}): ${cols.join(', ')}`, { file, unmapped: cols });
+  }
+  if (second && second.hits === best.hits) {
+    throw new SchemaError(`${file || 'input'}: headers are ambiguous between ${best.type} and ${second.type}`, { file });
+  }
+
+  const sourceMapping = SOURCE_MAPPINGS[best.type];
+  const unmapped = cols.filter(c => !(c in sourceMapping));
+  if (unmapped.length) {
+    throw new SchemaError(
+      `${file || 'input'}: ${best.type} columns without a canonical mapping: ${unmapped.join(', ')} ` +
+      '(add them to SOURCE_MAPPINGS in lib/schema.js or drop them upstream)',
+      { file, unmapped }
+    );
+  }
+  const mapping = Object.fromEntries(cols.map(c => [c, sourceMapping[c]]));
+  const mapped = new Set(Object.values(mapping));
+  return {
+    recordType: best.type,
+    mapping,
+    missing: CANONICAL_COLUMNS.filter(c => c !== 'recordType' && !mapped.has(c)),
+  };
+}
+
+/**
+ * Source row (object keyed by source headers) -> array of values in CANONICAL_COLUMNS order.
+ * `stage` (a lib/provenance.js stage tag) is appended to the row's stages.
+ */
+function toCanonical(row, { recordType, mapping }, { stage } = {}) {
+  const out = Object.fromEntries(CANONICAL_COLUMNS.map(c => [c, '']));
+  for (const [src, dest] of Object.entries(mapping)) {
+    const key = Object.prototype.hasOwnProperty.call(row, src) ? src : `﻿${src}`;
+    if (row[key] != null) out[dest] = row[key];
+  }
+  if (recordType) out.recordType = recordType;
+  if (stage && out.uri) out.stages = appendStage(out.stages, stage);
+  return CANONICAL_COLUMNS.map(c => out[c]);
+}
+
+/**
+ * Stream any input 500 accepts (canonical or a source CSV) as canonical record objects
+ * ({ recordType, title, ..., recordId, uri, fetchedAt, stages }). Header problems reject with SchemaError.
+ */
+async function* readCanonicalRecords(file) {
+  const parser = fs.createReadStream(file, { encoding: 'utf8' }).pipe(csv());
+  let source = null;
+  parser.once('headers', headers => {
+    try {
+      source = resolveHeaders(headers, { file });
+    } catch (err) {
+      parser.destroy(err);
+    }
+  });
+  for await (const row of parser) {
+    const values = toCanonical(row, source);
+    yield Object.fromEntries(CANONICAL_COLUMNS.map((c, i) => [c, values[i]]));
+  }
+}
+
+/**
+ * Source column per canonical column (title, country, description, ...) for a header row, as the
+ * in-place stages (350-390) need it: { recordType, roles }. The first source column wins when
+ * several map onto the same canonical column. Header problems throw SchemaError.
+ */
+function columnRoles(headers, { file } = {}) {
+  const { recordType, mapping } = resolveHeaders(headers, { file });
+  const roles = {};
+  for (const [src, canonical] of Object.entries(mapping)) if (!(canonical in roles)) roles[canonical] = src;
+  return { recordType, roles };
+}
+
+module.exports = {
+  CANONICAL_COLUMNS,
+  SOURCE_MAPPINGS,
+  RECORD_TYPES,
+  SchemaError,
+  resolveHeaders,
+  toCanonical,
+  readCanonicalRecords,
+  columnRoles,
+};
@@ -0,0 +1,181 @@
+// lib/searchIndex.js
+// In-memory full-text index over canonical records (lib/schema.js) for the search server.
+// Ranking is BM25 over title (weighted), description and learningOutcomes, using the same
+// tokenizer as the similarity stage (lib/textVectors.js). All query terms must match.
+// Filters (country, EQF level, record type) and facet counts work on exact column values.
+
+const { tokenize } = require('./textVectors');
+
+const FIELD_WEIGHTS = { title: 3, description: 1, learningOutcomes: 1 };
+const FACETS = { country: 'country', eqfLevel: 'eqfLevelNum', recordType: 'recordType' };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 240;
+
+const norm = v => String(v ?? '').trim().toLowerCase();
+
+function snippet(text) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > SNIPPET_LENGTH ? s.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '') + '…' : s;
+}
+
+/** Short form of a record for result lists. */
+function summarize(rec) {
+  return {
+    recordId: rec.recordId,
+    uri: rec.uri,
+    recordType: rec.recordType,
+    title: rec.title,
+    country: rec.country,
+    eqfLevel: rec.eqfLevel,
+    eqfLevelNum: rec.eqfLevelNum,
+    snippet: snippet(rec.description || rec.learningOutcomes),
+  };
+}
+
+class SearchIndex {
+  constructor() {
+    this.records = [];
+    this.byKey = new Map(); // uri and recordId -> doc id
+    this.postings = new Map(); // term -> [docId, tf, docId, tf, ...] (Uint32Array after finalize)
+    this.docLength = [];
+    this.totalLength = 0;
+    this.finalized = false;
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  /** Add a canonical record. Returns false (and skips it) if its uri/recordId is already indexed. */
+  add(rec) {
+    if (this.finalized) throw new Error('SearchIndex: add() after finalize()');
+    const keys = [rec.uri, rec.recordId].filter(Boolean);
+    if (keys.some(k => this.byKey.has(k))) return false;
+
+    const id = this.records.length;
+    this.records.push(rec);
+    keys.forEach(k => this.byKey.set(k, id));
+
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const t of tokenize(rec[field])) {
+        tf.set(t, (tf.get(t) || 0) + weight);
+        length += weight;
+      }
+    }
+    for (const [t, n] of tf) {
+      let list = this.postings.get(t);
+      if (!list) this.postings.set(t, (list = []));
+      list.push(id, n);
+    }
+    this.docLength.push(length);
+    this.totalLength += length;
+    return true;
+  }
+
+  finalize() {
+    if (this.finalized) return;
+    for (const [t, list] of this.postings) this.postings.set(t, Uint32Array.from(list));
+    this.docLength = Uint32Array.from(this.docLength);
+    this.finalized = true;
+  }
+
+  /** Record by uri or recordId, or null. */
+  get(key) {
+    const id = this.byKey.get(key);
+    return id === undefined ? null : this.records[id];
+  }
+
+  // filters: { country: [..], eqfLevel: [..], recordType: [..] } (values OR'ed, facets AND'ed)
+  matcher(filters = {}) {
+    const tests = Object.entries(FACETS)
+      .filter(([name]) => filters[name] && filters[name].length)
+      .map(([name, column]) => {
+        const wanted = new Set(filters[name].map(v => (name === 'eqfLevel' ? norm(v).replace(/^level\s*/, '') : norm(v))));
+        return rec => wanted.has(norm(rec[column]));
+      });
+    return rec => tests.every(t => t(rec));
+  }
+
+  // doc id -> BM25 score for docs containing every query term; null for an empty query.
+  // A query of stop words only ("learning") has no terms to match and finds nothing.
+  score(query) {
+    if (!String(query ?? '').trim()) return null;
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return new Map();
+    const lists = terms.map(t => this.postings.get(t));
+    if (lists.some(l => !l)) return new Map();
+
+    const n = this.records.length;
+    const avgLength = this.totalLength / Math.max(1, n);
+    lists.sort((a, b) => a.length - b.length); // rarest first: smallest candidate set
+    let scores = null;
+    for (const list of lists) {
+      const df = list.length / 2;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      const next = new Map();
+      for (let i = 0; i < list.length; i += 2) {
+        const doc = list[i];
+        if (scores && !scores.has(doc)) continue;
+        const tf = list[i + 1];
+        const lengthNorm = 1 - BM25_B + BM25_B * (this.docLength[doc] / avgLength);
+        next.set(doc, (scores ? scores.get(doc) : 0) + idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+      }
+      scores = next;
+      if (!scores.size) break;
+    }
+    return scores;
+  }
+
+  facetCounts(docIds) {
+    const counts = Object.fromEntries(Object.keys(FACETS).map(name => [name, new Map()]));
+    for (const id of docIds) {
+      const rec = this.records[id];
+      for (const [name, column] of Object.entries(FACETS)) {
+        const v = rec[column] || '';
+        counts[name].set(v, (counts[name].get(v) || 0) + 1);
+      }
+    }
+    // [{ value, count }], most frequent first
+    return Object.fromEntries(Object.entries(counts).map(([name, m]) => [
+      name,
+      [...m].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))),
+    ]));
+  }
+
+  /**
+   * Search. Empty `q` lists every record that passes the filters (in input order); a `q` without
+   * searchable terms (stop words, punctuation) has no hits.
+   * @returns {{ total, from, size, hits: object[], facets?: object }}
+   */
+  search({ q = '', filters = {}, from = 0, size = 10, facets = false } = {}) {
+    this.finalize();
+    const accept = this.matcher(filters);
+    const scores = this.score(q);
+    let matches;
+    if (scores) {
+      matches = [...scores].filter(([id]) => accept(this.records[id])).sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    } else {
+      matches = [];
+      this.records.forEach((rec, id) => {
+        if (accept(rec)) matches.push([id, 0]);
+      });
+    }
+    const result = {
+      total: matches.length,
+      from,
+      size,
+      hits: matches.slice(from, from + size).map(([id, score]) => ({ score: Number(score.toFixed(4)), ...summarize(this.records[id]) })),
+    };
+    if (facets) result.facets = this.facetCounts(matches.map(([id]) => id));
+    return result;
+  }
+}
+
+module.exports = {
+  FACETS,
+  SearchIndex,
+  summarize,
+};
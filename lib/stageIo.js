@@ -0,0 +1,47 @@
+// lib/stageIo.js
+// CSV output helpers shared by the stages that rewrite the final CSVs (350, 360, 370, 380, 390):
+// quoted cells, backpressure-aware stream writes, and the "<input.csv> <output.csv> ..." argument pairs.
+
+// Where stages and the profiler write their JSON/HTML reports (relative to the working directory)
+const REPORT_DIR = 'reports';
+
+// Escape CSV cell (always quoted, same as 312/500)
+function escapeCsvCell(value) {
+  if (value === undefined || value === null) return '""';
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/** One CSV line (with newline) of always-quoted cells. */
+function csvLine(cells) {
+  return cells.map(escapeCsvCell).join(',') + '\n';
+}
+
+/** stream.write that waits for 'drain' when the buffer is full. */
+async function write(stream, text) {
+  if (!stream.write(text)) await new Promise(r => stream.once('drain', r));
+}
+
+/** Ends a write stream; resolves once everything is flushed. */
+async function close(stream) {
+  await new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    stream.end(resolve);
+  });
+}
+
+/** Positional file arguments as [{ input, output }] pairs; `defaults` when none are given. */
+function filePairs(files, defaults) {
+  if (files.length % 2) throw new Error('Give inputs and outputs in pairs: <input.csv> <output.csv> ...');
+  const jobs = [];
+  for (let i = 0; i < files.length; i += 2) jobs.push({ input: files[i], output: files[i + 1] });
+  return jobs.length ? jobs : defaults;
+}
+
+module.exports = {
+  REPORT_DIR,
+  escapeCsvCell,
+  csvLine,
+  write,
+  close,
+  filePairs,
+};
@@ -0,0 +1,250 @@
+// lib/textVectors.js
+// Offline text vectorisation for the ESCO similarity stage (600): a tokenizer, a TF-IDF model
+// with an inverted-index top-k search, and optional dense vectors averaged from a local
+// word-embedding file (word2vec/GloVe/fastText .vec text format). No network, no native deps.
+
+const fs = require('fs');
+const readline = require('readline');
+
+// ---------------------- TOKENS ----------------------
+
+const STOP_WORDS = new Set(`
+a about above after again against all also an and any are as at be because been before being
+below between both but by can could did do does doing during each either etc few for from further
+had has have having he her here hers him his how i if in into is it its itself just may me might
+more most must my no nor not of off on once only or other our out over own per same shall she
+should so some such than that the their them then there these they this those through to too
+under until up upon use used using very via was we were what when where whether which while who
+whom why will with within without would you your
+able ability level student students learner learners graduate graduates course programme program
+qualification qualifications outcome outcomes learning knowledge skill skills competence
+`.split(/\s+/).filter(Boolean));
+
+// Conservative English suffix stripping so "installing"/"installs"/"installed" meet "install".
+// Words in other languages mostly pass through untouched (they rarely end in these suffixes).
+function stem(w) {
+  if (w.length <= 4) return w;
+  if (w.endsWith('ies') && w.length > 5) return w.slice(0, -3) + 'y';
+  if (w.endsWith('ing') && w.length > 6) return w.slice(0, -3);
+  if (w.endsWith('ed') && w.length > 5) return w.slice(0, -2);
+  if (w.endsWith('es') && /(?:ss|x|ch|sh)es$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) return w.slice(0, -1);
+  return w;
+}
+
+/** Lower-cased, stop-word-free, lightly stemmed word tokens. */
+function tokenize(text, { stemming = true } = {}) {
+  if (!text) return [];
+  const out = [];
+  for (const raw of String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    if (raw.length < 2 || STOP_WORDS.has(raw) || /^\d+$/.test(raw)) continue;
+    out.push(stemming ? stem(raw) : raw);
+  }
+  return out;
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+// ---------------------- TF-IDF ----------------------
+
+/**
+ * Two-phase TF-IDF: addDocument() every document of the corpus (document frequencies), then
+ * vectorize() any token list into an L2-normalised sparse vector { ids: Int32Array, weights: Float64Array }.
+ * tf is sublinear (1 + ln tf), idf smoothed (ln((1 + N) / (1 + df)) + 1).
+ */
+class TfidfModel {
+  constructor({ minDf = 1 } = {}) {
+    this.minDf = minDf;
+    this.df = new Map();
+    this.docs = 0;
+    this.vocab = null; // term -> id, built on first vectorize()
+    this.idf = null;
+  }
+
+  addDocument(tokens) {
+    this.docs++;
+    for (const t of new Set(tokens)) this.df.set(t, (this.df.get(t) || 0) + 1);
+  }
+
+  finalize() {
+    if (this.vocab) return;
+    this.vocab = new Map();
+    const idf = [];
+    for (const [term, df] of this.df) {
+      if (df < this.minDf) continue;
+      this.vocab.set(term, idf.length);
+      idf.push(Math.log((1 + this.docs) / (1 + df)) + 1);
+    }
+    this.idf = Float64Array.from(idf);
+  }
+
+  /** Weight of a term in a document where it occurs `tf` times (before normalisation). */
+  weight(term, tf) {
+    this.finalize();
+    const id = this.vocab.get(term);
+    return id === undefined ? 0 : (1 + Math.log(tf)) * this.idf[id];
+  }
+
+  vectorize(tokens) {
+    this.finalize();
+    const ids = [];
+    const weights = [];
+    let norm = 0;
+    for (const [term, tf] of termCounts(tokens)) {
+      const id = this.vocab.get(term);
+      if (id === undefined) continue;
+      const w = (1 + Math.log(tf)) * this.idf[id];
+      ids.push(id);
+      weights.push(w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    return { ids: Int32Array.from(ids), weights: Float64Array.from(weights, w => w / norm) };
+  }
+}
+
+// ---------------------- TOP-K ----------------------
+
+// keeps the k best { index, score } in descending order
+function pushTopK(top, k, index, score) {
+  if (top.length === k && score <= top[k - 1].score) return;
+  let i = top.length < k ? top.length : k - 1;
+  if (top.length < k) top.push(null);
+  while (i > 0 && top[i - 1].score < score) {
+    top[i] = top[i - 1];
+    i--;
+  }
+  top[i] = { index, score };
+}
+
+/** Cosine top-k over sparse vectors, via an inverted index (only shared terms are touched). */
+class SparseIndex {
+  constructor(vectors) {
+    this.size = vectors.length;
+    const postings = new Map();
+    vectors.forEach((v, idx) => {
+      for (let j = 0; j < v.ids.length; j++) {
+        if (!postings.has(v.ids[j])) postings.set(v.ids[j], []);
+        postings.get(v.ids[j]).push(idx, v.weights[j]);
+      }
+    });
+    this.postings = new Map();
+    for (const [id, list] of postings) {
+      const docs = new Int32Array(list.length / 2);
+      const weights = new Float64Array(list.length / 2);
+      for (let i = 0; i < docs.length; i++) {
+        docs[i] = list[2 * i];
+        weights[i] = list[2 * i + 1];
+      }
+      this.postings.set(id, { docs, weights });
+    }
+    this.scores = new Float64Array(this.size);
+  }
+
+  topK(query, k, minScore = 0) {
+    const { scores } = this;
+    const touched = [];
+    for (let j = 0; j < query.ids.length; j++) {
+      const p = this.postings.get(query.ids[j]);
+      if (!p) continue;
+      const qw = query.weights[j];
+      for (let i = 0; i < p.docs.length; i++) {
+        const d = p.docs[i];
+        if (scores[d] === 0) touched.push(d);
+        scores[d] += qw * p.weights[i];
+      }
+    }
+    const top = [];
+    for (const d of touched) {
+      if (scores[d] >= minScore && scores[d] > 0) pushTopK(top, k, d, scores[d]);
+      scores[d] = 0;
+    }
+    return top;
+  }
+}
+
+// ---------------------- DENSE VECTORS ----------------------
+
+/**
+ * Load a word-embedding text file ("word v1 v2 ... vd" per line; an optional "count dim" first
+ * line is skipped). Only words in `vocab` (a Set of tokens, if given) are kept, so a multi-GB
+ * file costs memory proportional to the corpus vocabulary only.
+ * Resolves to { dim, vectors: Map<token, Float32Array> }. Words are tokenized like the corpus.
+ */
+async function loadWordVectors(file, { vocab = null } = {}) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  const vectors = new Map();
+  let dim = 0;
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    const parts = line.trimEnd().split(' ');
+    if (lineNo === 1 && parts.length === 2) continue; // word2vec header
+    if (parts.length < 3) continue;
+    if (!dim) dim = parts.length - 1;
+    if (parts.length - 1 !== dim) continue;
+    const [word] = tokenize(parts[0]);
+    if (!word || vectors.has(word) || (vocab && !vocab.has(word))) continue;
+    vectors.set(word, Float32Array.from(parts.slice(1), Number));
+  }
+  if (!dim) throw new Error(`No word vectors found in ${file}`);
+  return { dim, vectors };
+}
+
+/**
+ * Dense document vector: the TF-IDF-weighted mean of its word vectors, L2-normalised.
+ * Returns null when none of the words has a vector.
+ */
+function embed(tokens, { dim, vectors }, model) {
+  const out = new Float32Array(dim);
+  let any = false;
+  for (const [term, tf] of termCounts(tokens)) {
+    const v = vectors.get(term);
+    if (!v) continue;
+    const w = model ? model.weight(term, tf) || 1 : tf;
+    for (let i = 0; i < dim; i++) out[i] += w * v[i];
+    any = true;
+  }
+  if (!any) return null;
+  let norm = 0;
+  for (let i = 0; i < dim; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < dim; i++) out[i] /= norm;
+  return out;
+}
+
+/** Brute-force cosine top-k over normalised dense vectors (null entries never match). */
+class DenseIndex {
+  constructor(vectors, dim) {
+    this.dim = dim;
+    this.vectors = vectors;
+  }
+
+  topK(query, k, minScore = 0) {
+    const top = [];
+    if (!query) return top;
+    const { dim } = this;
+    this.vectors.forEach((v, idx) => {
+      if (!v) return;
+      let s = 0;
+      for (let i = 0; i < dim; i++) s += query[i] * v[i];
+      if (s >= minScore && s > 0) pushTopK(top, k, idx, s);
+    });
+    return top;
+  }
+}
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  tokenize,
+  TfidfModel,
+  SparseIndex,
+  loadWordVectors,
+  embed,
+  DenseIndex,
+};
@@ -0,0 +1,123 @@
+// lib/translators.js
+// Translation backends for the translation stage (370). Every translator has the same shape:
+//   { name, model, label, version, costProvider, translate({ text, source, target }) -> Promise<{ text, usage }> }
+// `label` goes into the translatedBy column of translated rows; `version` identifies the
+// prompt/settings and is part of the cache key (lib/llmCache.js); `costProvider` is the provider
+// name prices are looked up under (lib/llmCost.js).
+// translate() makes one request; retries are the caller's business.
+//
+// Backends (TRANSLATOR, default "llm"):
+//   llm             a chat model through lib/llmProviders.js, same settings as 400: LLM_PROVIDER
+//                   (openai, ollama, fake), LLM_BASE_URL, LLM_API_KEY, LLM_MODEL. The fake provider
+//                   answers with the input text unchanged, which is enough for offline test runs.
+//   libretranslate  a LibreTranslate server (self-hosted, no text leaves the machine):
+//                   TRANSLATE_URL (default http://127.0.0.1:5000), TRANSLATE_API_KEY if it needs one
+
+const { LlmError, createProvider, requestJson } = require('./llmProviders');
+const { promptVersion } = require('./llmCache');
+
+const TRANSLATORS = ['llm', 'libretranslate'];
+const LIBRETRANSLATE_URL = 'http://127.0.0.1:5000';
+
+// Columns 370 adds (also part of the canonical schema, lib/schema.js): the text before translation,
+// its detected language, and the translator of the row (empty for rows left as they were)
+const TRANSLATION_COLUMNS = [
+  'description_original',
+  'description_original_lang',
+  'learningOutcomes_original',
+  'learningOutcomes_original_lang',
+  'translatedBy',
+];
+
+// Names used in the prompt; codes are those of lib/languageDetect.js
+const LANGUAGE_NAMES = {
+  bg: 'Bulgarian', cs: 'Czech', da: 'Danish', de: 'German', el: 'Greek', en: 'English', es: 'Spanish',
+  et: 'Estonian', fi: 'Finnish', fr: 'French', ga: 'Irish', hr: 'Croatian', hu: 'Hungarian', it: 'Italian',
+  lt: 'Lithuanian', lv: 'Latvian', mt: 'Maltese', nl: 'Dutch', no: 'Norwegian', pl: 'Polish', pt: 'Portuguese',
+  ro: 'Romanian', sk: 'Slovak', sl: 'Slovenian', sv: 'Swedish',
+};
+
+const languageName = code => LANGUAGE_NAMES[code] || code;
+
+// ---------------------- LLM ----------------------
+
+const SYSTEM_PROMPT = `You translate texts from a catalogue of qualifications and learning opportunities.
+Rules:
+1) Translate the "text" field of the INPUT_JSON from the "source" language into the "target" language.
+2) Translate faithfully: do not summarise, shorten, explain or add anything.
+3) Keep line breaks, bullets, numbering and list separators (such as " ; ") where they are.
+4) Keep names of institutions, laws and programmes as they are if there is no established translation.
+5) Return a JSON object with one field, "text": the translation. Output ONLY valid JSON, no explanation.`;
+
+function userPrompt({ text, source, target }) {
+  return `INPUT_JSON:\n${JSON.stringify({ source: languageName(source), target: languageName(target), text })}\n\nReturn the translated JSON object.`;
+}
+
+function llmTranslator(opts) {
+  const provider = createProvider(opts.provider, opts);
+  return {
+    name: `llm:${provider.name}`,
+    model: provider.model,
+    label: `llm:${provider.name}/${provider.model}`,
+    version: promptVersion(SYSTEM_PROMPT),
+    costProvider: provider.name,
+    async translate({ text, source, target }) {
+      const answer = await provider.complete({ system: SYSTEM_PROMPT, user: userPrompt({ text, source, target }) });
+      let parsed;
+      try {
+        parsed = JSON.parse(answer.content.trim());
+      } catch {
+        throw new LlmError(`${provider.name}: answer is not JSON: ${answer.content.slice(0, 200)}`, { provider: provider.name });
+      }
+      if (typeof parsed.text !== 'string') throw new LlmError(`${provider.name}: answer has no "text" field`, { provider: provider.name });
+      return { text: parsed.text.trim(), usage: answer.usage };
+    },
+  };
+}
+
+// ---------------------- LIBRETRANSLATE ----------------------
+
+function libreTranslator({ baseUrl, apiKey, timeoutMs }) {
+  baseUrl = (baseUrl || LIBRETRANSLATE_URL).replace(/\/+$/, '');
+  return {
+    name: 'libretranslate',
+    model: baseUrl,
+    label: 'libretranslate',
+    version: 'libretranslate-1',
+    costProvider: 'libretranslate',
+    async translate({ text, source, target }) {
+      const data = await requestJson('libretranslate', `${baseUrl}/translate`, {
+        body: { q: text, source, target, format: 'text', ...(apiKey ? { api_key: apiKey } : {}) },
+        timeoutMs,
+      });
+      if (typeof data.translatedText !== 'string') throw new LlmError('libretranslate: no translatedText in the response', { provider: 'libretranslate' });
+      return { text: data.translatedText.trim(), usage: { promptTokens: 0, completionTokens: 0 } };
+    },
+  };
+}
+
+// ---------------------- FACTORY ----------------------
+
+/**
+ * Translator selected by `name` (default: TRANSLATOR, else "llm"). Options override the env:
+ * { provider, baseUrl, apiKey, model, timeoutMs } (llm: as for createProvider).
+ */
+function createTranslator(name = process.env.TRANSLATOR || 'llm', opts = {}) {
+  if (name === 'llm') return llmTranslator(opts);
+  if (name === 'libretranslate') {
+    return libreTranslator({
+      baseUrl: opts.baseUrl || process.env.TRANSLATE_URL || '',
+      apiKey: opts.apiKey || process.env.TRANSLATE_API_KEY || '',
+      timeoutMs: opts.timeoutMs || Number(process.env.LLM_TIMEOUT_MS) || 120000,
+    });
+  }
+  throw new LlmError(`Unknown translator "${name}" (expected one of ${TRANSLATORS.join(', ')})`);
+}
+
+module.exports = {
+  TRANSLATORS,
+  TRANSLATION_COLUMNS,
+  LANGUAGE_NAMES,
+  languageName,
+  createTranslator,
+};
@@ -0,0 +1,335 @@
+// mock/qdrMockServer.js
+// Offline stand-in for the Europass QDR API, serving recorded fixtures so the fetch
+// stages (00, 02, 10–12, 20, 21) can be run end to end without touching europa.eu.
+//
+// Endpoints (same paths as the real API under QDR_PATH):
+//   GET {QDR_PATH}/search?type=&eqfLevel=&location=&from=&size=   -> { courses, paginationInfos }
+//   GET {QDR_PATH}/qualification?uri=<record uri>                 -> fixture JSON
+//   GET {QDR_PATH}/learning-opportunity?uri=<record uri>          -> fixture JSON
+//   GET /snb/data/<kind>/<id>                                     -> fixture JSON (record URIs, used by 02)
+//   GET /__mock/stats, POST /__mock/faults (JSON body)            -> inspect counters / change knobs at runtime
+//
+// Fixtures: mock/fixtures/<qualification|learning-opportunity>/<id>.json (one detail document each,
+// optional per-language variants <id>.<lang>.json). Record them with mock/recordFixtures.js.
+//
+// Fault knobs (probabilities are 0..1, drawn from a seeded PRNG):
+//   rate429, retryAfterSec   429 Too Many Requests with Retry-After
+//   rate5xx                  503 Service Unavailable
+//   rateTimeout, hangMs      accept the request but never answer (until hangMs, then drop the socket)
+//   rateNonJson              200 with an HTML body
+//   shiftEvery               every N search requests a new record is "published" on top,
+//                            shifting every page by one (like the live, date-sorted API);
+//                            no-op without fixtures
+//   missingUris              record URIs that answer 404
+//   seed                     PRNG seed (same seed + same request order = same faults)
+//
+// Usage:
+//   node mock/qdrMockServer.js [--port 4010] [--rate429 0.1] [--rate5xx 0.05] [--shiftEvery 3] ...
+//   QDR_BASE_URL=http://127.0.0.1:4010/europass/eportfolio/api/qdr/europass/qdr-search \
+//   QDR_RESOURCE_BASE_URL=http://127.0.0.1:4010 node 10fetch_learningOpportunities.js
+//
+// Programmatic use (tests):
+//   const { startMockServer } = require('./mock/qdrMockServer');
+//   const mock = await startMockServer({ port: 0, faults: { rate429: 0.2 } });
+//   process.env.QDR_BASE_URL = mock.baseUrl; ... await mock.close();
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const QDR_PATH = '/europass/eportfolio/api/qdr/europass/qdr-search';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const KINDS = ['qualification', 'learning-opportunity'];
+
+const DEFAULT_FAULTS = {
+  rate429: 0,
+  retryAfterSec: 1,
+  rate5xx: 0,
+  rateTimeout: 0,
+  hangMs: 60000,
+  rateNonJson: 0,
+  shiftEvery: 0,
+  missingUris: [],
+  seed: 1,
+};
+
+// mulberry32: tiny deterministic PRNG
+function makeRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function idFromUri(uri) {
+  return String(uri || '').replace(/\/+$/, '').split('/').pop();
+}
+
+function findDeep(obj, pred) {
+  if (!obj || typeof obj !== 'object') return null;
+  if (pred(obj)) return obj;
+  for (const v of Object.values(obj)) {
+    const hit = findDeep(v, pred);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// ---------------------- FIXTURES ----------------------
+
+function loadFixtures(dir) {
+  const records = [];
+  for (const kind of KINDS) {
+    const kindDir = path.join(dir, kind);
+    if (!fs.existsSync(kindDir)) continue;
+    const files = fs.readdirSync(kindDir).filter(f => f.endsWith('.json')).sort();
+    const variants = files.filter(f => /\.[a-z]{2}(-[A-Z]{2})?\.json$/.test(f));
+    for (const f of files) {
+      if (variants.includes(f)) continue;
+      const doc = JSON.parse(fs.readFileSync(path.join(kindDir, f), 'utf8'));
+      const id = path.basename(f, '.json');
+      const byLang = {};
+      for (const v of variants.filter(x => x.startsWith(id + '.'))) {
+        byLang[v.slice(id.length + 1, -'.json'.length)] = JSON.parse(fs.readFileSync(path.join(kindDir, v), 'utf8'));
+      }
+      records.push(describeRecord(kind, id, doc, byLang));
+    }
+  }
+  return records;
+}
+
+function describeRecord(kind, id, doc, byLang = {}) {
+  const eqf = findDeep(doc, o => typeof o.uri === 'string' && o.uri.includes('/snb/eqf/'));
+  const country = findDeep(doc, o => typeof o.uri === 'string' && o.uri.includes('/authority/country/'));
+  return {
+    kind,
+    id,
+    uri: doc.uri || `http://data.europa.eu/snb/data/${kind === 'qualification' ? 'qualification' : 'learningOpportunity'}/${id}`,
+    eqfLevel: eqf ? idFromUri(eqf.uri) : null,
+    country: country ? idFromUri(country.uri) : null,
+    doc,
+    byLang,
+  };
+}
+
+function summarize(rec) {
+  return {
+    uri: rec.uri,
+    type: rec.kind,
+    title: rec.doc.title || '',
+    eqfLevel: rec.eqfLevel ? `http://data.europa.eu/snb/eqf/${rec.eqfLevel}` : null,
+    location: rec.country ? `http://publications.europa.eu/resource/authority/country/${rec.country}` : null,
+  };
+}
+
+// ---------------------- SERVER ----------------------
+
+/**
+ * Start the mock server.
+ * @param {object} [opts]
+ * @param {number} [opts.port=0]        0 picks a free port
+ * @param {string} [opts.host='127.0.0.1']
+ * @param {string} [opts.fixturesDir]
+ * @param {object} [opts.faults]        see DEFAULT_FAULTS
+ * @returns {Promise<{ url, baseUrl, resourceBaseUrl, stats, setFaults, close }>}
+ */
+async function startMockServer(opts = {}) {
+  const records = loadFixtures(opts.fixturesDir || FIXTURES_DIR);
+  let faults = { ...DEFAULT_FAULTS, ...(opts.faults || {}) };
+  let random = makeRandom(faults.seed);
+  const stats = { requests: 0, search: 0, detail: 0, injected429: 0, injected5xx: 0, injectedTimeouts: 0, injectedNonJson: 0, notFound: 0, published: 0 };
+  const sockets = new Set();
+
+  function setFaults(next) {
+    faults = { ...faults, ...next };
+    if (next.seed !== undefined) random = makeRandom(faults.seed);
+  }
+
+  // simulate a newly published record landing on top of the date-sorted result list
+  // (a copy of a fixture, so there is nothing to publish without fixtures)
+  function publishShiftRecord() {
+    if (!records.length) return;
+    const template = records[stats.published % records.length];
+    const id = crypto.randomUUID();
+    const doc = JSON.parse(JSON.stringify(template.doc));
+    doc.uri = template.uri.replace(template.id, id);
+    doc.title = `${doc.title || 'Untitled'} (new ${stats.published + 1})`;
+    records.unshift(describeRecord(template.kind, id, doc));
+    stats.published++;
+  }
+
+  function send(res, status, body, headers = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json', ...headers });
+    res.end(text);
+  }
+
+  // returns true when a fault was injected and the response is handled
+  function injectFault(res) {
+    if (random() < faults.rate429) {
+      stats.injected429++;
+      send(res, 429, { error: 'Too Many Requests' }, { 'Retry-After': String(faults.retryAfterSec) });
+      return true;
+    }
+    if (random() < faults.rate5xx) {
+      stats.injected5xx++;
+      send(res, 503, { error: 'Service Unavailable' });
+      return true;
+    }
+    if (random() < faults.rateTimeout) {
+      stats.injectedTimeouts++;
+      const t = setTimeout(() => res.destroy(), faults.hangMs);
+      res.on('close', () => clearTimeout(t));
+      return true;
+    }
+    if (random() < faults.rateNonJson) {
+      stats.injectedNonJson++;
+      send(res, 200, '<html><body>Service temporarily unavailable</body></html>');
+      return true;
+    }
+    return false;
+  }
+
+  function handleSearch(res, q) {
+    stats.search++;
+    if (faults.shiftEvery > 0 && stats.search % faults.shiftEvery === 0) publishShiftRecord();
+
+    const type = q.get('type');
+    const eqf = q.get('eqfLevel') ? idFromUri(q.get('eqfLevel')) : null;
+    const country = q.get('location') ? idFromUri(q.get('location')) : null;
+    const from = Math.max(0, parseInt(q.get('from') || '0', 10));
+    const size = Math.max(1, parseInt(q.get('size') || '10', 10));
+
+    const hits = records.filter(r =>
+      (!type || r.kind === type) &&
+      (!eqf || r.eqfLevel === eqf) &&
+      (!country || r.country === country));
+
+    send(res, 200, {
+      courses: hits.slice(from, from + size).map(summarize),
+      paginationInfos: {
+        currentPageNumber: Math.floor(from / size) + 1,
+        totalPageCount: Math.ceil(hits.length / size),
+        totalElements: hits.length,
+        pageSize: size,
+      },
+    });
+  }
+
+  function handleDetail(res, kind, uri, lang) {
+    stats.detail++;
+    const id = idFromUri(uri);
+    const rec = records.find(r => r.id === id && (!kind || r.kind === kind));
+    if (!rec || faults.missingUris.includes(rec.uri) || faults.missingUris.includes(uri)) {
+      stats.notFound++;
+      return send(res, 404, { error: 'Not Found', uri });
+    }
+    send(res, 200, (lang && rec.byLang[lang]) || rec.doc);
+  }
+
+  async function handleControl(req, res, pathname) {
+    if (pathname === '/__mock/stats') return send(res, 200, { ...stats, records: records.length, faults });
+    if (pathname === '/__mock/faults' && req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      try {
+        setFaults(JSON.parse(raw || '{}'));
+      } catch (err) {
+        return send(res, 400, { error: err.message });
+      }
+      return send(res, 200, faults);
+    }
+    return send(res, 404, { error: 'Not Found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://mock');
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+    const { pathname, searchParams } = url;
+    if (pathname.startsWith('/__mock/')) {
+      handleControl(req, res, pathname).catch(err => send(res, 500, { error: err.message }));
+      return;
+    }
+
+    stats.requests++;
+    if (injectFault(res)) return;
+
+    if (pathname === `${QDR_PATH}/search`) return handleSearch(res, searchParams);
+    for (const kind of KINDS) {
+      if (pathname === `${QDR_PATH}/${kind}`) {
+        return handleDetail(res, kind, searchParams.get('uri'), searchParams.get('language'));
+      }
+    }
+    const m = pathname.match(/^\/snb\/data\/(qualification|learningOpportunity)\/([^/]+)$/);
+    if (m) return handleDetail(res, m[1] === 'qualification' ? 'qualification' : 'learning-opportunity', m[2], null);
+
+    send(res, 404, { error: 'Not Found' });
+  });
+
+  server.on('connection', (s) => {
+    sockets.add(s);
+    s.on('close', () => sockets.delete(s));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port ?? 0, opts.host || '127.0.0.1', resolve);
+  });
+
+  const { address, port } = server.address();
+  const url = `http://${address}:${port}`;
+
+  return {
+    url,
+    baseUrl: url + QDR_PATH,
+    resourceBaseUrl: url,
+    records,
+    stats,
+    setFaults,
+    close: () => new Promise((resolve) => {
+      for (const s of sockets) s.destroy();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function parseCliArgs(argv) {
+  const opts = { port: 4010, faults: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const val = argv[i + 1];
+    if (key === 'port') { opts.port = Number(val); i++; continue; }
+    if (key === 'fixtures') { opts.fixturesDir = path.resolve(val); i++; continue; }
+    if (key === 'missingUris') { opts.faults.missingUris = val.split(','); i++; continue; }
+    if (key in DEFAULT_FAULTS) { opts.faults[key] = Number(val); i++; continue; }
+    throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  (async () => {
+    const mock = await startMockServer(parseCliArgs(process.argv.slice(2)));
+    console.log(`🧪 QDR mock server with ${mock.records.length} fixture records`);
+    if (!mock.records.length) console.warn('⚠️  No fixtures found: every search is empty and shiftEvery does nothing (record some with mock/recordFixtures.js)');
+    console.log(`   QDR_BASE_URL=${mock.baseUrl}`);
+    console.log(`   QDR_RESOURCE_BASE_URL=${mock.resourceBaseUrl}`);
+    const stop = async () => { await mock.close(); process.exit(0); };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  })().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockServer, loadFixtures, QDR_PATH, DEFAULT_FAULTS };
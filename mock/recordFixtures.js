@@ -0,0 +1,67 @@
+// mock/recordFixtures.js
+// Records real Europass QDR detail documents into mock/fixtures/ for the mock server.
+// Walks the first search page(s) for the given type/country/level and saves each record's
+// detail JSON as fixtures/<type>/<id>.json (existing fixtures are left alone).
+// With LANGUAGES=en,de,... the extra languages are recorded as <id>.<lang>.json variants.
+//
+// Usage:
+//   node mock/recordFixtures.js <qualification|learning-opportunity> [COUNTRY] [EQF_LEVEL] [count]
+// Examples:
+//   node mock/recordFixtures.js qualification DEU 4 5
+//   node mock/recordFixtures.js learning-opportunity POL "" 10
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { createClient } = require('../lib/qdrClient');
+const { getLanguages } = require('../lib/languages');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PAGE_SIZE = 10;
+
+const client = createClient({ maxRps: 2, maxConcurrentPerHost: 2 });
+
+function extractCourses(json) {
+  if (Array.isArray(json?.courses)) return json.courses;
+  return [];
+}
+
+(async function main() {
+  const [type, country, level, countArg] = process.argv.slice(2);
+  if (!['qualification', 'learning-opportunity'].includes(type)) {
+    console.error('Usage: node mock/recordFixtures.js <qualification|learning-opportunity> [COUNTRY] [EQF_LEVEL] [count]');
+    process.exit(1);
+  }
+  const wanted = Number(countArg) || 5;
+  const outDir = path.join(FIXTURES_DIR, type);
+  await fsp.mkdir(outDir, { recursive: true });
+
+  let saved = 0;
+  for (let from = 0; saved < wanted; from += PAGE_SIZE) {
+    const page = await client.search({ type, country: country || undefined, eqfLevel: level || undefined, from, size: PAGE_SIZE });
+    const courses = extractCourses(page);
+    if (courses.length === 0) break;
+
+    for (const c of courses) {
+      if (saved >= wanted) break;
+      if (!c?.uri) continue;
+      const id = c.uri.replace(/\/+$/, '').split('/').pop();
+      const outPath = path.join(outDir, `${id}.json`);
+      if (fs.existsSync(outPath)) continue;
+      const [primary, ...extra] = getLanguages();
+      for (const language of [primary, ...extra]) {
+        const p = language === primary ? outPath : path.join(outDir, `${id}.${language}.json`);
+        const doc = type === 'qualification'
+          ? await client.qualification(c.uri, { language })
+          : await client.learningOpportunity(c.uri, { language });
+        await fsp.writeFile(p, JSON.stringify(doc, null, 2) + '\n', 'utf8');
+        console.log(`  ✔ ${path.relative(process.cwd(), p)}`);
+      }
+      saved++;
+    }
+  }
+  console.log(`Done. Recorded ${saved} ${type} fixture(s).`);
+})().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+// mock/smokeTest.js
+// End-to-end smoke check of the fetch stages against the mock server (mock/qdrMockServer.js).
+// Runs 10 and 20 as child processes in a scratch directory and checks:
+//   1. 10 under 429s (with Retry-After) and a pagination shift every 2 searches:
+//      every fixture learning opportunity is indexed, no URI is written twice, faults were injected
+//   2. 20 under 503s with one fixture answering 404: the missing one is tombstoned, every other
+//      record is stored or, after its last retry, dumped to json_learningOpportunities_errors/
+//   3. 20 again, without faults: the remaining records are fetched, the tombstone is skipped
+//   4. 10 --delta, without faults: re-walks from the top, indexes every record published so far
+//      (by the shift) and adds no duplicates
+//
+// Usage:
+//   node mock/smokeTest.js [--keep]     (--keep leaves the scratch directory for inspection)
+// Exit code 0 when every check passes, 1 otherwise.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startMockServer, loadFixtures } = require('./qdrMockServer');
+const { openStore } = require('../lib/recordStore');
+
+const ROOT = path.join(__dirname, '..');
+const STAGE_TIMEOUT_MS = 120000;
+const FAULTS = { rate429: 0.3, retryAfterSec: 0, shiftEvery: 2, seed: 7 };
+const INDEX_DIR = 'output_learningOpportunities';
+const ERRORS_DIR = 'json_learningOpportunities_errors';
+const TOMBSTONES = 'json_learningOpportunities_tombstones.ndjson';
+
+let failures = 0;
+
+function expect(ok, message) {
+  console.log(`${ok ? '✅' : '❌'} ${message}`);
+  if (!ok) failures++;
+}
+
+// Runs a stage script in `cwd`; resolves with its exit code (killed after STAGE_TIMEOUT_MS)
+function runStage(script, args, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, script), ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const log = fs.createWriteStream(path.join(cwd, `${path.basename(script, '.js')}.log`), { flags: 'a' });
+    child.stdout.pipe(log);
+    child.stderr.pipe(log);
+    const timer = setTimeout(() => child.kill(), STAGE_TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve(signal ? `killed (${signal})` : code);
+    });
+  });
+}
+
+/** { level: [uri, ...] } from the NDJSON files 10 appends to (duplicates kept). */
+function writtenUris(cwd) {
+  const out = {};
+  const dir = path.join(cwd, INDEX_DIR);
+  for (let level = 1; level <= 8; level++) {
+    const file = path.join(dir, `level${level}.ndjson`);
+    if (!fs.existsSync(file)) continue;
+    out[level] = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l).uri);
+  }
+  return out;
+}
+
+function tombstoned(cwd) {
+  const file = path.join(cwd, TOMBSTONES);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l).uri) : [];
+}
+
+/** The URIs of `uris` that 20 has in its record store (primary language). */
+async function storedUris(cwd, uris) {
+  const store = await openStore(path.join(cwd, 'records', 'json_learningOpportunities'));
+  const stored = new Set(uris.filter(uri => store.has(uri, { lang: 'en' })));
+  await store.close();
+  return stored;
+}
+
+function duplicates(byLevel) {
+  const all = Object.values(byLevel).flat();
+  return all.length - new Set(all).size;
+}
+
+(async () => {
+  const keep = process.argv.includes('--keep');
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'qdr-smoke-'));
+  // learning opportunities only, so every published record lands in the lists 10 walks
+  const fixturesDir = path.join(cwd, 'fixtures');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'learning-opportunity'), path.join(fixturesDir, 'learning-opportunity'), { recursive: true });
+  const fixtures = loadFixtures(fixturesDir);
+  if (fixtures.length < 2) throw new Error('Need at least two learning-opportunity fixtures in mock/fixtures/');
+  const missing = fixtures[fixtures.length - 1].uri;
+
+  const mock = await startMockServer({ port: 0, fixturesDir, faults: FAULTS });
+  const env = { QDR_BASE_URL: mock.baseUrl, QDR_RESOURCE_BASE_URL: mock.resourceBaseUrl, LANGUAGES: 'en' };
+  console.log(`🧪 Mock server on ${mock.url}, scratch directory ${cwd}`);
+
+  try {
+    // ---------- 1. search walk under 429s and a pagination shift ----------
+    const code10 = await runStage('10fetch_learningOpportunities.js', [], { cwd, env });
+    expect(code10 === 0, `10 finished (exit ${code10})`);
+    expect(mock.stats.injected429 > 0, `429s injected and retried (${mock.stats.injected429})`);
+    expect(mock.stats.published > 0, `records published during the walk (${mock.stats.published})`);
+    mock.setFaults({ shiftEvery: 0 });
+    const first = writtenUris(cwd);
+    const indexed = new Set(Object.values(first).flat());
+    expect(fixtures.every(f => indexed.has(f.uri)), `all ${fixtures.length} fixtures indexed (${indexed.size} URIs incl. published ones)`);
+    expect(duplicates(first) === 0, 'no URI written twice');
+
+    // ---------- 2. detail fetch under 503s with a record gone upstream ----------
+    mock.setFaults({ rate429: 0, rate5xx: 0.5, missingUris: [missing], seed: FAULTS.seed });
+    const code20 = await runStage('20scraper_opportunities.js', [], { cwd, env });
+    expect(code20 === 0, `20 finished (exit ${code20})`);
+    expect(mock.stats.injected5xx > 0, `503s injected and retried (${mock.stats.injected5xx})`);
+    expect(tombstoned(cwd).includes(missing), `404 record tombstoned (${missing})`);
+    const others = [...indexed].filter(uri => uri !== missing);
+    const dumped = new Set(fs.existsSync(path.join(cwd, ERRORS_DIR)) ? fs.readdirSync(path.join(cwd, ERRORS_DIR)) : []);
+    const stored = await storedUris(cwd, others);
+    const lost = others.filter(uri => !stored.has(uri) && !dumped.has(`${uri.split('/').pop()}.error.json`));
+    expect(lost.length === 0, `every other record stored (${stored.size}) or dumped to ${ERRORS_DIR}/ after its last retry (${others.length - stored.size})`);
+
+    // ---------- 3. detail fetch again, without faults: fills the gaps, skips the tombstone ----------
+    mock.setFaults({ rate5xx: 0 });
+    const notFound = mock.stats.notFound;
+    const again20 = await runStage('20scraper_opportunities.js', [], { cwd, env });
+    expect(again20 === 0, `20 re-run finished (exit ${again20})`);
+    const storedNow = await storedUris(cwd, others);
+    expect(storedNow.size === others.length, `all ${others.length} other records stored`);
+    expect(mock.stats.notFound === notFound, 'tombstoned record not requested again');
+
+    // ---------- 4. delta walk: picks up the published records, adds no duplicates ----------
+    mock.setFaults({ missingUris: [] });
+    const delta = await runStage('10fetch_learningOpportunities.js', ['--delta'], { cwd, env });
+    expect(delta === 0, `10 --delta finished (exit ${delta})`);
+    const second = writtenUris(cwd);
+    const indexedNow = new Set(Object.values(second).flat());
+    const unseen = mock.records.filter(r => !indexedNow.has(r.uri)).map(r => r.uri);
+    expect(unseen.length === 0, `all ${mock.records.length} records indexed (${indexedNow.size - indexed.size} new)${unseen.length ? `, missing: ${unseen.join(', ')}` : ''}`);
+    expect(duplicates(second) === 0, 'still no URI written twice');
+  } finally {
+    await mock.close();
+    if (keep || failures) console.log(`📁 Logs and outputs kept in ${cwd}`);
+    else fs.rmSync(cwd, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n✅ All smoke checks passed');
+  process.exit(failures ? 1 : 0);
+})().catch(err => {
+  console.error('❌ Error:', err.message);
+  process.exit(1);
+});
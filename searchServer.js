@@ -0,0 +1,186 @@
+// searchServer.js
+// Local read-only search API over the final dataset, for exploring it without loading the CSV
+// into a spreadsheet. Loads one or more canonical-schema CSVs (europass_combined.csv, or the two
+// final CSVs, mapped through lib/schema.js) into an in-memory index (lib/searchIndex.js).
+// Records already loaded from an earlier file (same uri/recordId) are skipped.
+//
+// Endpoints (JSON; list parameters accept repeats or commas: ?country=Germany,Poland):
+//   GET /api/search?q=&country=&eqfLevel=&recordType=&from=0&size=10&facets=1
+//                                   -> { total, from, size, hits: [{ score, recordId, uri, title, snippet, ... }], facets? }
+//   GET /api/facets?q=&country=&eqfLevel=&recordType=
+//                                   -> { total, facets: { country, eqfLevel, recordType: [{ value, count }] } }
+//   GET /api/record?uri=<uri>       -> full canonical record (also ?id=<recordId>), 404 if unknown
+//   GET /api/stats                  -> loaded files, record counts, overall facets
+//
+// Usage:
+//   node searchServer.js [--port 4020] [--host 127.0.0.1] [file.csv ...]
+// Default files: europass_combined.csv if it exists, else final_qualifications.csv and
+// learning_opportunities_nomore.csv. Everything is held in memory: for a multi-GB input run
+//   node --max-old-space-size=8192 searchServer.js ...
+//
+// Programmatic use:
+//   const { startSearchServer } = require('./searchServer');
+//   const server = await startSearchServer({ files: ['europass_combined.csv'], port: 0 }); ... await server.close();
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { readCanonicalRecords } = require('./lib/schema');
+const { FACETS, SearchIndex } = require('./lib/searchIndex');
+
+const DEFAULT_PORT = 4020;
+const COMBINED_CSV = 'europass_combined.csv';
+const FINAL_CSVS = ['final_qualifications.csv', 'learning_opportunities_nomore.csv'];
+const MAX_PAGE_SIZE = 100;
+const LOG_EVERY = 50000;
+
+function defaultFiles() {
+  if (fs.existsSync(COMBINED_CSV)) return [COMBINED_CSV];
+  return FINAL_CSVS.filter(f => fs.existsSync(f));
+}
+
+async function loadIndex(files) {
+  const index = new SearchIndex();
+  const loaded = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) throw new Error(`Input CSV not found: ${file}`);
+    let added = 0;
+    let duplicates = 0;
+    for await (const rec of readCanonicalRecords(file)) {
+      if (index.add(rec)) added++;
+      else duplicates++;
+      if ((added + duplicates) % LOG_EVERY === 0) console.log(`   ${file}: ${added + duplicates} rows...`);
+    }
+    console.log(`📥 ${file}: ${added} records${duplicates ? ` (${duplicates} already loaded, skipped)` : ''}`);
+    loaded.push({ file: path.resolve(file), records: added, duplicates });
+  }
+  index.finalize();
+  return { index, loaded };
+}
+
+// ?country=a,b&country=c -> ['a', 'b', 'c']
+function listParam(params, name) {
+  return params.getAll(name).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function intParam(params, name, fallback, max = Infinity) {
+  const n = parseInt(params.get(name), 10);
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+}
+
+function filtersFrom(params) {
+  return Object.fromEntries(Object.keys(FACETS).map(name => [name, listParam(params, name)]));
+}
+
+/**
+ * Load the files and start the server.
+ * @param {object} [opts]
+ * @param {string[]} [opts.files]       canonical-schema CSVs (default: see defaultFiles())
+ * @param {number} [opts.port=4020]     0 picks a free port
+ * @param {string} [opts.host='127.0.0.1']
+ * @returns {Promise<{ url, index, close }>}
+ */
+async function startSearchServer(opts = {}) {
+  const files = opts.files && opts.files.length ? opts.files : defaultFiles();
+  if (!files.length) throw new Error(`No input CSV: expected ${COMBINED_CSV} or ${FINAL_CSVS.join(' / ')}`);
+  const { index, loaded } = await loadIndex(files);
+  const overall = index.search({ size: 0, facets: true });
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  const routes = {
+    '/api/search': params => [200, index.search({
+      q: params.get('q') || '',
+      filters: filtersFrom(params),
+      from: intParam(params, 'from', 0),
+      size: intParam(params, 'size', 10, MAX_PAGE_SIZE),
+      facets: ['1', 'true'].includes(params.get('facets')),
+    })],
+    '/api/facets': params => {
+      const { total, facets } = index.search({ q: params.get('q') || '', filters: filtersFrom(params), size: 0, facets: true });
+      return [200, { total, facets }];
+    },
+    '/api/record': params => {
+      const key = params.get('uri') || params.get('id');
+      if (!key) return [400, { error: 'uri or id parameter required' }];
+      const rec = index.get(key);
+      return rec ? [200, rec] : [404, { error: 'Not Found', key }];
+    },
+    '/api/stats': () => [200, { files: loaded, records: index.size, terms: index.postings.size, facets: overall.facets }],
+  };
+
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      return send(res, 400, { error: 'Bad Request', target: req.url });
+    }
+    const { pathname, searchParams } = url;
+    if (req.method !== 'GET') return send(res, 405, { error: 'Method Not Allowed' });
+    const route = routes[pathname.replace(/\/+$/, '')];
+    if (!route) return send(res, 404, { error: 'Not Found', endpoints: Object.keys(routes) });
+    try {
+      const [status, body] = route(searchParams);
+      send(res, status, body);
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  });
+
+  const sockets = new Set();
+  server.on('connection', (s) => {
+    sockets.add(s);
+    s.on('close', () => sockets.delete(s));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port ?? DEFAULT_PORT, opts.host || '127.0.0.1', resolve);
+  });
+  const { address, port } = server.address();
+
+  return {
+    url: `http://${address}:${port}`,
+    index,
+    close: () => new Promise((resolve) => {
+      for (const s of sockets) s.destroy();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function parseCliArgs(argv) {
+  const opts = { port: DEFAULT_PORT, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') { opts.port = Number(argv[++i]); continue; }
+    if (argv[i] === '--host') { opts.host = argv[++i]; continue; }
+    if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    opts.files.push(argv[i]);
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  (async () => {
+    const startTime = Date.now();
+    const server = await startSearchServer(parseCliArgs(process.argv.slice(2)));
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`🔎 ${server.index.size} records indexed in ${elapsed}s`);
+    console.log(`   ${server.url}/api/search?q=heat%20pump&facets=1`);
+    const stop = async () => { await server.close(); process.exit(0); };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  })().catch(err => {
+    console.error('❌ Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startSearchServer, loadIndex };